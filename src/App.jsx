@@ -6,6 +6,7 @@ import { UnitsProvider } from './hooks/useUnits.jsx';
 import { AppSettingsProvider, useAppSettings } from './hooks/useAppSettings.jsx';
 import CalculatorPage from './pages/CalculatorPage.jsx';
 import CouncilPage from './pages/CouncilPage.jsx';
+import MissionPage from './pages/MissionPage.jsx';
 import SettingsPage from './pages/SettingsPage.jsx';
 
 function AppContent() {
@@ -29,6 +30,7 @@ function AppContent() {
           </div>
           <nav className="header-nav">
             <NavLink to="/" end>Calculator</NavLink>
+            <NavLink to="/mission">Mission</NavLink>
             <NavLink to="/council">LLM Council</NavLink>
             <NavLink to="/settings" title="Settings"><SettingsIcon size={18} /></NavLink>
             <button
@@ -57,6 +59,10 @@ function AppContent() {
               />
             }
           />
+          <Route
+            path="/mission"
+            element={<MissionPage results={results} />}
+          />
           <Route
             path="/council"
             element={<CouncilPage config={config} results={results} />}
@@ -1,24 +1,17 @@
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceDot } from 'recharts';
-import { calcThrust, calcPropPower, calcAirDensity, estimatePropCoefficients, calcMotorRPM, calcFlightTime, calcHoverThrottle, GRAVITY } from '../../utils/physics.js';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceDot, ReferenceLine } from 'recharts';
+import { calcAirDensity, estimatePropCoefficients, calcMotorRPM, solveOperatingPoint, solveThrottleForThrust, simulateDischarge, calcMotorEfficiencyMap, POWER_SOURCES, GRAVITY } from '../../utils/physics.js';
 
-export function ThrustVsThrottle({ config, results }) {
+export function ThrustVsThrottle({ results }) {
     if (!results) return null;
 
     const data = [];
-    const rho = results.airDensity;
-    const propDiameterM = (config.propeller.diameterIn || 10) * 0.0254;
-    const ct = results.ct;
-    const maxRPM = results.maxRPM;
 
     for (let t = 0; t <= 100; t += 5) {
-        const rps = (maxRPM * (t / 100)) / 60;
-        const thrust = calcThrust(ct, rho, rps, propDiameterM);
-        const thrustG = (thrust / GRAVITY) * 1000;
+        const point = solveOperatingPoint(results.motorParams, t / 100);
+        const thrustG = (point.thrust / GRAVITY) * 1000;
         data.push({ throttle: t, thrust: Math.round(thrustG) });
     }
 
-    const hoverIdx = Math.round(results.hoverThrottle / 5);
-
     return (
         <div className="card">
             <div className="card-header">
@@ -27,13 +20,11 @@ export function ThrustVsThrottle({ config, results }) {
             <ResponsiveContainer width="100%" height={250}>
                 <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
                     <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
-                    <XAxis dataKey="throttle" stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Throttle %', position: 'bottom', offset: -5, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <XAxis dataKey="throttle" type="number" domain={[0, 100]} stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Throttle %', position: 'bottom', offset: -5, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
                     <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Thrust (g)', angle: -90, position: 'insideLeft', offset: 10, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
                     <Tooltip contentStyle={{ background: 'var(--bg-card)', border: '1px solid var(--border-color)', borderRadius: 6, fontSize: 12 }} />
                     <Line type="monotone" dataKey="thrust" stroke="var(--accent)" strokeWidth={2} dot={false} />
-                    {hoverIdx >= 0 && hoverIdx < data.length && (
-                        <ReferenceDot x={data[hoverIdx]?.throttle} y={data[hoverIdx]?.thrust} r={5} fill="var(--green)" stroke="var(--green)" />
-                    )}
+                    <ReferenceDot x={Math.round(results.hoverThrottle)} y={Math.round(results.hoverThrustPerMotor)} r={5} fill="var(--green)" stroke="var(--green)" />
                 </LineChart>
             </ResponsiveContainer>
             <div style={{ textAlign: 'center', fontSize: 'var(--fs-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
@@ -43,24 +34,39 @@ export function ThrustVsThrottle({ config, results }) {
     );
 }
 
+/**
+ * Stand-in for a chart drawn from the battery-only discharge model, shown
+ * while another power source carries the hover and the pack is only a buffer.
+ */
+function PackOnlyCard({ title, results }) {
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title">{title}</span>
+                <span className="status-badge caution">BUFFER PACK ONLY</span>
+            </div>
+            <div style={{ textAlign: 'center', fontSize: 'var(--fs-sm)', color: 'var(--text-muted)', padding: 'var(--space-lg)' }}>
+                This chart models the pack carrying the whole flight. With {POWER_SOURCES[results.powerSource.type].label.toLowerCase()} power
+                the pack only covers shortfalls; see the dashboard hover time and the Source Performance summary.
+            </div>
+        </div>
+    );
+}
+
 export function FlightTimeVsPayload({ config, results }) {
     if (!results) return null;
+    if (results.powerSource.type !== 'battery') return <PackOnlyCard title="Flight Time vs Payload" results={results} />;
 
     const data = [];
     const baseWeightKg = results.totalWeightKg;
-    const numMotors = config.frame.motorCount || 4;
-    const maxThrustPerMotorN = (results.maxTotalThrustG / 1000 * GRAVITY) / numMotors;
-    const coaxFactor = config.frame.layout === 'coaxial' ? 0.85 : 1.0;
-    const capacityMah = results.totalCapacityMah;
-    const dischargeDepth = (config.battery.dischargeDepth || 80) / 100;
+    const { numMotors } = results.motorParams;
 
     for (let payload = 0; payload <= 2000; payload += 100) {
         const totalKg = baseWeightKg + payload / 1000;
-        const throttle = calcHoverThrottle(totalKg, numMotors, maxThrustPerMotorN, coaxFactor) / 100;
-        // Very rough: current scales with throttle^1.5 (power scaling)
-        const currentFactor = Math.pow(throttle / (results.hoverThrottle / 100), 1.5);
-        const totalCurrent = results.hoverTotalCurrent * currentFactor;
-        const ft = calcFlightTime(capacityMah, dischargeDepth, totalCurrent);
+        // Same per-motor hover thrust as the simulation's requiredThrustPerMotor
+        const thrustN = (totalKg * GRAVITY) / (numMotors * results.coaxFactor);
+        if (solveThrottleForThrust(results.motorParams, thrustN).throttle >= 1) break;
+        const ft = simulateDischarge(results.motorParams, thrustN, results.batteryParams).flightTimeMin;
         if (ft > 0 && ft < 120) {
             data.push({ payload, time: Math.round(ft * 10) / 10 });
         }
@@ -86,22 +92,15 @@ export function FlightTimeVsPayload({ config, results }) {
     );
 }
 
-export function EfficiencyCurve({ config, results }) {
+export function EfficiencyCurve({ results }) {
     if (!results) return null;
 
     const data = [];
-    const rho = results.airDensity;
-    const propDiameterM = (config.propeller.diameterIn || 10) * 0.0254;
-    const ct = results.ct;
-    const cp = results.cp;
-    const maxRPM = results.maxRPM;
 
     for (let t = 10; t <= 100; t += 5) {
-        const rps = (maxRPM * (t / 100)) / 60;
-        const thrust = calcThrust(ct, rho, rps, propDiameterM);
-        const power = calcPropPower(cp, rho, rps, propDiameterM);
-        const thrustG = (thrust / GRAVITY) * 1000;
-        const efficiency = power > 0 ? thrustG / power : 0;
+        const point = solveOperatingPoint(results.motorParams, t / 100);
+        const thrustG = (point.thrust / GRAVITY) * 1000;
+        const efficiency = point.elecPower > 0 ? thrustG / point.elecPower : 0;
         data.push({ throttle: t, efficiency: Math.round(efficiency * 100) / 100 });
     }
 
@@ -122,3 +121,219 @@ export function EfficiencyCurve({ config, results }) {
         </div>
     );
 }
+
+export function DischargeCurve({ results }) {
+    if (!results?.dischargeSeries) return null;
+    if (results.powerSource.type !== 'battery') return <PackOnlyCard title="Battery Discharge (Hover)" results={results} />;
+
+    const data = results.dischargeSeries.map(p => ({
+        time: Math.round(p.timeMin * 10) / 10,
+        voltage: Math.round(p.voltage * 100) / 100,
+        current: Math.round(p.current * 10) / 10,
+    }));
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title">Battery Discharge (Hover)</span>
+            </div>
+            <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                    <XAxis dataKey="time" type="number" domain={[0, 'dataMax']} stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Time (min)', position: 'bottom', offset: -5, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <YAxis yAxisId="v" stroke="var(--text-muted)" tick={{ fontSize: 11 }} domain={['auto', 'auto']} label={{ value: 'Voltage (V)', angle: -90, position: 'insideLeft', offset: 10, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <YAxis yAxisId="a" orientation="right" stroke="var(--text-muted)" tick={{ fontSize: 11 }} domain={['auto', 'auto']} />
+                    <Tooltip contentStyle={{ background: 'var(--bg-card)', border: '1px solid var(--border-color)', borderRadius: 6, fontSize: 12 }} />
+                    <Line yAxisId="v" type="monotone" dataKey="voltage" name="Voltage (V)" stroke="var(--accent)" strokeWidth={2} dot={false} />
+                    <Line yAxisId="a" type="monotone" dataKey="current" name="Current (A)" stroke="var(--yellow)" strokeWidth={2} dot={false} />
+                </LineChart>
+            </ResponsiveContainer>
+            <div style={{ textAlign: 'center', fontSize: 'var(--fs-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
+                <span style={{ color: 'var(--accent)' }}>●</span> Voltage under load · <span style={{ color: 'var(--yellow)' }}>●</span> Total current
+            </div>
+        </div>
+    );
+}
+
+export function FlightThermalChart({ results }) {
+    if (!results?.thermalSeries?.length) return null;
+
+    const data = results.thermalSeries.map(p => ({
+        time: Math.round(p.timeMin * 10) / 10,
+        motor: Math.round(p.motor * 10) / 10,
+        esc: Math.round(p.esc * 10) / 10,
+        battery: Math.round(p.battery * 10) / 10,
+    }));
+    const limits = results.thermalLimits;
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title">Temperature vs Time (Hover)</span>
+            </div>
+            <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                    <XAxis dataKey="time" type="number" domain={[0, 'dataMax']} stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Time (min)', position: 'bottom', offset: -5, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} domain={['auto', 'auto']} label={{ value: 'Temp (°C)', angle: -90, position: 'insideLeft', offset: 10, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <Tooltip contentStyle={{ background: 'var(--bg-card)', border: '1px solid var(--border-color)', borderRadius: 6, fontSize: 12 }} />
+                    <Line type="monotone" dataKey="motor" name="Motor (°C)" stroke="var(--accent)" strokeWidth={2} dot={false} />
+                    <Line type="monotone" dataKey="esc" name="ESC (°C)" stroke="var(--yellow)" strokeWidth={2} dot={false} />
+                    <Line type="monotone" dataKey="battery" name="Battery (°C)" stroke="var(--green)" strokeWidth={2} dot={false} />
+                    {results.peakMotorTemp >= limits.motor * 0.8 && <ReferenceLine y={limits.motor} stroke="var(--accent)" strokeDasharray="3 3" />}
+                    {results.peakEscTemp >= limits.esc * 0.8 && <ReferenceLine y={limits.esc} stroke="var(--yellow)" strokeDasharray="3 3" />}
+                    {results.peakBatteryTemp >= limits.battery * 0.8 && <ReferenceLine y={limits.battery} stroke="var(--green)" strokeDasharray="3 3" />}
+                    {results.thermalLimitTimeMin != null && <ReferenceLine x={Math.round(results.thermalLimitTimeMin * 10) / 10} stroke="var(--red)" strokeDasharray="3 3" />}
+                </LineChart>
+            </ResponsiveContainer>
+            <div style={{ textAlign: 'center', fontSize: 'var(--fs-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
+                <span style={{ color: 'var(--accent)' }}>●</span> Motor · <span style={{ color: 'var(--yellow)' }}>●</span> ESC · <span style={{ color: 'var(--green)' }}>●</span> Battery · dashed lines mark limits near reach
+            </div>
+        </div>
+    );
+}
+
+export function PowerVsAirspeed({ results }) {
+    if (!results?.cruiseSeries?.length) return null;
+
+    const data = results.cruiseSeries.map(p => ({
+        speed: p.speed,
+        power: Math.round(p.power),
+        induced: Math.round(p.inducedPower),
+        profile: Math.round(p.profilePower),
+        parasite: Math.round(p.parasitePower),
+    }));
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title">Power vs Airspeed</span>
+            </div>
+            <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                    <XAxis dataKey="speed" type="number" domain={[0, 'dataMax']} stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Airspeed (m/s)', position: 'bottom', offset: -5, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <YAxis stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Power (W)', angle: -90, position: 'insideLeft', offset: 10, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <Tooltip contentStyle={{ background: 'var(--bg-card)', border: '1px solid var(--border-color)', borderRadius: 6, fontSize: 12 }} />
+                    <Line type="monotone" dataKey="power" name="Electrical" stroke="var(--accent)" strokeWidth={2} dot={false} />
+                    <Line type="monotone" dataKey="induced" name="Induced" stroke="var(--yellow)" strokeWidth={1} strokeDasharray="4 2" dot={false} />
+                    <Line type="monotone" dataKey="profile" name="Profile" stroke="var(--text-muted)" strokeWidth={1} strokeDasharray="4 2" dot={false} />
+                    <Line type="monotone" dataKey="parasite" name="Parasite" stroke="var(--red)" strokeWidth={1} strokeDasharray="4 2" dot={false} />
+                    <ReferenceLine x={results.bestEnduranceSpeed} stroke="var(--green)" strokeDasharray="3 3" />
+                    <ReferenceLine x={results.bestRangeSpeed} stroke="var(--accent)" strokeDasharray="3 3" />
+                </LineChart>
+            </ResponsiveContainer>
+            <div style={{ textAlign: 'center', fontSize: 'var(--fs-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
+                <span style={{ color: 'var(--green)' }}>┆</span> Best endurance · <span style={{ color: 'var(--accent)' }}>┆</span> Best range · dashed: shaft power components
+            </div>
+        </div>
+    );
+}
+
+export function MissionProfileChart({ mission, dischargeDepth }) {
+    if (!mission?.segments?.length) return null;
+
+    const data = [{ time: 0, remaining: 100, altitude: 0 }];
+    mission.segments.forEach(s => {
+        data.push({
+            time: Math.round(s.elapsedMin * 10) / 10,
+            remaining: Math.round(s.remainingPct * 10) / 10,
+            altitude: Math.round(s.endAltitude),
+        });
+    });
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title">Mission Profile</span>
+            </div>
+            <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                    <XAxis dataKey="time" type="number" domain={[0, 'dataMax']} stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Time (min)', position: 'bottom', offset: -5, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <YAxis yAxisId="pct" domain={[0, 100]} stroke="var(--text-muted)" tick={{ fontSize: 11 }} label={{ value: 'Remaining (%)', angle: -90, position: 'insideLeft', offset: 10, style: { fill: 'var(--text-muted)', fontSize: 11 } }} />
+                    <YAxis yAxisId="alt" orientation="right" stroke="var(--text-muted)" tick={{ fontSize: 11 }} />
+                    <Tooltip contentStyle={{ background: 'var(--bg-card)', border: '1px solid var(--border-color)', borderRadius: 6, fontSize: 12 }} />
+                    <Line yAxisId="pct" type="linear" dataKey="remaining" name="Remaining (%)" stroke="var(--accent)" strokeWidth={2} />
+                    <Line yAxisId="alt" type="linear" dataKey="altitude" name="Altitude (m)" stroke="var(--green)" strokeWidth={1} strokeDasharray="4 2" />
+                    <ReferenceLine yAxisId="pct" y={(1 - dischargeDepth) * 100} stroke="var(--red)" strokeDasharray="3 3" />
+                </LineChart>
+            </ResponsiveContainer>
+            <div style={{ textAlign: 'center', fontSize: 'var(--fs-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
+                <span style={{ color: 'var(--accent)' }}>●</span> Remaining capacity · <span style={{ color: 'var(--green)' }}>●</span> Altitude · <span style={{ color: 'var(--red)' }}>●</span> Discharge depth limit
+            </div>
+        </div>
+    );
+}
+
+/** Map efficiency onto a red → green hue; below 40% stays red. */
+function efficiencyColor(eff) {
+    const t = Math.max(0, Math.min(1, (eff - 0.4) / 0.5));
+    return `hsl(${Math.round(t * 140)}, 70%, 45%)`;
+}
+
+export function MotorEfficiencyMap({ results }) {
+    if (!results?.motorParams) return null;
+
+    const { kv, resistance, noLoadCurrent } = results.motorParams;
+    const map = calcMotorEfficiencyMap({
+        kv,
+        resistance,
+        noLoadCurrent,
+        maxCurrent: results.maxMotorCurrent,
+        maxPower: results.maxMotorPower,
+        maxVoltage: results.maxVoltage,
+    });
+    if (map.maxRpm <= 0 || map.maxTorque <= 0) return null;
+
+    const full = solveOperatingPoint(results.motorParams, 1);
+    const torqueAt = (motorCurrent) => map.kt * Math.max(0, motorCurrent - noLoadCurrent);
+    const hover = { rpm: results.hoverRPM, torque: torqueAt(results.hoverMotorCurrent) };
+    const max = { rpm: full.rpm, torque: torqueAt(full.motorCurrent) };
+
+    const W = 600, H = 260, pad = { left: 50, right: 10, top: 10, bottom: 35 };
+    const plotW = W - pad.left - pad.right;
+    const plotH = H - pad.top - pad.bottom;
+    const x = (rpm) => pad.left + (rpm / map.maxRpm) * plotW;
+    const y = (torque) => pad.top + plotH - (torque / map.maxTorque) * plotH;
+    const cellW = (map.rpmStep / map.maxRpm) * plotW;
+    const cellH = (map.torqueStep / map.maxTorque) * plotH;
+    const ticks = [0, 0.25, 0.5, 0.75, 1];
+    const axisStyle = { fill: 'var(--text-muted)', fontSize: 11 };
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title">Motor Efficiency Map</span>
+                <span style={{ fontSize: 'var(--fs-xs)', color: 'var(--text-muted)' }}>Peak {Math.round(map.peakEfficiency * 100)}%</span>
+            </div>
+            <svg viewBox={`0 0 ${W} ${H}`} width="100%" role="img" aria-label="Motor efficiency map">
+                {map.cells.map((c, i) => (
+                    <rect
+                        key={i}
+                        x={x(c.rpm) - cellW / 2}
+                        y={y(c.torque) - cellH / 2}
+                        width={cellW + 0.5}
+                        height={cellH + 0.5}
+                        fill={c.inRange ? efficiencyColor(c.efficiency) : 'var(--bg-input)'}
+                    >
+                        <title>{`${Math.round(c.rpm)} RPM · ${c.torque.toFixed(3)} N·m · ${Math.round(c.efficiency * 100)}%${c.inRange ? '' : ' (out of range)'}`}</title>
+                    </rect>
+                ))}
+                {ticks.map(t => (
+                    <g key={t}>
+                        <text x={x(t * map.maxRpm)} y={H - pad.bottom + 14} textAnchor="middle" style={axisStyle}>{Math.round(t * map.maxRpm)}</text>
+                        <text x={pad.left - 6} y={y(t * map.maxTorque) + 4} textAnchor="end" style={axisStyle}>{(t * map.maxTorque).toFixed(2)}</text>
+                    </g>
+                ))}
+                <text x={pad.left + plotW / 2} y={H - 4} textAnchor="middle" style={axisStyle}>RPM</text>
+                <text x={12} y={pad.top + plotH / 2} textAnchor="middle" transform={`rotate(-90 12 ${pad.top + plotH / 2})`} style={axisStyle}>Torque (N·m)</text>
+                <circle cx={x(max.rpm)} cy={y(max.torque)} r={5} fill="var(--red)" stroke="#fff" strokeWidth={1.5} />
+                <circle cx={x(hover.rpm)} cy={y(hover.torque)} r={5} fill="var(--accent)" stroke="#fff" strokeWidth={1.5} />
+            </svg>
+            <div style={{ textAlign: 'center', fontSize: 'var(--fs-xs)', color: 'var(--text-muted)', marginTop: 'var(--space-sm)' }}>
+                <span style={{ color: 'var(--accent)' }}>●</span> Hover point · <span style={{ color: 'var(--red)' }}>●</span> Max throttle · Grey = beyond current, power or voltage limit
+            </div>
+        </div>
+    );
+}
@@ -2,6 +2,7 @@ import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import { fmt, fmtTime, fmtInt } from '../../utils/helpers.js';
 import { FileDown } from 'lucide-react';
+import { POWER_SOURCES } from '../../utils/physics.js';
 
 export default function PdfExport({ config, results }) {
     const generate = () => {
@@ -34,12 +35,18 @@ export default function PdfExport({ config, results }) {
                 ['Motors', `${config.frame.motorCount}× (${config.frame.layout})`],
                 ['Frame Weight', `${config.frame.frameWeight}g`],
                 ['Payload', `${config.frame.payloadWeight}g`],
+                ...(results.powerSource.type !== 'battery' ? [
+                    ['Power Source', `${POWER_SOURCES[results.powerSource.type].label}: ${fmtInt(results.powerSource.massG)}g with pack, ${fmt(results.powerSource.efficiency * 100, 0)}% efficient`],
+                ] : []),
                 ['Battery', `${config.battery.cellsS}S${config.battery.cellsP}P ${config.battery.capacityMah}mAh ${config.battery.chemistry}`],
                 ['Motor Kv', `${config.motor.kv} RPM/V`],
                 ['Motor Resistance', `${config.motor.resistance}Ω`],
                 ['Propeller', `${config.propeller.diameterIn}×${config.propeller.pitchIn} ${config.propeller.blades}-blade`],
                 ['Altitude', `${config.environment.altitude}m`],
                 ['Temperature', `${config.environment.temperature}°C`],
+                ['Humidity', `${config.environment.humidity ?? 0}%`],
+                ['Station Pressure', `${fmt(results.stationPressureHpa, 1)} hPa`],
+                ['Density Altitude', `${fmtInt(results.densityAltitudeM)}m`],
             ],
             theme: 'grid',
             styles: { fontSize: 9 },
@@ -58,18 +65,57 @@ export default function PdfExport({ config, results }) {
             head: [['Metric', 'Value', 'Status']],
             body: [
                 ['Total Weight', `${fmtInt(results.totalWeightG)}g`, ''],
+                ...(results.massProperties ? [
+                    ['CG Offset (x / y / z)', `${fmt(results.massProperties.cg.x, 1)} / ${fmt(results.massProperties.cg.y, 1)} / ${fmt(results.massProperties.cg.z, 1)} mm`, ''],
+                    ['Inertia Ixx / Iyy / Izz', `${fmt(results.inertia.ixx * 1000, 2)} / ${fmt(results.inertia.iyy * 1000, 2)} / ${fmt(results.inertia.izz * 1000, 2)} g·m²`, ''],
+                ] : []),
                 ['Hover Time', fmtTime(results.flightTimeMin), results.hoverThrottle < 60 ? '✓' : '⚠'],
+                ...(results.ratedFlightTimeMin != null && results.batteryCapacityFactor < 1 ? [
+                    ['Cold Pack Derating', `${fmt(results.packTempC, 0)}°C: −${fmt((1 - results.batteryCapacityFactor) * 100, 0)}% capacity, R ×${fmt(results.batteryResistanceFactor, 1)} (${fmtTime(results.ratedFlightTimeMin)} at 25°C)`, '⚠'],
+                ] : []),
                 ['Hover Throttle', `${fmt(results.hoverThrottle)}%`, results.hoverThrottle < 60 ? '✓' : '⚠'],
                 ['TWR', `${fmt(results.twr, 2)}:1`, results.twr >= 2 ? '✓' : '✗'],
                 ['Max Thrust', `${fmtInt(results.maxTotalThrustG)}g`, ''],
                 ['Max RPM', fmtInt(results.maxRPM), ''],
-                ['Hover Current/Motor', `${fmt(results.hoverCurrentPerMotor)}A`, results.validations.motorCurrentOk ? '✓' : '✗'],
+                ['Prop Tip (max RPM)', `${fmtInt(results.propTip.tipSpeed)} m/s · Mach ${fmt(results.propTip.tipMach, 2)} · limit ${fmtInt(results.propTip.maxSafeRpm)} rpm`, results.validations.tipMachOk && results.validations.propRpmOk ? '✓' : '✗'],
+                ['Tip Reynolds (hover)', fmtInt(results.propTip.tipReynolds), ''],
+                ...(results.tether ? [
+                    ['Tether (operating height)', `${fmtInt(results.tether.operating.heightM)}m · ${fmtInt(results.tether.operating.weightG)}g hanging · ${fmt(results.tether.operating.dropV, 1)}V / ${fmt(results.tether.operating.lossW, 0)}W line loss`, results.validations.tetherOk ? '✓' : '✗'],
+                    ['Tether Hover Ceiling', `${fmtInt(results.tether.maxHeightM)}m${results.tether.limit ? ` (${results.tether.limit} limited)` : ''}`, ''],
+                ] : []),
+                ...(results.coaxial ? [
+                    ['Coaxial Pair Efficiency', `${fmt(results.coaxFactor * 100, 0)}% (${fmtInt(results.coaxial.spacingMm)}mm spacing)`, ''],
+                    ['Upper Rotor (hover)', `${fmtInt(results.coaxial.upper.thrustG)}g · ${fmt(results.coaxial.upper.current)}A · ${fmtInt(results.coaxial.upper.rpm)} rpm`, ''],
+                    ['Lower Rotor (hover)', `${fmtInt(results.coaxial.lower.thrustG)}g · ${fmt(results.coaxial.lower.current)}A · ${fmtInt(results.coaxial.lower.rpm)} rpm`, results.coaxial.lower.current < results.coaxial.lowerMaxCurrent ? '✓' : '✗'],
+                ] : []),
+                ['Hover Current/Motor', `${fmt(results.hoverCurrentPerMotor)}A battery · ${fmt(results.peakMotorCurrent)}A peak winding`, results.validations.motorCurrentOk ? '✓' : '✗'],
+                ['Hottest Motor (hover)', `M${results.hottestMotor.index + 1}: ${fmt(results.hottestMotor.throttle, 0)}% · ${fmt(results.hottestMotor.current)}A · ${fmt(results.hottestMotor.temp, 0)}°C`, results.validations.cgBalanceOk ? '✓' : '✗'],
                 ['Total Hover Power', `${fmt(results.hoverTotalPower, 0)}W`, ''],
                 ['Hover Efficiency', `${fmt(results.hoverEfficiency)} g/W`, ''],
                 ['Battery Voltage (hover)', `${fmt(results.hoverBatteryVoltage)}V`, ''],
                 ['Voltage Sag', `${fmt(results.hoverBatterySag)}V`, ''],
                 ['Motor Temp (5min)', `${fmt(results.motorTemp5min, 0)}°C`, results.validations.motorTempOk ? '✓' : '✗'],
+                ['ESC Temp (end of flight)', `${fmt(results.escTemp, 0)}°C`, results.validations.escTempOk ? '✓' : '✗'],
+                ['Peak Temp Motor / ESC / Battery', `${fmt(results.peakMotorTemp, 0)} / ${fmt(results.peakEscTemp, 0)} / ${fmt(results.peakBatteryTemp, 0)}°C`, results.validations.flightThermalOk ? '✓' : '✗'],
                 ['Wire Power Loss', `${fmt(results.totalWireLoss)}W`, ''],
+                ['Max Range', isFinite(results.maxRangeKm) ? `${fmt(results.maxRangeKm)} km @ ${fmt(results.bestRangeSpeed)} m/s` : 'Tethered', ''],
+                ['Best Endurance', `${fmtTime(results.bestEnduranceMin)} @ ${fmt(results.bestEnduranceSpeed)} m/s`, ''],
+                ['Top Speed', `${fmt(results.topSpeed)} m/s`, ''],
+                ['Wind Hold Time', `${fmtTime(results.windFlightTimeMin)} @ ${fmt(results.windSpeed)} m/s`, results.validations.windHoldOk ? '✓' : '✗'],
+                ['Gust Tilt / Throttle', `${fmt(results.gustTiltDeg)}° / ${fmt(results.gustThrottle)}%`, ''],
+                ['Roll / Pitch / Yaw Accel', `${fmtInt(results.rollAccel * 180 / Math.PI)} / ${fmtInt(results.pitchAccel * 180 / Math.PI)} / ${fmtInt(results.yawAccel * 180 / Math.PI)}°/s²`, results.validations.yawAuthorityOk ? '✓' : '✗'],
+                [`Hover Noise @ ${fmt(results.noise.distanceM, 0)}m`, `${fmt(results.noise.splA, 0)} dB(A) (${fmtInt(results.noise.bladePassFreq)} Hz blade pass)`, ''],
+                ...results.noiseVariants.map(v => [
+                    `  with ${fmt(v.diameterIn)}" ${v.blades}-blade props`,
+                    `${fmt(v.splA, 0)} dB(A) (${v.splA >= results.noise.splA ? '+' : '−'}${fmt(Math.abs(v.splA - results.noise.splA))})`,
+                    '',
+                ]),
+                ...(results.motorOut ? [
+                    ['1 Motor Out (worst)', results.motorOut.single.worst.feasible
+                        ? `${fmt(results.motorOut.single.throttle, 0)}% throttle${results.motorOut.single.worst.yawControl ? '' : ', no yaw control'}`
+                        : 'cannot hover', results.validations.motorOutOk ? '✓' : '✗'],
+                    ['2 Motors Out', `${results.motorOut.double.survivingCases} of ${results.motorOut.double.cases} cases survivable`, ''],
+                ] : []),
             ],
             theme: 'grid',
             styles: { fontSize: 9 },
@@ -92,8 +138,19 @@ export default function PdfExport({ config, results }) {
                 ['ESC current within limit', v.escCurrentOk ? 'PASS' : 'FAIL'],
                 ['Battery discharge < C-rating', v.batteryDischargeOk ? 'PASS' : 'FAIL'],
                 ['TWR ≥ 2.0', v.twrOk ? 'PASS' : 'FAIL'],
-                ['Motor temp < 80°C', v.motorTempOk ? 'PASS' : 'FAIL'],
+                ['Props clear each other and the body', v.propSizeOk ? 'PASS' : 'FAIL'],
+                [`Prop tip Mach < ${fmt(results.tipMachLimit, 2)}`, v.tipMachOk ? 'PASS' : 'FAIL'],
+                ['Max RPM within prop rating', v.propRpmOk ? 'PASS' : 'FAIL'],
+                ['Motor temp < 80°C (hottest motor)', v.motorTempOk ? 'PASS' : 'FAIL'],
+                ['CG balanced within full throttle', v.cgBalanceOk ? 'PASS' : 'FAIL'],
+                ['ESC temp < 100°C', v.escTempOk ? 'PASS' : 'FAIL'],
+                ['No part over temp limit in flight', v.flightThermalOk ? 'PASS' : 'FAIL'],
                 ['Hover throttle < 60%', v.hoverThrottleOk ? 'PASS' : 'FAIL'],
+                ['Figure of merit ≤ 1', v.figureOfMeritOk ? 'PASS' : 'FAIL'],
+                ['Holds position in gusts', v.windHoldOk ? 'PASS' : 'FAIL'],
+                ['Yaw authority for layout', v.yawAuthorityOk ? 'PASS' : 'FAIL'],
+                ...(results.motorOut ? [['Survives 1 motor out', v.motorOutOk ? 'PASS' : 'FAIL']] : []),
+                ...(results.tether ? [['Hovers on tether at operating height', v.tetherOk ? 'PASS' : 'FAIL']] : []),
             ],
             theme: 'grid',
             styles: { fontSize: 9 },
@@ -1,14 +1,49 @@
 import { useState } from 'react';
-import { Save, Trash2, RotateCw } from 'lucide-react';
+import { Save, Trash2, RotateCw, RotateCcw, LineChart, AlertTriangle } from 'lucide-react';
 import { InputField, SliderInput } from '../common/index.jsx';
-import { CHEMISTRY } from '../../utils/physics.js';
-import { fmt } from '../../utils/helpers.js';
+import OcvCurveEditor from './OcvCurveEditor.jsx';
+import DeratingEditor from './DeratingEditor.jsx';
+import { CHEMISTRY, getChemistryVoltages, POWER_SOURCES, AWG_RESISTANCE } from '../../utils/physics.js';
+import { fmt, fmtInt, fmtTime } from '../../utils/helpers.js';
 import { useUnits } from '../../hooks/useUnits.jsx';
 import { addComponent, deleteComponent, getAll } from '../../services/storage.js';
 
-export default function BatteryPanel({ config, onChange, batteries: parentBatteries }) {
+/** What caps the tethered hover height */
+const TETHER_LIMITS = {
+    thrust: 'thrust',
+    power: 'line / supply power',
+};
+
+/** Inputs per power source type; `weight` and `distance` fields follow the display units */
+const SOURCE_FIELDS = {
+    fuelCell: [
+        { key: 'ratedPowerW', label: 'Stack Power', unit: 'W', tooltip: 'Continuous electrical output of the fuel cell stack' },
+        { key: 'efficiency', label: 'Stack Efficiency', unit: '%', tooltip: 'Electrical output over hydrogen energy (LHV), including balance of plant' },
+        { key: 'stackWeightG', label: 'Stack Weight', weight: true },
+        { key: 'tankWeightG', label: 'Tank Weight', weight: true, tooltip: 'Empty hydrogen cylinder with regulator' },
+        { key: 'hydrogenG', label: 'Hydrogen', unit: 'g', tooltip: 'Usable hydrogen mass, e.g. ~45 g in a 2 L, 300 bar cylinder' },
+    ],
+    generator: [
+        { key: 'ratedPowerW', label: 'Generator Power', unit: 'W', tooltip: 'Continuous electrical output of the engine-generator' },
+        { key: 'bsfcGkWh', label: 'Fuel Consumption', unit: 'g/kWh', tooltip: 'Grams of gasoline per kWh of electrical output' },
+        { key: 'weightG', label: 'Generator Weight', weight: true },
+        { key: 'tankWeightG', label: 'Tank Weight', weight: true },
+        { key: 'fuelL', label: 'Fuel', unit: 'L', step: 0.1 },
+    ],
+    tether: [
+        { key: 'supplyVoltage', label: 'Ground Supply Voltage', unit: 'V', tooltip: 'Voltage the ground station puts on the tether' },
+        { key: 'supplyPowerW', label: 'Ground Supply Power', unit: 'W', tooltip: 'Power rating of the ground station' },
+        { key: 'awg', label: 'Conductor AWG', options: Object.keys(AWG_RESISTANCE).map(Number), tooltip: 'Gauge of each of the two tether conductors' },
+        { key: 'massPerMeterG', label: 'Tether Mass', unit: 'g/m', tooltip: 'Mass of one metre of tether, conductors and jacket' },
+        { key: 'efficiency', label: 'DC-DC Efficiency', unit: '%', tooltip: 'Onboard converter from tether voltage to the bus' },
+        { key: 'converterWeightG', label: 'Converter Weight', weight: true },
+        { key: 'heightM', label: 'Operating Height', distance: true, tooltip: 'Height above the ground station; the tether paid out matches it' },
+    ],
+};
+
+export default function BatteryPanel({ config, results, onChange, batteries: parentBatteries, chemistries: parentChemistries }) {
     const b = config.battery;
-    const chem = CHEMISTRY[b.chemistry] || CHEMISTRY.LiPo;
+    const chem = getChemistryVoltages(b.ocvCurve ? { ocv: b.ocvCurve } : b.chemistry);
     const totalVoltage = chem.nominal * b.cellsS;
     const totalCapacity = b.capacityMah * (b.cellsP || 1);
     const maxCurrent = (totalCapacity / 1000) * b.cRating;
@@ -16,6 +51,8 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
     const wAbbr = getAbbr('weight');
     const dw = (grams) => +toDisplay(grams, 'weight').toFixed(wAbbr === 'g' ? 0 : 2);
     const iw = (display) => Math.round(toInternal(display, 'weight'));
+    const distAbbr = getAbbr('distance');
+    const dd = (m) => Math.round(toDisplay(m, 'distance'));
 
     // null = use parent prop; after any CRUD we store fresh DB data here
     const [localList, setLocalList] = useState(null);
@@ -24,6 +61,16 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
     // Use local override if available, otherwise fall back to parent prop
     const batteries = localList ?? parentBatteries ?? [];
 
+    // Custom chemistries follow the same local-override pattern
+    const [localChemistries, setLocalChemistries] = useState(null);
+    const [showCurve, setShowCurve] = useState(false);
+    const chemistries = localChemistries ?? parentChemistries ?? [];
+    const customChem = chemistries.find(c => c.name === b.chemistry);
+    const defaultCurve = CHEMISTRY[b.chemistry]?.ocv ?? customChem?.ocv_curve ?? CHEMISTRY.LiPo.ocv;
+    const activeCurve = b.ocvCurve ?? defaultCurve;
+    const defaultDerating = CHEMISTRY[b.chemistry]?.derating ?? customChem?.derating ?? CHEMISTRY.LiPo.derating;
+    const activeDerating = b.deratingTable ?? defaultDerating;
+
     /** Refresh from DB and store locally */
     const refreshFromDb = () => {
         try {
@@ -34,6 +81,14 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
         }
     };
 
+    const refreshChemistries = () => {
+        try {
+            setLocalChemistries(getAll('chemistries'));
+        } catch (e) {
+            console.error('DB read failed:', e);
+        }
+    };
+
     /** Build DB row from current config */
     const toDbRow = (name) => ({
         name,
@@ -44,8 +99,16 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
         burst_c: b.burstC,
         weight_g: b.weightG,
         internal_resistance_mohm: b.internalResistanceMohm,
+        ocv_curve: b.ocvCurve ?? null,
+        derating: b.deratingTable ?? null,
     });
 
+    const source = b.source ?? { type: 'battery' };
+    const sourceType = POWER_SOURCES[source.type] ? source.type : 'battery';
+    const updateSource = (key, value) => {
+        onChange({ source: { ...source, [sourceType]: { ...source[sourceType], [key]: value } } });
+    };
+
     /** Handle manual changes by clearing selection */
     const handleChange = (updates) => {
         setSelectedId(null);
@@ -66,6 +129,8 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
             burstC: item.burst_c,
             weightG: item.weight_g,
             internalResistanceMohm: item.internal_resistance_mohm,
+            ocvCurve: item.ocv_curve ?? chemistries.find(c => c.name === item.chemistry)?.ocv_curve ?? null,
+            deratingTable: item.derating ?? chemistries.find(c => c.name === item.chemistry)?.derating ?? null,
         });
     };
 
@@ -96,6 +161,42 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
         }
     };
 
+    /** Built-in chemistries use the physics tables; custom ones carry their curve and derating in the config */
+    const handleChemistry = (name) => {
+        const custom = CHEMISTRY[name] ? null : chemistries.find(c => c.name === name);
+        handleChange({ chemistry: name, ocvCurve: custom?.ocv_curve ?? null, deratingTable: custom?.derating ?? null });
+    };
+
+    const handleSaveChemistry = () => {
+        const name = window.prompt('Chemistry name:');
+        if (!name || !name.trim()) return;
+        if (CHEMISTRY[name.trim()]) {
+            alert(`${name.trim()} is a built-in chemistry. Choose another name.`);
+            return;
+        }
+        try {
+            addComponent('chemistries', { name: name.trim(), ocv_curve: activeCurve, derating: activeDerating });
+            refreshChemistries();
+            handleChange({ chemistry: name.trim(), ocvCurve: activeCurve, deratingTable: activeDerating });
+        } catch (e) {
+            console.error('Save failed:', e);
+            alert('Save failed: ' + e.message);
+        }
+    };
+
+    const handleDeleteChemistry = () => {
+        if (!customChem) return;
+        if (!window.confirm(`Delete chemistry ${customChem.name}?`)) return;
+        try {
+            deleteComponent('chemistries', customChem.id);
+            refreshChemistries();
+            handleChange({ chemistry: 'LiPo', ocvCurve: null, deratingTable: null });
+        } catch (e) {
+            console.error('Delete failed:', e);
+            alert('Delete failed: ' + e.message);
+        }
+    };
+
     return (
         <>
             {/* DB selector + CRUD */}
@@ -126,18 +227,59 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
 
             <div className="form-group">
                 <label className="form-label">Chemistry</label>
-                <div className="toggle-group">
-                    {Object.keys(CHEMISTRY).map(ch => (
-                        <button key={ch} className={`toggle-btn ${b.chemistry === ch ? 'active' : ''}`} onClick={() => handleChange({ chemistry: ch })}>
-                            {ch}
-                        </button>
-                    ))}
+                <div style={{ display: 'flex', gap: '4px' }}>
+                    <select
+                        className="form-select"
+                        value={b.chemistry}
+                        onChange={e => handleChemistry(e.target.value)}
+                        style={{ flex: 1 }}
+                    >
+                        <optgroup label="Built-in">
+                            {Object.keys(CHEMISTRY).map(ch => (
+                                <option key={ch} value={ch}>{ch}</option>
+                            ))}
+                        </optgroup>
+                        {chemistries.length > 0 && (
+                            <optgroup label="Custom">
+                                {chemistries.map(c => (
+                                    <option key={c.id} value={c.name}>{c.name}</option>
+                                ))}
+                            </optgroup>
+                        )}
+                    </select>
+                    <button
+                        className={`btn btn-sm ${showCurve ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => setShowCurve(!showCurve)}
+                        title="Edit open-circuit voltage curve and cold derating"
+                    >
+                        <LineChart size={14} />
+                    </button>
                 </div>
                 <div className="form-helper">
-                    Nominal: {chem.nominal}V · Max: {chem.max}V · Min: {chem.min}V
+                    Nominal: {fmt(chem.nominal, 2)}V · Max: {fmt(chem.max, 2)}V · Min: {fmt(chem.min, 2)}V
+                    {(b.ocvCurve || b.deratingTable) && !customChem && ' · edited curve'}
                 </div>
             </div>
 
+            {showCurve && (
+                <>
+                    <OcvCurveEditor curve={activeCurve} onChange={curve => handleChange({ ocvCurve: curve })} />
+                    <label className="form-label">Cold Derating (vs 25°C)</label>
+                    <DeratingEditor table={activeDerating} onChange={table => handleChange({ deratingTable: table })} />
+                    <div className="preset-toolbar" style={{ marginTop: '-4px' }}>
+                        <button className="btn btn-secondary btn-sm" onClick={handleSaveChemistry} title="Save curve and derating as new chemistry">
+                            <Save size={13} />
+                        </button>
+                        <button className="btn btn-danger btn-sm" onClick={handleDeleteChemistry} disabled={!customChem} title="Delete custom chemistry">
+                            <Trash2 size={13} />
+                        </button>
+                        <button className="btn btn-secondary btn-sm" onClick={() => handleChange(CHEMISTRY[b.chemistry] ? { ocvCurve: null, deratingTable: null } : { ocvCurve: defaultCurve, deratingTable: customChem?.derating ?? null })} title="Reset curve and derating to chemistry default">
+                            <RotateCcw size={13} />
+                        </button>
+                    </div>
+                </>
+            )}
+
             <div className="form-row">
                 <InputField label="Series (S)" value={b.cellsS} min={1} max={12} step={1} onChange={v => handleChange({ cellsS: v })} />
                 <InputField label="Parallel (P)" value={b.cellsP} min={1} max={4} step={1} onChange={v => handleChange({ cellsP: v })} />
@@ -154,6 +296,8 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
             <InputField label="Battery Weight" unit={wAbbr} value={dw(b.weightG)} min={0} onChange={v => handleChange({ weightG: iw(v) })} />
 
             <SliderInput label="Discharge Depth" unit="%" tooltip="Usable battery capacity percentage" value={b.dischargeDepth} min={50} max={95} step={5} onChange={v => handleChange({ dischargeDepth: v })} />
+            <InputField label="Low-Voltage Cutoff" unit="V/cell" tooltip="Landing voltage under load. Leave blank for the chemistry minimum." value={b.cutoffVoltage || ''} min={2.5} max={4} step={0.05} onChange={v => handleChange({ cutoffVoltage: v || null })} />
+            <InputField label="Pack Temperature" unit="°C" tooltip="Pack temperature at take-off. Leave blank to use the ambient temperature; pre-warmed packs lose less capacity in the cold." value={b.packTempC ?? ''} min={-30} max={60} step={1} onChange={v => onChange({ packTempC: v === '' ? null : v })} />
 
             <div className="form-group" style={{ marginTop: 'var(--space-md)' }}>
                 <label className="form-label">Calculated</label>
@@ -161,6 +305,78 @@ export default function BatteryPanel({ config, onChange, batteries: parentBatter
                     {fmt(totalVoltage, 1)}V total · {Math.round(totalCapacity).toLocaleString()} mAh · {fmt(maxCurrent, 0)}A max
                 </div>
             </div>
+
+            <div className="form-group" style={{ marginTop: 'var(--space-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--space-sm)' }}>
+                <label className="form-label">Power Source</label>
+                <div className="toggle-group">
+                    {Object.entries(POWER_SOURCES).map(([id, s]) => (
+                        <button key={id} className={`toggle-btn ${sourceType === id ? 'active' : ''}`} onClick={() => onChange({ source: { ...source, type: id } })}>{s.label}</button>
+                    ))}
+                </div>
+                {sourceType !== 'battery' && (
+                    <div className="form-computed">
+                        The pack above is the {sourceType === 'tether' ? 'backup' : 'buffer'} battery and sets the bus voltage.
+                    </div>
+                )}
+            </div>
+            {(SOURCE_FIELDS[sourceType] || []).map(field => {
+                const value = source[sourceType]?.[field.key] ?? POWER_SOURCES[sourceType][field.key];
+                if (field.options) {
+                    return (
+                        <div className="form-group" key={field.key}>
+                            <label className="form-label">{field.label}</label>
+                            <select className="form-select" value={value} title={field.tooltip} onChange={e => updateSource(field.key, Number(e.target.value))}>
+                                {field.options.map(o => <option key={o} value={o}>{o} AWG</option>)}
+                            </select>
+                        </div>
+                    );
+                }
+                if (field.distance) {
+                    return <InputField key={field.key} label={field.label} unit={distAbbr} tooltip={field.tooltip} value={dd(value)} min={0} onChange={v => updateSource(field.key, v === '' ? null : toInternal(v, 'distance'))} />;
+                }
+                return field.weight ? (
+                    <InputField key={field.key} label={field.label} unit={wAbbr} tooltip={field.tooltip} value={dw(value)} min={0} onChange={v => updateSource(field.key, v === '' ? null : iw(v))} />
+                ) : (
+                    <InputField key={field.key} label={field.label} unit={field.unit} tooltip={field.tooltip} value={value} min={0} step={field.step} onChange={v => updateSource(field.key, v === '' ? null : v)} />
+                );
+            })}
+            {results?.powerSource && (
+                <div className="form-group">
+                    <label className="form-label">Source Performance</label>
+                    <div className="form-computed">
+                        {dw(results.powerSource.massG)}{wAbbr} with pack · {fmt(results.powerSource.efficiency * 100, 0)}% efficient · {fmtTime(results.powerSource.enduranceMin)} hover
+                        {results.powerSource.specificEnergyWhKg != null && <> · {fmtInt(results.powerSource.specificEnergyWhKg)} Wh/kg</>}
+                    </div>
+                    {results.tether && (
+                        <div className="form-computed">
+                            At {dd(results.tether.operating.heightM)}{distAbbr}: {fmt(results.tether.operating.current, 2)}A, {fmt(results.tether.operating.dropV, 1)}V drop, {fmt(results.tether.operating.lossW, 0)}W in the line · ceiling {dd(results.tether.maxHeightM)}{distAbbr}{results.tether.limit ? ` (${TETHER_LIMITS[results.tether.limit]})` : ''}
+                        </div>
+                    )}
+                    {results.powerSource.sourcePowerW < results.hoverTotalPower && (
+                        <div className="altitude-warning">
+                            <AlertTriangle size={13} />
+                            <span>Hover needs {fmt(results.hoverTotalPower, 0)}W; the source gives {fmt(results.powerSource.sourcePowerW, 0)}W and the pack covers the rest.</span>
+                        </div>
+                    )}
+                </div>
+            )}
+            {results?.tether && (
+                <table className="comparison-table">
+                    <thead>
+                        <tr><th>Height</th><th>Tether</th><th>Drop</th><th>Ground</th></tr>
+                    </thead>
+                    <tbody>
+                        {results.tether.points.filter((_, i) => i % 2 === 0).map(p => (
+                            <tr key={p.heightM} style={p.feasible && p.thrustOk ? undefined : { color: 'var(--red)' }}>
+                                <td>{dd(p.heightM)}{distAbbr}</td>
+                                <td>{dw(p.weightG)}{wAbbr}</td>
+                                <td>{p.feasible ? `${fmt(p.dropV, 1)}V` : '—'}</td>
+                                <td>{p.feasible ? `${fmt(p.groundPowerW, 0)}W` : 'over limit'}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
         </>
     );
 }
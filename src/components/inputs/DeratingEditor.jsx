@@ -0,0 +1,65 @@
+import { Plus, Minus } from 'lucide-react';
+
+/**
+ * Editable table of cold-weather derating vs pack temperature.
+ * Edited as rows of [°C, resistance factor, capacity factor] and stored as
+ * the { resistance, capacity } tables the physics engine reads.
+ */
+export default function DeratingEditor({ table, onChange }) {
+    const rows = (table?.resistance ?? []).map(([temp, r], i) => [temp, r, table.capacity?.[i]?.[1] ?? '']);
+
+    const emit = (updated) => {
+        onChange({
+            resistance: updated.map(([temp, r]) => [temp, r]),
+            capacity: updated.map(([temp, , c]) => [temp, c]),
+        });
+    };
+
+    const updateRow = (idx, col, val) => {
+        const updated = rows.map(r => [...r]);
+        updated[idx][col] = val;
+        emit(updated);
+    };
+
+    const addRow = () => {
+        emit([...rows, ['', '', '']]);
+    };
+
+    const removeRow = (idx) => {
+        emit(rows.filter((_, i) => i !== idx));
+    };
+
+    const columns = { gridTemplateColumns: '1fr 1fr 1fr auto' };
+
+    return (
+        <div className="form-group">
+            <div className="curve-point" style={columns}>
+                <span className="form-label">Temp (°C)</span>
+                <span className="form-label">Resistance ×</span>
+                <span className="form-label">Capacity ×</span>
+                <button className="btn btn-ghost btn-sm" onClick={addRow} title="Add point">
+                    <Plus size={12} />
+                </button>
+            </div>
+            {rows.map((row, i) => (
+                <div className="curve-point" style={columns} key={i}>
+                    {[[-40, 60, 5], [0.1, 20, 0.1], [0, 1.5, 0.05]].map(([min, max, step], col) => (
+                        <input
+                            key={col}
+                            className="form-input"
+                            type="number"
+                            value={row[col]}
+                            min={min}
+                            max={max}
+                            step={step}
+                            onChange={e => updateRow(i, col, e.target.value === '' ? '' : Number(e.target.value))}
+                        />
+                    ))}
+                    <button className="btn btn-ghost btn-sm" onClick={() => removeRow(i)} disabled={rows.length <= 2} title="Remove point">
+                        <Minus size={12} />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
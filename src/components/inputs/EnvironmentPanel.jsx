@@ -1,12 +1,18 @@
 import { useState, useEffect, useCallback } from 'react';
-import { Save, Trash2, AlertTriangle } from 'lucide-react';
-import { SliderInput } from '../common/index.jsx';
-import { calcAirDensity } from '../../utils/physics.js';
+import { Save, Trash2, AlertTriangle, ClipboardPaste } from 'lucide-react';
+import { InputField, SliderInput } from '../common/index.jsx';
+import { calcAtmosphere, isPressureInRange, STANDARD_QNH_HPA, MIN_PRESSURE_HPA, MAX_PRESSURE_HPA } from '../../utils/atmosphere.js';
+import { parseMetar, metarToEnvironment } from '../../utils/metar.js';
 import { fmt } from '../../utils/helpers.js';
 import { useUnits } from '../../hooks/useUnits.jsx';
 
 const STORAGE_KEY = 'dronecalc_env_presets';
 
+const PRESSURE_MODES = [
+    { id: 'qnh', label: 'QNH', tooltip: 'Altimeter setting reported by the nearest airport, reduced to the field elevation. Leave blank for a standard day.' },
+    { id: 'station', label: 'Station', tooltip: 'Barometer reading at the field itself. Leave blank for a standard day.' },
+];
+
 const DEFAULT_PRESETS = [
     { id: 'p1', name: 'Sea Level / Std Day', altitude: 0, temperature: 15 },
     { id: 'p2', name: 'Hot Day (35°C)', altitude: 0, temperature: 35 },
@@ -24,9 +30,45 @@ function savePresetsToStorage(presets) {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
 }
 
+/** Snapshot of an environment config as a named preset */
+function presetFromEnv(name, env) {
+    return {
+        id: String(Date.now()),
+        name,
+        altitude: Number(env.altitude),
+        temperature: Number(env.temperature),
+        humidity: Number(env.humidity || 0),
+        pressureMode: env.pressureMode || 'qnh',
+        qnhHpa: env.qnhHpa ?? null,
+        stationPressureHpa: env.stationPressureHpa ?? null,
+        windSpeed: Number(env.windSpeed || 0),
+        gustSpeed: Number(env.gustSpeed || 0),
+    };
+}
+
+/** Environment config updates for a preset; older presets carry no wind and leave it alone */
+function envFromPreset(preset) {
+    return {
+        altitude: Number(preset.altitude),
+        temperature: Number(preset.temperature),
+        humidity: Number(preset.humidity ?? 0),
+        pressureMode: preset.pressureMode || 'qnh',
+        qnhHpa: preset.qnhHpa ?? null,
+        stationPressureHpa: preset.stationPressureHpa ?? null,
+        ...(preset.windSpeed != null ? { windSpeed: Number(preset.windSpeed), gustSpeed: Number(preset.gustSpeed ?? preset.windSpeed) } : {}),
+    };
+}
+
 export default function EnvironmentPanel({ config, onChange }) {
     const env = config.environment;
-    const rho = calcAirDensity(env.altitude, env.temperature);
+    const pressureMode = env.pressureMode || 'qnh';
+    const pressureField = pressureMode === 'station' ? 'stationPressureHpa' : 'qnhHpa';
+    const atmosphere = calcAtmosphere({
+        elevationM: env.altitude,
+        tempC: env.temperature,
+        humidityPct: env.humidity || 0,
+        [pressureField]: env[pressureField],
+    });
     const { toDisplay, toInternal, getAbbr } = useUnits();
 
     const distAbbr = getAbbr('distance');
@@ -52,24 +94,48 @@ export default function EnvironmentPanel({ config, onChange }) {
         setSelectedId(id);
         if (!id) return;
         const preset = presets.find(p => p.id === id);
-        if (preset) {
-            onChange({ altitude: Number(preset.altitude), temperature: Number(preset.temperature) });
-        }
+        if (preset) onChange(envFromPreset(preset));
     }, [presets, onChange]);
 
     // Save current values as a new preset
     const handleSave = useCallback(() => {
         const name = window.prompt('Preset name:');
         if (!name || !name.trim()) return;
-        const newPreset = {
-            id: String(Date.now()),
-            name: name.trim(),
-            altitude: Number(env.altitude),
-            temperature: Number(env.temperature),
-        };
+        const newPreset = presetFromEnv(name.trim(), env);
         setPresets(prev => [...prev, newPreset]);
         setSelectedId(newPreset.id);
-    }, [env.altitude, env.temperature]);
+    }, [env]);
+
+    // ── METAR / TAF import ──
+    const [showImport, setShowImport] = useState(false);
+    const [reportText, setReportText] = useState('');
+    const [importNote, setImportNote] = useState('');
+
+    // Fill the environment from a pasted report and keep it as a preset
+    const handleImport = useCallback(() => {
+        let report;
+        try {
+            report = parseMetar(reportText);
+        } catch (e) {
+            alert('Could not read report: ' + e.message);
+            return;
+        }
+        const updates = metarToEnvironment(report);
+        onChange(updates);
+        setSelectedId('');
+        setImportNote(report.elevationM === null
+            ? `${report.station || report.kind}: field elevation unknown, altitude left as set.`
+            : '');
+
+        const name = window.prompt('Preset name:', [report.station, report.time].filter(Boolean).join(' ') || report.kind);
+        if (name && name.trim()) {
+            const newPreset = presetFromEnv(name.trim(), { ...env, ...updates });
+            setPresets(prev => [...prev, newPreset]);
+            setSelectedId(newPreset.id);
+        }
+        setReportText('');
+        setShowImport(false);
+    }, [reportText, env, onChange]);
 
     // Delete selected preset
     const handleDelete = useCallback(() => {
@@ -101,6 +167,13 @@ export default function EnvironmentPanel({ config, onChange }) {
                 >
                     <Save size={13} />
                 </button>
+                <button
+                    className={`btn btn-sm ${showImport ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setShowImport(v => !v)}
+                    title="Paste a METAR or TAF"
+                >
+                    <ClipboardPaste size={13} />
+                </button>
                 <button
                     className="btn btn-danger btn-sm"
                     onClick={handleDelete}
@@ -111,6 +184,24 @@ export default function EnvironmentPanel({ config, onChange }) {
                 </button>
             </div>
 
+            {showImport && (
+                <div className="form-group">
+                    <label className="form-label">METAR / TAF</label>
+                    <textarea
+                        className="form-input"
+                        rows={3}
+                        style={{ resize: 'vertical' }}
+                        placeholder="METAR VOBL 190830Z 27012G22KT 9999 FEW020 29/14 Q1016 NOSIG="
+                        value={reportText}
+                        onChange={e => setReportText(e.target.value)}
+                    />
+                    <button className="btn btn-secondary btn-sm" style={{ marginTop: 'var(--space-xs)' }} onClick={handleImport} disabled={!reportText.trim()}>
+                        Apply &amp; Save Preset
+                    </button>
+                </div>
+            )}
+            {importNote && <div className="form-computed">{importNote}</div>}
+
             <SliderInput
                 label="Altitude" unit={distAbbr}
                 tooltip="Field elevation above sea level"
@@ -129,9 +220,75 @@ export default function EnvironmentPanel({ config, onChange }) {
                 value={env.temperature} min={-20} max={50} step={1}
                 onChange={v => handleChange({ temperature: v })}
             />
+            <SliderInput
+                label="Relative Humidity" unit="%"
+                tooltip="Water vapour is lighter than dry air, so humid air is thinner"
+                value={env.humidity ?? 0} min={0} max={100} step={5}
+                onChange={v => handleChange({ humidity: v })}
+            />
+
             <div className="form-group">
-                <label className="form-label">Computed Air Density</label>
-                <div className="form-computed">{fmt(rho, 4)} kg/m³</div>
+                <label className="form-label">Pressure</label>
+                <div className="toggle-group">
+                    {PRESSURE_MODES.map(m => (
+                        <button key={m.id} className={`toggle-btn ${pressureMode === m.id ? 'active' : ''}`} onClick={() => handleChange({ pressureMode: m.id })}>{m.label}</button>
+                    ))}
+                </div>
+            </div>
+            <InputField
+                label={pressureMode === 'station' ? 'Station Pressure' : 'QNH'} unit="hPa"
+                tooltip={PRESSURE_MODES.find(m => m.id === pressureMode).tooltip}
+                value={env[pressureField] ?? ''} min={MIN_PRESSURE_HPA} max={MAX_PRESSURE_HPA} step={1}
+                onChange={v => handleChange({ [pressureField]: v === '' ? null : v })}
+            />
+            {env[pressureField] != null && !isPressureInRange(env[pressureField]) && (
+                <div className="altitude-warning">
+                    <AlertTriangle size={13} />
+                    <span>{fmt(env[pressureField], 0)} hPa is outside {MIN_PRESSURE_HPA}–{MAX_PRESSURE_HPA} hPa and is ignored; a standard day is used</span>
+                </div>
+            )}
+            {!isPressureInRange(env[pressureField]) && (
+                <div className="form-computed">
+                    Standard day: {fmt(STANDARD_QNH_HPA, 2)} hPa QNH, {fmt(atmosphere.stationPressureHpa, 1)} hPa at the field
+                </div>
+            )}
+
+            <div className="form-row">
+                <div className="form-group">
+                    <label className="form-label">Computed Air Density</label>
+                    <div className="form-computed">{fmt(atmosphere.density, 4)} kg/m³</div>
+                </div>
+                <div className="form-group">
+                    <label className="form-label">Density Altitude</label>
+                    <div className="form-computed">{Math.round(toDisplay(atmosphere.densityAltitudeM, 'distance'))} {distAbbr}</div>
+                </div>
+            </div>
+
+            <div className="form-group" style={{ marginTop: 'var(--space-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--space-sm)' }}>
+                <label className="form-label">Wind</label>
+                <SliderInput
+                    label="Mean Wind" unit="m/s"
+                    tooltip="Steady wind the drone must hold position against"
+                    value={env.windSpeed ?? 0} min={0} max={25} step={0.5}
+                    onChange={v => handleChange({ windSpeed: v })}
+                />
+                <SliderInput
+                    label="Gust Speed" unit="m/s"
+                    tooltip="Peak gust speed; sets the thrust and tilt headroom needed"
+                    value={env.gustSpeed ?? 0} min={0} max={35} step={0.5}
+                    onChange={v => handleChange({ gustSpeed: v })}
+                />
+            </div>
+
+            <div className="form-group" style={{ marginTop: 'var(--space-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--space-sm)' }}>
+                <label className="form-label">Noise</label>
+                <SliderInput
+                    label="Listener Distance" unit={distAbbr}
+                    tooltip="Distance from the hovering drone at which the noise level is estimated"
+                    value={Math.round(toDisplay(env.noiseDistanceM ?? 10, 'distance'))}
+                    min={1} max={Math.round(toDisplay(150, 'distance'))} step={1}
+                    onChange={v => handleChange({ noiseDistanceM: Math.max(1, toInternal(v, 'distance')) })}
+                />
             </div>
         </>
     );
@@ -3,6 +3,13 @@ import { Save, Trash2, RotateCw, Filter } from 'lucide-react';
 import { InputField } from '../common/index.jsx';
 import { useUnits } from '../../hooks/useUnits.jsx';
 import { addComponent, deleteComponent, getAll } from '../../services/storage.js';
+import { ESC_COOLING } from '../../utils/physics.js';
+
+const COOLING_LABELS = {
+    enclosed: 'Enclosed (no airflow)',
+    open: 'Open frame (prop wash)',
+    heatsink: 'Heatsink in airflow',
+};
 
 export default function EscPanel({ config, onChange, escs: parentEscs }) {
     const e = config.esc;
@@ -50,8 +57,11 @@ export default function EscPanel({ config, onChange, escs: parentEscs }) {
         weight_g: e.weightG,
         min_cells: e.minCells || 2,
         max_cells: e.maxCells || 6,
-        // Default values for fields not in UI but present in Schema
-        bec_voltage: 5,
+        pwm_khz: e.pwmKhz || 24,
+        cooling: e.cooling || 'open',
+        board_type: e.boardType || 'single',
+        bec_voltage: e.becVoltage || 5,
+        // Default value for field not in UI but present in Schema
         bec_current: 2
     });
 
@@ -74,6 +84,10 @@ export default function EscPanel({ config, onChange, escs: parentEscs }) {
             weightG: item.weight_g,
             minCells: item.min_cells,
             maxCells: item.max_cells,
+            pwmKhz: item.pwm_khz ?? 24,
+            cooling: item.cooling ?? 'open',
+            boardType: item.board_type ?? 'single',
+            becVoltage: item.bec_voltage ?? 5,
         });
     };
 
@@ -177,6 +191,33 @@ export default function EscPanel({ config, onChange, escs: parentEscs }) {
                 <InputField label="Wire Length" unit="cm" tooltip="Motor-to-ESC wire length" value={e.wireLengthCm} min={1} onChange={v => handleChange({ wireLengthCm: v })} />
             </div>
 
+            <div className="form-group" style={{ marginTop: 'var(--space-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--space-sm)' }}>
+                <label className="form-label">Losses &amp; Cooling</label>
+                <div className="toggle-group">
+                    <button className={`toggle-btn ${(e.boardType || 'single') === 'single' ? 'active' : ''}`} onClick={() => handleChange({ boardType: 'single' })}>Single ESCs</button>
+                    <button className={`toggle-btn ${e.boardType === '4in1' ? 'active' : ''}`} onClick={() => handleChange({ boardType: '4in1' })}>4-in-1 Board</button>
+                </div>
+                <div className="form-row">
+                    <InputField label="PWM Frequency" unit="kHz" tooltip="Switching frequency. Higher is smoother but adds switching and gate-drive loss." value={e.pwmKhz || 24} min={8} max={128} step={1} onChange={v => handleChange({ pwmKhz: v })} />
+                    <div className="form-group">
+                        <label className="form-label">Cooling</label>
+                        <select className="form-select" value={e.cooling || 'open'} onChange={ev => handleChange({ cooling: ev.target.value })}>
+                            {Object.keys(ESC_COOLING).map(key => (
+                                <option key={key} value={key}>{COOLING_LABELS[key] ?? key}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+                <div className="form-row">
+                    <InputField label="BEC Load" unit="A" tooltip="Current drawn from the BEC by the flight controller, receiver, VTX, etc." value={e.becLoadA || 0} min={0} max={10} step={0.1} onChange={v => handleChange({ becLoadA: v })} />
+                    <InputField label="BEC Voltage" unit="V" value={e.becVoltage || 5} min={3.3} max={12} step={0.1} onChange={v => handleChange({ becVoltage: v })} />
+                </div>
+                <div className="toggle-group">
+                    <button className={`toggle-btn ${(e.becType || 'switching') === 'switching' ? 'active' : ''}`} onClick={() => handleChange({ becType: 'switching' })}>Switching BEC</button>
+                    <button className={`toggle-btn ${e.becType === 'linear' ? 'active' : ''}`} onClick={() => handleChange({ becType: 'linear' })}>Linear BEC</button>
+                </div>
+            </div>
+
             <div className="form-group" style={{ marginTop: 'var(--space-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--space-sm)' }}>
                 <label className="form-label">Supported Cells (Voltage)</label>
                 <div className="form-row">
@@ -0,0 +1,61 @@
+import { AlertTriangle } from 'lucide-react';
+import { calcPropClearance } from '../../utils/physics.js';
+import { fmtInt } from '../../utils/helpers.js';
+
+/**
+ * Scaled top view of the frame: body, arms and prop discs, nose up.
+ * Discs that overlap a neighbour or the body are drawn red; coaxial lower
+ * props are dashed.
+ */
+export default function FrameDiagram({ frame, propeller }) {
+    const upperMm = (propeller.diameterIn || 10) * 25.4;
+    const lowerMm = (frame.lowerPropeller?.diameterIn || propeller.diameterIn || 10) * 25.4;
+    const clearance = calcPropClearance(frame, upperMm, lowerMm);
+    const { discs, bodyDiameterMm } = clearance;
+
+    const span = Math.max(...discs.map(d => Math.max(Math.abs(d.x), Math.abs(d.y)) + d.diameterMm / 2), bodyDiameterMm / 2) * 1.1;
+    const stroke = span * 0.008;
+    // Nose up: screen x is body y (right), screen y is −x (forward)
+    const sx = (d) => d.y;
+    const sy = (d) => -d.x;
+
+    return (
+        <div className="form-group">
+            <label className="form-label">Top View</label>
+            <svg viewBox={`${-span} ${-span} ${span * 2} ${span * 2}`} style={{ width: '100%', background: 'var(--bg-input)', borderRadius: 'var(--radius-sm)' }}>
+                {discs.filter(d => d.level !== 'lower').map(d => (
+                    <line key={`arm-${d.index}`} x1={0} y1={0} x2={sx(d)} y2={sy(d)} stroke="var(--text-muted)" strokeWidth={stroke * 3} />
+                ))}
+                <circle cx={0} cy={0} r={bodyDiameterMm / 2} fill="var(--bg-card)" stroke="var(--text-secondary)" strokeWidth={stroke} />
+                <path d={`M 0 ${-span * 0.95} l ${-span * 0.04} ${span * 0.07} h ${span * 0.08} Z`} fill="var(--text-secondary)" />
+                {discs.map(d => (
+                    <g key={d.index}>
+                        <circle
+                            cx={sx(d)}
+                            cy={sy(d)}
+                            r={d.diameterMm / 2}
+                            fill={d.overlapping ? 'var(--red)' : 'var(--accent)'}
+                            fillOpacity={d.level === 'lower' ? 0.05 : 0.15}
+                            stroke={d.overlapping ? 'var(--red)' : 'var(--accent)'}
+                            strokeWidth={stroke}
+                            strokeDasharray={d.level === 'lower' ? `${stroke * 4} ${stroke * 3}` : undefined}
+                        />
+                        <circle cx={sx(d)} cy={sy(d)} r={stroke * 3} fill="var(--text-primary)" />
+                    </g>
+                ))}
+            </svg>
+            <div className="form-computed">
+                Prop gap {fmtInt(clearance.propGapMm)}mm · body gap {fmtInt(clearance.bodyGapMm)}mm · max prop {fmtInt(clearance.maxPropDiameterMm)}mm
+            </div>
+            {clearance.overlaps > 0 && (
+                <div className="altitude-warning">
+                    <AlertTriangle size={13} />
+                    <span>
+                        {clearance.propGapMm < 0 ? `Props overlap by ${fmtInt(-clearance.propGapMm)}mm. ` : ''}
+                        {clearance.bodyGapMm < 0 ? `Props reach ${fmtInt(-clearance.bodyGapMm)}mm over the body.` : ''}
+                    </span>
+                </div>
+            )}
+        </div>
+    );
+}
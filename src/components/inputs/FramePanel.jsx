@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Save, Trash2 } from 'lucide-react';
 import { InputField } from '../common/index.jsx';
+import FrameDiagram from './FrameDiagram.jsx';
 import { useUnits } from '../../hooks/useUnits.jsx';
 
 const CONFIGS = [
@@ -10,6 +11,21 @@ const CONFIGS = [
     { count: 8, label: 'Octo', icon: '✸' },
 ];
 
+/** Layouts; coaxial ones stack an upper and lower rotor on each arm */
+const LAYOUTS = [
+    { id: 'flat', label: 'Flat' },
+    { id: 'coaxial', label: 'Coaxial' },
+    { id: 'y6', label: 'Y6', motorCount: 6 },
+    { id: 'x8', label: 'X8', motorCount: 8 },
+];
+
+/** Arm arrangements; H only applies to four arms */
+const SHAPES = [
+    { id: 'x', label: 'X' },
+    { id: 'plus', label: '+' },
+    { id: 'h', label: 'H', arms: 4 },
+];
+
 const STORAGE_KEY = 'dronecalc_frame_presets';
 
 const DEFAULT_PRESETS = [
@@ -29,7 +45,7 @@ function savePresetsToStorage(presets) {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
 }
 
-export default function FramePanel({ config, onChange }) {
+export default function FramePanel({ config, onChange, motors = [], propellers = [] }) {
     const f = config.frame;
     const { toDisplay, toInternal, getAbbr } = useUnits();
     const wAbbr = getAbbr('weight');
@@ -49,6 +65,60 @@ export default function FramePanel({ config, onChange }) {
         onChange(updates);
     }, [onChange]);
 
+    /** Y6 and X8 fix the motor count; picking another count drops back to flat */
+    const handleMotorCount = (count) => {
+        const fixed = LAYOUTS.find(l => l.id === f.layout)?.motorCount;
+        handleChange(fixed && fixed !== count ? { motorCount: count, layout: 'flat' } : { motorCount: count });
+    };
+
+    const handleLayout = (layout) => {
+        const fixed = layout.motorCount;
+        handleChange(fixed ? { layout: layout.id, motorCount: fixed } : { layout: layout.id });
+    };
+
+    const handleLowerMotor = (id) => {
+        const item = motors.find(m => m.id === Number(id));
+        handleChange({
+            lowerMotor: item ? {
+                id: item.id,
+                name: item.name,
+                kv: item.kv,
+                resistance: item.resistance_ohm,
+                noLoadCurrent: item.no_load_current_a,
+                maxCurrent: item.max_current_a,
+                maxPower: item.max_power_w,
+                weightG: item.weight_g,
+            } : null,
+        });
+    };
+
+    const handleLowerPropeller = (id) => {
+        const item = propellers.find(p => p.id === Number(id));
+        handleChange({
+            lowerPropeller: item ? {
+                id: item.id,
+                diameterIn: item.diameter_in,
+                pitchIn: item.pitch_in,
+                blades: item.blades,
+                weightG: item.weight_g,
+                ct: item.ct,
+                cp: item.cp,
+            } : null,
+        });
+    };
+
+    /** Manual lower-prop edits detach it from the database entry */
+    const updateLowerProp = (updates) => {
+        const { id: _id, ct: _ct, cp: _cp, ...rest } = f.lowerPropeller || {};
+        handleChange({ lowerPropeller: { ...rest, ...updates } });
+    };
+
+    const isCoaxial = (f.layout || 'flat') !== 'flat';
+    const lowerProp = f.lowerPropeller || {};
+    const arms = isCoaxial ? f.motorCount / 2 : f.motorCount;
+    // H falls back to X on anything but four arms, as in the physics layout
+    const shape = f.shape === 'h' && arms !== 4 ? 'x' : (f.shape || 'x');
+
     const handleSelect = useCallback((id) => {
         setSelectedId(id);
         if (!id) return;
@@ -57,10 +127,15 @@ export default function FramePanel({ config, onChange }) {
             onChange({
                 motorCount: Number(preset.motorCount),
                 layout: preset.layout,
+                shape: preset.shape ?? 'x',
+                coaxialSpacingMm: Number(preset.coaxialSpacingMm ?? 60),
                 wheelbaseMm: Number(preset.wheelbaseMm),
+                bodySizeMm: preset.bodySizeMm ?? null,
                 frameWeight: Number(preset.frameWeight),
                 payloadWeight: Number(preset.payloadWeight),
                 payloadCurrent: Number(preset.payloadCurrent),
+                frontalAreaCm2: Number(preset.frontalAreaCm2 ?? 200),
+                dragCoefficient: Number(preset.dragCoefficient ?? 1.0),
             });
         }
     }, [presets, onChange]);
@@ -73,10 +148,15 @@ export default function FramePanel({ config, onChange }) {
             name: name.trim(),
             motorCount: Number(f.motorCount),
             layout: f.layout,
+            shape: f.shape ?? 'x',
+            coaxialSpacingMm: Number(f.coaxialSpacingMm ?? 60),
             wheelbaseMm: Number(f.wheelbaseMm),
+            bodySizeMm: f.bodySizeMm ?? null,
             frameWeight: Number(f.frameWeight),
             payloadWeight: Number(f.payloadWeight),
             payloadCurrent: Number(f.payloadCurrent),
+            frontalAreaCm2: Number(f.frontalAreaCm2),
+            dragCoefficient: Number(f.dragCoefficient),
         };
         setPresets(prev => [...prev, newPreset]);
         setSelectedId(newPreset.id);
@@ -126,7 +206,7 @@ export default function FramePanel({ config, onChange }) {
                         <button
                             key={c.count}
                             className={`config-option ${f.motorCount === c.count ? 'selected' : ''}`}
-                            onClick={() => handleChange({ motorCount: c.count })}
+                            onClick={() => handleMotorCount(c.count)}
                         >
                             <span style={{ fontSize: '1.25rem' }}>{c.icon}</span>
                             <span>{c.label} ({c.count})</span>
@@ -138,16 +218,87 @@ export default function FramePanel({ config, onChange }) {
             <div className="form-group">
                 <label className="form-label">Layout</label>
                 <div className="toggle-group">
-                    <button className={`toggle-btn ${f.layout === 'flat' ? 'active' : ''}`} onClick={() => handleChange({ layout: 'flat' })}>Flat</button>
-                    <button className={`toggle-btn ${f.layout === 'coaxial' ? 'active' : ''}`} onClick={() => handleChange({ layout: 'coaxial' })}>Coaxial</button>
+                    {LAYOUTS.map(l => (
+                        <button key={l.id} className={`toggle-btn ${(f.layout || 'flat') === l.id ? 'active' : ''}`} onClick={() => handleLayout(l)}>{l.label}</button>
+                    ))}
                 </div>
             </div>
 
-            <InputField label="Wheelbase" unit="mm" tooltip="Diagonal distance from motor to motor" value={f.wheelbaseMm} min={50} onChange={v => handleChange({ wheelbaseMm: v })} />
+            <div className="form-group">
+                <label className="form-label">Arm Shape</label>
+                <div className="toggle-group">
+                    {SHAPES.map(sh => (
+                        <button
+                            key={sh.id}
+                            className={`toggle-btn ${shape === sh.id ? 'active' : ''}`}
+                            disabled={sh.arms && sh.arms !== arms}
+                            onClick={() => handleChange({ shape: sh.id })}
+                        >
+                            {sh.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {isCoaxial && (
+                <div className="form-group" style={{ borderTop: '1px solid var(--border-color)', paddingTop: 'var(--space-sm)' }}>
+                    <label className="form-label">Coaxial Rotors</label>
+                    <InputField label="Vertical Spacing" unit="mm" tooltip="Distance between the upper and lower prop planes" value={f.coaxialSpacingMm ?? 60} min={5} max={500} step={5} onChange={v => handleChange({ coaxialSpacingMm: v })} />
+                    <div className="form-group">
+                        <label className="form-label">Lower Motor</label>
+                        <select className="form-select" value={f.lowerMotor?.id ?? ''} onChange={e => handleLowerMotor(e.target.value)}>
+                            <option value="">— Same as upper —</option>
+                            {motors.map(m => (
+                                <option key={m.id} value={m.id}>{m.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Lower Propeller</label>
+                        <select className="form-select" value={lowerProp.id ?? ''} onChange={e => handleLowerPropeller(e.target.value)}>
+                            <option value="">— Same as upper / manual —</option>
+                            {propellers.map(p => (
+                                <option key={p.id} value={p.id}>{p.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-row">
+                        <InputField label="Lower Diameter" unit="in" tooltip="Leave blank to match the upper prop" value={lowerProp.diameterIn ?? ''} min={3} max={40} step={0.1} onChange={v => updateLowerProp({ diameterIn: v === '' ? null : v })} />
+                        <InputField label="Lower Pitch" unit="in" tooltip="Leave blank to match the upper prop. A little more pitch helps the lower rotor in the upper wake." value={lowerProp.pitchIn ?? ''} min={1} max={15} step={0.1} onChange={v => updateLowerProp({ pitchIn: v === '' ? null : v })} />
+                    </div>
+                </div>
+            )}
+
+            <div className="form-row">
+                <InputField label="Wheelbase" unit="mm" tooltip="Diagonal distance from motor to motor" value={f.wheelbaseMm} min={50} onChange={v => handleChange({ wheelbaseMm: v })} />
+                <InputField label="Body Size" unit="mm" tooltip="Centre body diameter for the prop clearance check. Leave blank for a quarter of the wheelbase." value={f.bodySizeMm ?? ''} min={0} onChange={v => handleChange({ bodySizeMm: v === '' ? null : v })} />
+            </div>
+            <FrameDiagram frame={f} propeller={config.propeller} />
 
             <InputField label="Frame Weight" unit={wAbbr} tooltip="Frame weight excluding motors, battery, ESCs" value={dw(f.frameWeight)} min={0} onChange={v => handleChange({ frameWeight: iw(v) })} />
             <InputField label="Payload Weight" unit={wAbbr} tooltip="Cameras, gimbals, accessories" value={dw(f.payloadWeight)} min={0} onChange={v => handleChange({ payloadWeight: iw(v) })} />
             <InputField label="Payload Current" unit="A" tooltip="Current drawn by payload devices" value={f.payloadCurrent} min={0} step={0.1} onChange={v => handleChange({ payloadCurrent: v })} />
+
+            {f.placement ? (
+                <div className="form-group">
+                    <label className="form-label">CG Offset</label>
+                    <div className="form-computed">From Mass Placement</div>
+                </div>
+            ) : (
+                <div className="form-row">
+                    <InputField label="CG Forward" unit="mm" tooltip="CG ahead of the frame centre (negative = behind). Nose-heavy camera rigs load the front motors." value={f.cgOffsetMm?.x ?? ''} step={1} onChange={v => handleChange({ cgOffsetMm: { ...f.cgOffsetMm, x: v === '' ? null : v } })} />
+                    <InputField label="CG Right" unit="mm" tooltip="CG right of the frame centre (negative = left)" value={f.cgOffsetMm?.y ?? ''} step={1} onChange={v => handleChange({ cgOffsetMm: { ...f.cgOffsetMm, y: v === '' ? null : v } })} />
+                </div>
+            )}
+
+            <div className="form-group" style={{ marginTop: 'var(--space-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--space-sm)' }}>
+                <label className="form-label">Forward Flight</label>
+                <div className="form-row">
+                    <InputField label="Frontal Area" unit="cm²" tooltip="Body area facing the airflow in cruise" value={f.frontalAreaCm2} min={1} onChange={v => handleChange({ frontalAreaCm2: v })} />
+                    <InputField label="Drag Coeff." tooltip="Body drag coefficient. ~1.0 for an open frame, ~0.5 for a faired body." value={f.dragCoefficient} min={0.1} max={2} step={0.05} onChange={v => handleChange({ dragCoefficient: v })} />
+                </div>
+                <InputField label="Max Tilt Angle" unit="°" tooltip="Flight controller lean angle limit" value={f.maxTiltDeg} min={10} max={80} step={1} onChange={v => handleChange({ maxTiltDeg: v })} />
+            </div>
         </>
     );
 }
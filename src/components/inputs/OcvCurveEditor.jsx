@@ -0,0 +1,60 @@
+import { Plus, Minus } from 'lucide-react';
+
+/**
+ * Editable table of resting cell voltage vs state of charge.
+ * Curve points are [soc (0–1), volts]; SoC is shown as a percentage.
+ */
+export default function OcvCurveEditor({ curve, onChange }) {
+    const points = curve ?? [];
+
+    const updatePoint = (idx, col, val) => {
+        const updated = points.map(p => [...p]);
+        updated[idx][col] = val === '' ? '' : (col === 0 ? val / 100 : val);
+        onChange(updated);
+    };
+
+    const addPoint = () => {
+        onChange([...points.map(p => [...p]), ['', '']]);
+    };
+
+    const removePoint = (idx) => {
+        onChange(points.filter((_, i) => i !== idx));
+    };
+
+    return (
+        <div className="form-group">
+            <div className="curve-point">
+                <span className="form-label">SoC (%)</span>
+                <span className="form-label">Voltage (V/cell)</span>
+                <button className="btn btn-ghost btn-sm" onClick={addPoint} title="Add point">
+                    <Plus size={12} />
+                </button>
+            </div>
+            {points.map((p, i) => (
+                <div className="curve-point" key={i}>
+                    <input
+                        className="form-input"
+                        type="number"
+                        value={p[0] === '' ? '' : +(p[0] * 100).toFixed(1)}
+                        min={0}
+                        max={100}
+                        step={5}
+                        onChange={e => updatePoint(i, 0, e.target.value === '' ? '' : Number(e.target.value))}
+                    />
+                    <input
+                        className="form-input"
+                        type="number"
+                        value={p[1]}
+                        min={0}
+                        max={5}
+                        step={0.01}
+                        onChange={e => updatePoint(i, 1, e.target.value === '' ? '' : Number(e.target.value))}
+                    />
+                    <button className="btn btn-ghost btn-sm" onClick={() => removePoint(i)} disabled={points.length <= 2} title="Remove point">
+                        <Minus size={12} />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,180 @@
+import { Plus, Minus, Trash2 } from 'lucide-react';
+import { fmt } from '../../utils/helpers.js';
+import { useUnits } from '../../hooks/useUnits.jsx';
+
+/**
+ * Default placement. Frame body, arms, motors, battery and payload take their
+ * mass from the rest of the config (arms are carved out of the frame weight);
+ * the flight controller, gimbal and any added items start at 0 g, as if already
+ * in the frame weight, and any mass entered for them is added to the AUW.
+ * Positions are mm from the frame centre: x forward, y right, z up.
+ */
+const DEFAULT_PLACEMENT = [
+    { id: 'frame', name: 'Frame Body', x: 0, y: 0, z: 0 },
+    { id: 'arms', name: 'Arms', massG: 0, x: 0, y: 0, z: 0 },
+    { id: 'motors', name: 'Motors & Props', x: 0, y: 0, z: 20 },
+    { id: 'battery', name: 'Battery', x: 0, y: 0, z: 30 },
+    { id: 'payload', name: 'Payload', x: 0, y: 0, z: -50 },
+    { id: 'fc', name: 'Flight Controller', massG: 0, x: 0, y: 0, z: 15 },
+    { id: 'gimbal', name: 'Gimbal', massG: 0, x: 60, y: 0, z: -40 },
+];
+
+/** Entries whose mass is set elsewhere in the config */
+const LINKED_IDS = ['frame', 'motors', 'battery', 'payload'];
+
+const POINT_COLORS = {
+    frame: 'var(--text-secondary)',
+    arms: 'var(--text-muted)',
+    motors: 'var(--accent)',
+    battery: 'var(--yellow)',
+    payload: 'var(--green)',
+};
+
+export default function PlacementPanel({ config, results, onChange }) {
+    const placement = config.frame.placement;
+    const { toDisplay, toInternal, getAbbr } = useUnits();
+    const wAbbr = getAbbr('weight');
+    const dw = (grams) => +toDisplay(grams, 'weight').toFixed(wAbbr === 'g' ? 0 : 2);
+    const iw = (display) => Math.round(toInternal(display, 'weight'));
+
+    if (!placement) {
+        return (
+            <div className="form-group">
+                <div className="form-computed" style={{ marginBottom: 'var(--space-sm)' }}>
+                    Inertia is estimated from the layout. Place each mass to get the real CG and inertia tensor.
+                </div>
+                <button className="btn btn-secondary btn-sm" onClick={() => onChange({ placement: DEFAULT_PLACEMENT })}>
+                    <Plus size={13} /> Place Components
+                </button>
+            </div>
+        );
+    }
+
+    /** Mass shown for linked entries, summed over their expanded points */
+    const linkedMass = (id) => (results?.massPoints ?? [])
+        .filter(pt => pt.id === id)
+        .reduce((sum, pt) => sum + pt.massG, 0);
+
+    const updateItem = (idx, updates) => {
+        onChange({ placement: placement.map((item, i) => (i === idx ? { ...item, ...updates } : item)) });
+    };
+
+    const addItem = () => {
+        const name = window.prompt('Component name:');
+        if (!name || !name.trim()) return;
+        onChange({ placement: [...placement, { id: `item-${Date.now()}`, name: name.trim(), massG: 0, x: 0, y: 0, z: 0 }] });
+    };
+
+    const removeItem = (idx) => {
+        onChange({ placement: placement.filter((_, i) => i !== idx) });
+    };
+
+    const props = results?.massProperties?.massG > 0 ? results.massProperties : null;
+    const numberInput = (value, onValue, step = 1) => (
+        <input
+            className="form-input"
+            type="number"
+            value={value ?? ''}
+            step={step}
+            onChange={e => onValue(e.target.value === '' ? '' : Number(e.target.value))}
+        />
+    );
+
+    return (
+        <>
+            <div className="form-group">
+                <div className="placement-row">
+                    <span className="form-label">Component</span>
+                    <span className="form-label">Mass ({wAbbr})</span>
+                    <span className="form-label">x</span>
+                    <span className="form-label">y</span>
+                    <span className="form-label">z (mm)</span>
+                    <button className="btn btn-ghost btn-sm" onClick={addItem} title="Add component">
+                        <Plus size={12} />
+                    </button>
+                </div>
+                {placement.map((item, i) => (
+                    <div className="placement-row" key={item.id}>
+                        <span className="placement-name" title={item.name}>{item.name}</span>
+                        {LINKED_IDS.includes(item.id)
+                            ? <span className="form-computed">{dw(linkedMass(item.id))}</span>
+                            : numberInput(dw(item.massG || 0), v => updateItem(i, { massG: v === '' ? 0 : iw(v) }))}
+                        {numberInput(item.x, v => updateItem(i, { x: v }), 5)}
+                        {numberInput(item.y, v => updateItem(i, { y: v }), 5)}
+                        {numberInput(item.z, v => updateItem(i, { z: v }), 5)}
+                        <button
+                            className="btn btn-ghost btn-sm"
+                            onClick={() => removeItem(i)}
+                            disabled={LINKED_IDS.includes(item.id) || item.id === 'arms'}
+                            title="Remove component"
+                        >
+                            <Minus size={12} />
+                        </button>
+                    </div>
+                ))}
+                <div className="form-computed">
+                    Motors and arms are placed from the frame layout; their x/y/z shift the whole set. Arms mass is part of the frame weight.
+                    Mass entered for the flight controller, gimbal or added items is extra mass on top of the AUW.
+                </div>
+            </div>
+
+            {props && (
+                <>
+                    <div className="form-group">
+                        <label className="form-label">CG Offset</label>
+                        <div className="form-computed">
+                            x {fmt(props.cg.x, 1)} · y {fmt(props.cg.y, 1)} · z {fmt(props.cg.z, 1)} mm
+                        </div>
+                    </div>
+                    <div className="form-group">
+                        <label className="form-label">Inertia Tensor (g·m², about CG)</label>
+                        <div className="form-computed">
+                            Ixx {fmt(props.inertia.ixx * 1000, 2)} · Iyy {fmt(props.inertia.iyy * 1000, 2)} · Izz {fmt(props.inertia.izz * 1000, 2)}
+                            <br />
+                            Ixy {fmt(props.inertia.ixy * 1000, 3)} · Ixz {fmt(props.inertia.ixz * 1000, 3)} · Iyz {fmt(props.inertia.iyz * 1000, 3)}
+                        </div>
+                    </div>
+                    <div className="form-row">
+                        <MassView title="Top" points={results.massPoints} cg={props.cg} axes={['y', 'x']} />
+                        <MassView title="Side" points={results.massPoints} cg={props.cg} axes={['x', 'z']} />
+                    </div>
+                </>
+            )}
+
+            <div className="preset-toolbar">
+                <button className="btn btn-danger btn-sm" onClick={() => onChange({ placement: null })} title="Drop placement and estimate inertia">
+                    <Trash2 size={13} />
+                </button>
+            </div>
+        </>
+    );
+}
+
+/**
+ * Point masses projected on two body axes, sized by mass, with the CG marked.
+ * axes are [horizontal, vertical]; the vertical axis points up on screen.
+ */
+function MassView({ title, points, cg, axes }) {
+    const [h, v] = axes;
+    const span = Math.max(50, ...points.flatMap(p => [Math.abs(p[h]), Math.abs(p[v])])) * 1.2;
+    const maxMass = Math.max(...points.map(p => p.massG));
+    const radius = (massG) => Math.max(span * 0.02, span * 0.08 * Math.sqrt(massG / maxMass));
+
+    return (
+        <div className="form-group">
+            <label className="form-label">{title}</label>
+            <svg viewBox={`${-span} ${-span} ${span * 2} ${span * 2}`} style={{ width: '100%', background: 'var(--bg-input)', borderRadius: 'var(--radius-sm)' }}>
+                <line x1={-span} y1={0} x2={span} y2={0} stroke="var(--border-color)" strokeWidth={span * 0.005} />
+                <line x1={0} y1={-span} x2={0} y2={span} stroke="var(--border-color)" strokeWidth={span * 0.005} />
+                {points.map((p, i) => (
+                    <circle key={i} cx={p[h]} cy={-p[v]} r={radius(p.massG)} fill={POINT_COLORS[p.id] || 'var(--text-primary)'} fillOpacity={0.7}>
+                        <title>{`${p.name}: ${fmt(p.massG, 0)}g`}</title>
+                    </circle>
+                ))}
+                <circle cx={cg[h]} cy={-cg[v]} r={span * 0.04} fill="none" stroke="var(--red)" strokeWidth={span * 0.012} />
+                <line x1={cg[h] - span * 0.07} y1={-cg[v]} x2={cg[h] + span * 0.07} y2={-cg[v]} stroke="var(--red)" strokeWidth={span * 0.008} />
+                <line x1={cg[h]} y1={-cg[v] - span * 0.07} x2={cg[h]} y2={-cg[v] + span * 0.07} stroke="var(--red)" strokeWidth={span * 0.008} />
+            </svg>
+        </div>
+    );
+}
@@ -1,14 +1,16 @@
 import { useState } from 'react';
-import { Save, Trash2, RotateCw } from 'lucide-react';
+import { Save, Trash2, RotateCw, AlertTriangle, Upload } from 'lucide-react';
 import { InputField } from '../common/index.jsx';
-import { estimatePropCoefficients } from '../../utils/physics.js';
-import { fmt } from '../../utils/helpers.js';
+import { estimatePropCoefficients, calcFigureOfMerit, PROP_RPM_LIMITS } from '../../utils/physics.js';
+import { parsePropDataFile, mergePropData } from '../../utils/propData.js';
+import { fmt, fmtInt, readFileAsText } from '../../utils/helpers.js';
 import { useUnits } from '../../hooks/useUnits.jsx';
-import { addComponent, deleteComponent, getAll } from '../../services/storage.js';
+import { addComponent, updateComponent, deleteComponent, getAll, getById } from '../../services/storage.js';
 
-export default function PropellerPanel({ config, onChange, propellers: parentPropellers }) {
+export default function PropellerPanel({ config, onChange, propellers: parentPropellers, propData: parentPropData }) {
     const p = config.propeller;
     const estimated = estimatePropCoefficients(p.diameterIn || 10, p.pitchIn || 4.5, p.blades || 2);
+    const figureOfMerit = calcFigureOfMerit(p.ct || estimated.ct, p.cp || estimated.cp);
     const { toDisplay, toInternal, getAbbr } = useUnits();
     const wAbbr = getAbbr('weight');
     const dw = (grams) => +toDisplay(grams, 'weight').toFixed(wAbbr === 'g' ? 0 : 2);
@@ -21,6 +23,10 @@ export default function PropellerPanel({ config, onChange, propellers: parentPro
     // Use local override if available, otherwise fall back to parent prop
     const propellers = localList ?? parentPropellers ?? [];
 
+    // Measured data sets follow the same local-override pattern
+    const [localPropData, setLocalPropData] = useState(null);
+    const propData = localPropData ?? parentPropData ?? [];
+
     const refreshFromDb = () => {
         try {
             const fresh = getAll('propellers');
@@ -30,6 +36,14 @@ export default function PropellerPanel({ config, onChange, propellers: parentPro
         }
     };
 
+    const refreshPropData = () => {
+        try {
+            setLocalPropData(getAll('propData'));
+        } catch (e) {
+            console.error('DB read failed:', e);
+        }
+    };
+
     const toDbRow = (name) => ({
         name,
         diameter_in: p.diameterIn,
@@ -38,8 +52,14 @@ export default function PropellerPanel({ config, onChange, propellers: parentPro
         weight_g: p.weightG,
         ct: p.ct,
         cp: p.cp,
+        prop_data_id: p.propDataId ?? null,
     });
 
+    /** Config fields for a stored data set (or none) */
+    const perfDataFields = (row) => row
+        ? { propDataId: row.id, perfData: { static: row.static_data, sweeps: row.sweeps } }
+        : { propDataId: null, perfData: null };
+
     /** Handle manual changes by clearing selection */
     const handleChange = (updates) => {
         setSelectedId(null);
@@ -59,9 +79,55 @@ export default function PropellerPanel({ config, onChange, propellers: parentPro
             weightG: item.weight_g,
             ct: item.ct,
             cp: item.cp,
+            ...perfDataFields(item.prop_data_id ? getById('propData', item.prop_data_id) : null),
         });
     };
 
+    /** Attach a measured data set to the config and to the selected propeller */
+    const attachPropData = (row) => {
+        onChange(perfDataFields(row));
+        if (selectedId) {
+            updateComponent('propellers', selectedId, { prop_data_id: row?.id ?? null });
+            refreshFromDb();
+        }
+    };
+
+    const handleSelectPropData = (id) => {
+        attachPropData(id ? propData.find(d => d.id === Number(id)) : null);
+    };
+
+    const handleImport = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.txt,.dat';
+        input.multiple = true;
+        input.onchange = async (e) => {
+            const files = [...(e.target.files || [])];
+            if (!files.length) return;
+            try {
+                const parsed = [];
+                for (const file of files) {
+                    parsed.push(parsePropDataFile(await readFileAsText(file), file.name));
+                }
+                const merged = mergePropData(...parsed);
+                const name = window.prompt('Data set name:', files[0].name.replace(/(_\d+)?\.\w+$/, ''));
+                if (!name || !name.trim()) return;
+                const row = {
+                    name: name.trim(),
+                    source: [...new Set(parsed.map(d => d.source))].join(' + '),
+                    static_data: merged.static,
+                    sweeps: merged.sweeps,
+                };
+                const newId = addComponent('propData', row);
+                refreshPropData();
+                attachPropData({ ...row, id: newId });
+            } catch (err) {
+                alert('Import failed: ' + err.message);
+            }
+        };
+        input.click();
+    };
+
     const handleSave = () => {
         const name = window.prompt('Propeller name:');
         if (!name || !name.trim()) return;
@@ -128,6 +194,18 @@ export default function PropellerPanel({ config, onChange, propellers: parentPro
                 </div>
             </div>
 
+            <div className="form-group">
+                <label className="form-label">Prop Series</label>
+                <div className="toggle-group">
+                    {Object.entries(PROP_RPM_LIMITS).map(([id, series]) => (
+                        <button key={id} className={`toggle-btn ${(p.series || 'mr') === id ? 'active' : ''}`} onClick={() => handleChange({ series: id })}>{series.label}</button>
+                    ))}
+                </div>
+                <div className="form-computed">
+                    Max safe RPM: {fmtInt(PROP_RPM_LIMITS[p.series || 'mr'].constant / (p.diameterIn || 10))} ({fmtInt(PROP_RPM_LIMITS[p.series || 'mr'].constant)} / diameter in inches)
+                </div>
+            </div>
+
             <InputField label="Weight per Prop" unit={wAbbr} value={dw(p.weightG)} min={0} onChange={v => handleChange({ weightG: iw(v) })} />
 
             <div className="form-row">
@@ -141,6 +219,43 @@ export default function PropellerPanel({ config, onChange, propellers: parentPro
                     Ct ≈ {fmt(estimated.ct, 4)} · Cp ≈ {fmt(estimated.cp, 4)}
                 </div>
             </div>
+
+            <div className="form-group">
+                <label className="form-label">Measured Performance Data</label>
+                <div className="preset-toolbar">
+                    <select
+                        className="form-select"
+                        value={p.propDataId ?? ''}
+                        onChange={e => handleSelectPropData(e.target.value)}
+                    >
+                        <option value="">— None (use Ct/Cp) —</option>
+                        {propData.map(d => (
+                            <option key={d.id} value={d.id}>{d.name} ({d.source})</option>
+                        ))}
+                    </select>
+                    <button className="btn btn-secondary btn-sm" onClick={handleImport} title="Import UIUC or APC PER3 files">
+                        <Upload size={13} />
+                    </button>
+                </div>
+                {p.perfData && (
+                    <div className="form-computed">
+                        {p.perfData.static?.length ?? 0} static points · {p.perfData.sweeps?.length ?? 0} RPM sweeps · replaces Ct/Cp
+                    </div>
+                )}
+            </div>
+
+            {!p.perfData && (
+                <div className="form-group">
+                    <label className="form-label">Figure of Merit</label>
+                    <div className="form-computed">{fmt(figureOfMerit, 2)}</div>
+                </div>
+            )}
+            {!p.perfData && figureOfMerit > 1 && (
+                <div className="altitude-warning">
+                    <AlertTriangle size={13} />
+                    <span>This Ct/Cp pair implies a figure of merit above 1, which no real rotor can reach. Check the overrides.</span>
+                </div>
+            )}
         </>
     );
 }
@@ -1,6 +1,7 @@
 import { fmt, fmtTime, fmtInt, getStatus } from '../../utils/helpers.js';
 import { StatusIndicator } from '../common/index.jsx';
-import { Clock, Gauge, Zap, Thermometer, ShieldCheck } from 'lucide-react';
+import { POWER_SOURCES } from '../../utils/physics.js';
+import { Clock, Gauge, Zap, Thermometer, ShieldCheck, Navigation, Wind, ArrowUpDown, Layers, Rotate3d, Scale, Fan, Volume2 } from 'lucide-react';
 
 export default function ResultsDashboard({ results }) {
     if (!results) {
@@ -11,13 +12,30 @@ export default function ResultsDashboard({ results }) {
         <div className="card-grid">
             <HoverCard results={results} />
             <ThrustCard results={results} />
+            {results.coaxial && <CoaxialCard results={results} />}
+            <PropTipCard results={results} />
+            {isUnevenSplit(results.perMotor) && <MotorLoadingCard results={results} />}
             <ElectricalCard results={results} />
             <ThermalCard results={results} />
+            <CruiseCard results={results} />
+            <VerticalCard results={results} />
+            <WindCard results={results} />
+            <ControlCard results={results} />
+            <NoiseCard results={results} />
             <ValidationCard results={results} />
         </div>
     );
 }
 
+const FLIGHT_END_LABELS = {
+    capacity: 'Discharge depth',
+    cutoff: 'Low-voltage cutoff',
+    thrust: 'Thrust',
+    fuel: 'Fuel',
+    buffer: 'Buffer battery',
+    tether: 'Nothing (tethered)',
+};
+
 function HoverCard({ results }) {
     const timeStatus = getStatus(results.hoverThrottle, 50, 70);
     return (
@@ -27,12 +45,22 @@ function HoverCard({ results }) {
                 <StatusIndicator status={timeStatus} />
             </div>
             <div className="card-value">{fmtTime(results.flightTimeMin)}</div>
-            <div className="card-subtitle">Estimated hover time</div>
+            <div className="card-subtitle">Estimated hover time{results.powerSource.type !== 'battery' ? ` on ${POWER_SOURCES[results.powerSource.type].label.toLowerCase()}` : ''}</div>
             <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
                 <MetricRow label="Throttle" value={`${fmt(results.hoverThrottle)}%`} />
                 <MetricRow label="Current/Motor" value={`${fmt(results.hoverCurrentPerMotor)}A`} />
                 <MetricRow label="Total Current" value={`${fmt(results.hoverTotalCurrent)}A`} />
                 <MetricRow label="Efficiency" value={`${fmt(results.hoverEfficiency)} g/W`} />
+                <MetricRow label="Limited By" value={FLIGHT_END_LABELS[results.flightEndReason] || '—'} />
+                {results.ratedFlightTimeMin != null && results.batteryCapacityFactor < 1 && (
+                    <>
+                        <MetricRow
+                            label={`Cold Pack (${fmt(results.packTempC, 0)}°C)`}
+                            value={`−${fmt((1 - results.batteryCapacityFactor) * 100, 0)}% cap · R ×${fmt(results.batteryResistanceFactor, 1)}`}
+                        />
+                        <MetricRow label="At 25°C Pack" value={fmtTime(results.ratedFlightTimeMin)} />
+                    </>
+                )}
             </div>
         </div>
     );
@@ -53,6 +81,92 @@ function ThrustCard({ results }) {
                 <MetricRow label="Total Weight" value={`${fmtInt(results.totalWeightG)}g`} />
                 <MetricRow label="Max RPM" value={fmtInt(results.maxRPM)} />
                 <MetricRow label="Hover RPM" value={fmtInt(results.hoverRPM)} />
+                <MetricRow label="Disk Loading" value={`${fmt(results.diskLoading, 0)} N/m²`} />
+                <MetricRow label="Ideal Power" value={`${fmt(results.idealHoverPower, 0)}W`} />
+                <MetricRow label="Figure of Merit" value={fmt(results.figureOfMerit, 2)} />
+            </div>
+        </div>
+    );
+}
+
+function PropTipCard({ results }) {
+    const tip = results.propTip;
+    const status = getStatus(tip.tipMach, results.tipMachLimit * 0.85, results.tipMachLimit);
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><Fan size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> Prop Tips</span>
+                <StatusIndicator status={status} />
+            </div>
+            <div className="card-value">M {fmt(tip.tipMach, 2)}</div>
+            <div className="card-subtitle">Tip Mach at max RPM (limit {fmt(results.tipMachLimit, 2)})</div>
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                <MetricRow label="Tip Speed" value={`${fmtInt(tip.tipSpeed)} m/s`} />
+                <MetricRow label="Max / Safe RPM" value={`${fmtInt(tip.maxRpm)} / ${fmtInt(tip.maxSafeRpm)}`} />
+                <MetricRow label="Hover Tip Speed" value={`${fmtInt(tip.hoverTipSpeed)} m/s`} />
+                <MetricRow label="Hover Tip Re" value={fmtInt(tip.tipReynolds)} />
+            </div>
+        </div>
+    );
+}
+
+const LAYOUT_LABELS = {
+    coaxial: 'Coaxial',
+    y6: 'Y6',
+    x8: 'X8',
+};
+
+function CoaxialCard({ results }) {
+    const c = results.coaxial;
+    const status = getStatus(results.coaxFactor, 0.85, 0.75, true);
+    const rotorValue = (r) => `${fmtInt(r.thrustG)}g · ${fmt(r.current)}A · ${fmtInt(r.rpm)} rpm`;
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><Layers size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> {LAYOUT_LABELS[results.layout] || 'Coaxial'} Pairs</span>
+                <StatusIndicator status={status} />
+            </div>
+            <div className="card-value">{fmt(results.coaxFactor * 100, 0)}%</div>
+            <div className="card-subtitle">Pair efficiency vs isolated rotors</div>
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                <MetricRow label="Upper (hover)" value={rotorValue(c.upper)} />
+                <MetricRow label="Lower (hover)" value={rotorValue(c.lower)} />
+                <MetricRow label="Lower Thrust Share" value={`${fmt(c.lowerThrustShare * 100, 0)}%`} />
+                <MetricRow label="Pair Throttle" value={`${fmt(c.throttle)}%`} />
+                <MetricRow label="Spacing / Wake" value={`${fmtInt(c.spacingMm)}mm · ${fmt(c.wakeVelocity)} m/s`} />
+            </div>
+        </div>
+    );
+}
+
+/** True when the CG offset loads some motors noticeably more than others */
+function isUnevenSplit(perMotor) {
+    const thrusts = perMotor.map(m => m.thrustG);
+    return Math.max(...thrusts) > Math.min(...thrusts) * 1.01 + 1;
+}
+
+function MotorLoadingCard({ results }) {
+    const hot = results.hottestMotor;
+    const status = getStatus(hot.temp, 70, 80);
+    const motorLabel = (m) => `M${m.index + 1}${m.level === 'flat' ? '' : ` ${m.level}`}`;
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><Scale size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> Motor Loading</span>
+                <StatusIndicator status={status} />
+            </div>
+            <div className="card-value">{fmt(hot.temp, 0)}°C</div>
+            <div className="card-subtitle">
+                Hottest motor {motorLabel(hot)} · CG {fmt(results.cgOffsetMm.x, 0)} / {fmt(results.cgOffsetMm.y, 0)} mm
+            </div>
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                {results.perMotor.map(m => (
+                    <MetricRow
+                        key={m.index}
+                        label={motorLabel(m)}
+                        value={`${fmtInt(m.thrustG)}g · ${fmt(m.throttle, 0)}% · ${fmt(m.current)}A · ${fmt(m.temp, 0)}°C`}
+                    />
+                ))}
             </div>
         </div>
     );
@@ -81,6 +195,12 @@ function ElectricalCard({ results }) {
     );
 }
 
+const THERMAL_PART_LABELS = {
+    motor: 'Motor',
+    esc: 'ESC',
+    battery: 'Battery',
+};
+
 function ThermalCard({ results }) {
     const tempStatus = getStatus(results.motorTemp5min, 80, 120);
     return (
@@ -94,24 +214,178 @@ function ThermalCard({ results }) {
             <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
                 <MetricRow label="Copper Loss" value={`${fmt(results.copperLossPerMotor)}W`} />
                 <MetricRow label="Motor Eff." value={`${fmt(results.motorEfficiency * 100)}%`} />
+                <MetricRow label="ESC Temp" value={`${fmt(results.escTemp, 0)}°C`} />
+                <MetricRow label="ESC Board Loss" value={`${fmt(results.escBoardLoss)}W`} />
+                <MetricRow label="Switching / Gate" value={`${fmt(results.escSwitchingLoss, 2)}W / ${fmt(results.escGateDriveLoss, 2)}W`} />
+                <MetricRow label="Peak Motor / ESC / Batt" value={`${fmt(results.peakMotorTemp, 0)} / ${fmt(results.peakEscTemp, 0)} / ${fmt(results.peakBatteryTemp, 0)}°C`} />
+                <MetricRow
+                    label="Over Limit"
+                    value={results.thermalLimitPart ? `${THERMAL_PART_LABELS[results.thermalLimitPart]} @ ${fmtTime(results.thermalLimitTimeMin)}` : 'Never'}
+                />
+            </div>
+        </div>
+    );
+}
+
+function CruiseCard({ results }) {
+    const speedStatus = getStatus(results.topSpeed, 15, 10, true);
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><Navigation size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> Forward Flight</span>
+                <StatusIndicator status={speedStatus} />
+            </div>
+            {isFinite(results.maxRangeKm) ? (
+                <>
+                    <div className="card-value">{fmt(results.maxRangeKm)} km</div>
+                    <div className="card-subtitle">Max range @ {fmt(results.bestRangeSpeed)} m/s{results.powerSource.type !== 'battery' ? ` on ${POWER_SOURCES[results.powerSource.type].label.toLowerCase()}` : ''}</div>
+                </>
+            ) : (
+                <>
+                    <div className="card-value">Tethered</div>
+                    <div className="card-subtitle">Range set by the tether length</div>
+                </>
+            )}
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                <MetricRow label="Best Endurance" value={`${fmt(results.bestEnduranceSpeed)} m/s`} />
+                <MetricRow label="Endurance" value={fmtTime(results.bestEnduranceMin)} />
+                <MetricRow label="Best Range" value={`${fmt(results.bestRangeSpeed)} m/s`} />
+                <MetricRow label="Top Speed" value={`${fmt(results.topSpeed)} m/s`} />
             </div>
         </div>
     );
 }
 
+function VerticalCard({ results }) {
+    const climbStatus = getStatus(results.maxClimbRate, 3, 1.5, true);
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><ArrowUpDown size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> Vertical</span>
+                <StatusIndicator status={climbStatus} />
+            </div>
+            <div className="card-value">{fmt(results.maxClimbRate)} m/s</div>
+            <div className="card-subtitle">Max sustained climb rate</div>
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                <MetricRow label="Climb Current" value={`${fmt(results.climbTotalCurrent)}A`} />
+                <MetricRow label="Climb Power" value={`${fmt(results.climbPower, 0)}W`} />
+                <MetricRow label="Induced Velocity" value={`${fmt(results.hoverInducedVelocity)} m/s`} />
+                <MetricRow label="Max Descent" value={`${fmt(results.maxDescentRate)} m/s`} />
+                <MetricRow label="VRS Onset" value={`${fmt(results.vrsOnsetRate)} m/s`} />
+            </div>
+        </div>
+    );
+}
+
+const WIND_LIMIT_LABELS = {
+    thrust: 'Out of thrust',
+    tilt: 'Tilt limit',
+};
+
+function WindCard({ results }) {
+    const windStatus = results.validations.windHoldOk ? getStatus(results.gustThrottle, 70, 85) : 'danger';
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><Wind size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> Wind Hold</span>
+                <StatusIndicator status={windStatus} />
+            </div>
+            <div className="card-value">{fmtTime(results.windFlightTimeMin)}</div>
+            <div className="card-subtitle">Hold time in {fmt(results.windSpeed)} m/s wind</div>
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                <MetricRow label="Tilt" value={`${fmt(results.windTiltDeg)}° / ${fmt(results.gustTiltDeg)}° gust`} />
+                <MetricRow label="Extra Thrust" value={`+${fmt(results.windExtraThrustPct)}% gust`} />
+                <MetricRow label="Throttle" value={`${fmt(results.windThrottle)}% / ${fmt(results.gustThrottle)}% gust`} />
+                <MetricRow label="Total Current" value={`${fmt(results.windTotalCurrent)}A`} />
+                <MetricRow label="Limited By" value={WIND_LIMIT_LABELS[results.windLimit] || '—'} />
+            </div>
+        </div>
+    );
+}
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+function ControlCard({ results }) {
+    const status = getStatus(results.yawAccel, results.yawAccelMin * 2, results.yawAccelMin, true);
+    const accel = (radS2) => `${fmtInt(radS2 * RAD_TO_DEG)}°/s²`;
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><Rotate3d size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> Control Authority</span>
+                <StatusIndicator status={status} />
+            </div>
+            <div className="card-value">{accel(results.yawAccel)}</div>
+            <div className="card-subtitle">Yaw acceleration at hover (min {accel(results.yawAccelMin)})</div>
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                <MetricRow label="Roll" value={`${fmt(results.rollTorque, 2)} N·m · ${accel(results.rollAccel)}`} />
+                <MetricRow label="Pitch" value={`${fmt(results.pitchTorque, 2)} N·m · ${accel(results.pitchAccel)}`} />
+                <MetricRow label="Yaw" value={`${fmt(results.yawTorque, 3)} N·m · ${accel(results.yawAccel)}`} />
+                <MetricRow label="Inertia Ixx / Izz" value={`${fmt(results.inertia.ixx * 1000, 1)} / ${fmt(results.inertia.izz * 1000, 1)} g·m²`} />
+            </div>
+        </div>
+    );
+}
+
+function NoiseCard({ results }) {
+    const { noise, noiseVariants } = results;
+    const delta = (splA) => {
+        const d = splA - noise.splA;
+        return `${d >= 0 ? '+' : '−'}${fmt(Math.abs(d))}`;
+    };
+    return (
+        <div className="card">
+            <div className="card-header">
+                <span className="card-title"><Volume2 size={14} style={{ marginRight: 4, verticalAlign: -2 }} /> Noise</span>
+            </div>
+            <div className="card-value">{fmt(noise.splA, 0)} dB(A)</div>
+            <div className="card-subtitle">Hover at {fmt(noise.distanceM, 0)} m</div>
+            <div style={{ marginTop: 'var(--space-2xl)', display: 'grid', gap: 'var(--space-md)' }}>
+                <MetricRow label="Per Rotor" value={`${fmt(noise.rotorSplA)} dB(A)`} />
+                <MetricRow label="Blade Pass / Peak" value={`${fmtInt(noise.bladePassFreq)} Hz / ${fmt(noise.peakFreq / 1000)} kHz`} />
+                {noiseVariants.map(v => (
+                    <MetricRow
+                        key={`${v.diameterIn}-${v.blades}`}
+                        label={`${fmt(v.diameterIn)}" ${v.blades}-blade`}
+                        value={`${fmt(v.splA, 0)} dB(A) (${delta(v.splA)})`}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/** Describe the worst single motor failure */
+function motorOutLabel({ single, double }) {
+    const pairs = double ? ` · ${double.survivingCases}/${double.cases} double failures survivable` : '';
+    if (single.survives) return `Survives 1 motor out (worst ${fmt(single.throttle, 0)}% throttle)${pairs}`;
+    if (!single.worst.feasible) return `Cannot hover with 1 motor out${pairs}`;
+    if (!single.worst.yawControl) return `Hovers with 1 motor out but loses yaw control${pairs}`;
+    return `1 motor out needs more than full throttle${pairs}`;
+}
+
 function ValidationCard({ results }) {
     const v = results.validations;
     const checks = [
-        { ok: v.motorCurrentOk, label: `Motor current ${fmt(results.hoverCurrentPerMotor)}A < max` },
+        { ok: v.motorCurrentOk, label: `Motor current ${fmt(results.peakMotorCurrent)}A < max (worst-loaded motor)` },
         { ok: v.escCurrentOk, label: `ESC current within rating` },
         { ok: v.batteryDischargeOk, label: `Battery discharge < C-rating` },
         { ok: v.batteryBurstOk, label: `Max Current < Burst (${fmt(results.maxBurstCurrent)}A)` },
         { ok: v.escVoltageOk, label: `ESC Voltage: ${results.batteryCells}S vs ${results.escMinCells}-${results.escMaxCells}S` },
         { ok: v.motorVoltageOk, label: `Motor Voltage: ${results.batteryCells}S vs ${results.motorMinCells}-${results.motorMaxCells}S` },
         { ok: v.twrOk, label: `TWR ≥ 2.0 (${fmt(results.twr, 2)})` },
-        { ok: v.propSizeOk, label: `Propeller size < max (${fmtInt(results.maxPropDiameterMm)}mm)` },
+        { ok: v.propSizeOk, label: `Prop clearance ${fmtInt(results.propClearance.propGapMm)}mm, body ${fmtInt(results.propClearance.bodyGapMm)}mm (max ${fmtInt(results.maxPropDiameterMm)}mm prop)` },
+        { ok: v.tipMachOk, label: `Prop tips subsonic: Mach ${fmt(results.propTip.tipMach, 2)} < ${fmt(results.tipMachLimit, 2)}` },
+        { ok: v.propRpmOk, label: `Max RPM ${fmtInt(results.propTip.maxRpm)} ≤ prop limit ${fmtInt(results.propTip.maxSafeRpm)}` },
         { ok: v.motorTempOk, label: `Motor temp < 80°C (${fmt(results.motorTemp5min, 0)}°C)` },
+        { ok: v.escTempOk, label: `ESC temp < 100°C (${fmt(results.escTemp, 0)}°C)` },
+        { ok: v.flightThermalOk, label: `No part over its temp limit during flight` },
+        { ok: v.cgBalanceOk, label: `CG balanced in hover (max motor ${fmt(results.maxMotorThrottle, 0)}%)` },
         { ok: v.hoverThrottleOk, label: `Hover throttle < 60% (${fmt(results.hoverThrottle)}%)` },
+        { ok: v.figureOfMeritOk, label: `Figure of merit ≤ 1 (${fmt(results.figureOfMerit, 2)})` },
+        { ok: v.windHoldOk, label: `Holds position in ${fmt(results.gustSpeed)} m/s gusts` },
+        { ok: v.yawAuthorityOk, label: `Yaw authority ≥ ${fmtInt(results.yawAccelMin * RAD_TO_DEG)}°/s² (${fmtInt(results.yawAccel * RAD_TO_DEG)}°/s²)` },
+        ...(results.motorOut ? [{ ok: v.motorOutOk, label: motorOutLabel(results.motorOut) }] : []),
+        ...(results.tether ? [{ ok: v.tetherOk, label: `Tether holds at ${fmtInt(results.tether.operating.heightM)}m (${fmt(results.tether.operating.dropV, 1)}V drop, ceiling ${fmtInt(results.tether.maxHeightM)}m)` }] : []),
     ];
 
     const cardStyle = {
@@ -14,6 +14,9 @@ const BACKUP_KEYS = [
     'dronecalc_motors',
     'dronecalc_propellers',
     'dronecalc_escs',
+    'dronecalc_chemistries',
+    'dronecalc_prop_data',
+    'dronecalc_mission',
     'dronecalc_storage_version'
 ];
 
@@ -9,14 +9,31 @@ const DEFAULT_CONFIG = {
     environment: {
         altitude: 46,
         temperature: 30,
+        humidity: 0,
+        pressureMode: 'qnh',
+        qnhHpa: null,
+        stationPressureHpa: null,
+        windSpeed: 0,
+        gustSpeed: 0,
+        noiseDistanceM: 10,
     },
     frame: {
         motorCount: 4,
         layout: 'flat',
+        shape: 'x',
         frameWeight: 300,
         payloadWeight: 0,
         payloadCurrent: 0,
         wheelbaseMm: 350,
+        bodySizeMm: null,
+        frontalAreaCm2: 200,
+        dragCoefficient: 1.0,
+        maxTiltDeg: 45,
+        coaxialSpacingMm: 60,
+        lowerMotor: null,
+        lowerPropeller: null,
+        placement: null,
+        cgOffsetMm: null,
     },
     battery: {
         chemistry: 'LiPo',
@@ -28,6 +45,11 @@ const DEFAULT_CONFIG = {
         weightG: 480,
         internalResistanceMohm: 5,
         dischargeDepth: 80,
+        cutoffVoltage: null,
+        ocvCurve: null,
+        deratingTable: null,
+        packTempC: null,
+        source: { type: 'battery' },
     },
     esc: {
         continuousA: 30,
@@ -36,6 +58,12 @@ const DEFAULT_CONFIG = {
         weightG: 8,
         wireAwg: 14,
         wireLengthCm: 20,
+        pwmKhz: 24,
+        cooling: 'open',
+        boardType: 'single',
+        becLoadA: 0,
+        becVoltage: 5,
+        becType: 'switching',
     },
     motor: {
         kv: 920,
@@ -52,9 +80,12 @@ const DEFAULT_CONFIG = {
         diameterIn: 10,
         pitchIn: 4.5,
         blades: 2,
+        series: 'mr',
         weightG: 15,
         ct: null,
         cp: null,
+        propDataId: null,
+        perfData: null,
     },
 };
 
@@ -1,17 +1,18 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Mountain, Box, Battery, Cpu, Settings2, Fan, BrainCircuit, Save, Upload, RotateCcw, FileInput, Download } from 'lucide-react';
+import { Mountain, Box, Crosshair, Battery, Cpu, Settings2, Fan, BrainCircuit, Save, Upload, RotateCcw, FileInput, Download } from 'lucide-react';
 import { downloadFile, readFileAsText } from '../utils/helpers.js';
 
 import { AccordionPanel } from '../components/common/index.jsx';
 import EnvironmentPanel from '../components/inputs/EnvironmentPanel.jsx';
 import FramePanel from '../components/inputs/FramePanel.jsx';
+import PlacementPanel from '../components/inputs/PlacementPanel.jsx';
 import BatteryPanel from '../components/inputs/BatteryPanel.jsx';
 import EscPanel from '../components/inputs/EscPanel.jsx';
 import MotorPanel from '../components/inputs/MotorPanel.jsx';
 import PropellerPanel from '../components/inputs/PropellerPanel.jsx';
 import ResultsDashboard from '../components/results/ResultsDashboard.jsx';
-import { ThrustVsThrottle, FlightTimeVsPayload, EfficiencyCurve } from '../components/charts/Charts.jsx';
+import { ThrustVsThrottle, FlightTimeVsPayload, EfficiencyCurve, DischargeCurve, PowerVsAirspeed, MotorEfficiencyMap, FlightThermalChart } from '../components/charts/Charts.jsx';
 import { ComparisonMode } from '../components/features/Features.jsx';
 import UnitSettings from '../components/features/UnitSettings.jsx';
 import PdfExport from '../components/features/PdfExport.jsx';
@@ -20,7 +21,7 @@ import { getAll } from '../services/storage.js';
 export default function CalculatorPage({ config, results, updateSection, setFullConfig, resetConfig, saveDefaultConfig }) {
     const navigate = useNavigate();
     const [activeTab, setActiveTab] = useState('dashboard');
-    const [dbData, setDbData] = useState({ motors: [], propellers: [], batteries: [], escs: [] });
+    const [dbData, setDbData] = useState({ motors: [], propellers: [], batteries: [], escs: [], chemistries: [], propData: [] });
     const [dbReady, setDbReady] = useState(false);
 
     // Load Data from LocalStorage
@@ -30,6 +31,8 @@ export default function CalculatorPage({ config, results, updateSection, setFull
             propellers: getAll('propellers'),
             batteries: getAll('batteries'),
             escs: getAll('escs'),
+            chemistries: getAll('chemistries'),
+            propData: getAll('propData'),
         };
         setDbData(data);
         setDbReady(true);
@@ -91,11 +94,15 @@ export default function CalculatorPage({ config, results, updateSection, setFull
                 </AccordionPanel>
 
                 <AccordionPanel title="Frame" icon={Box} defaultOpen={false}>
-                    <FramePanel config={config} onChange={updates => updateSection('frame', updates)} />
+                    <FramePanel config={config} onChange={updates => updateSection('frame', updates)} motors={dbData.motors} propellers={dbData.propellers} />
+                </AccordionPanel>
+
+                <AccordionPanel title="Mass Placement" icon={Crosshair} defaultOpen={false}>
+                    <PlacementPanel config={config} results={results} onChange={updates => updateSection('frame', updates)} />
                 </AccordionPanel>
 
                 <AccordionPanel title="Battery" icon={Battery} defaultOpen={false}>
-                    <BatteryPanel config={config} onChange={updates => updateSection('battery', updates)} batteries={dbData.batteries} />
+                    <BatteryPanel config={config} results={results} onChange={updates => updateSection('battery', updates)} batteries={dbData.batteries} chemistries={dbData.chemistries} />
                 </AccordionPanel>
 
                 <AccordionPanel title="ESC" icon={Cpu} defaultOpen={false}>
@@ -107,7 +114,7 @@ export default function CalculatorPage({ config, results, updateSection, setFull
                 </AccordionPanel>
 
                 <AccordionPanel title="Propeller" icon={Fan} defaultOpen={false}>
-                    <PropellerPanel config={config} onChange={updates => updateSection('propeller', updates)} propellers={dbData.propellers} />
+                    <PropellerPanel config={config} onChange={updates => updateSection('propeller', updates)} propellers={dbData.propellers} propData={dbData.propData} />
                 </AccordionPanel>
             </aside>
 
@@ -138,6 +145,14 @@ export default function CalculatorPage({ config, results, updateSection, setFull
                             <FlightTimeVsPayload config={config} results={results} />
                             <EfficiencyCurve config={config} results={results} />
                         </div>
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--space-lg)' }}>
+                            <DischargeCurve results={results} />
+                            <PowerVsAirspeed results={results} />
+                        </div>
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--space-lg)' }}>
+                            <FlightThermalChart results={results} />
+                            <MotorEfficiencyMap results={results} />
+                        </div>
                     </div>
                 )}
 
@@ -0,0 +1,273 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Route as RouteIcon, Plus, Trash2, ArrowUp, ArrowDown, ClipboardList, AlertTriangle } from 'lucide-react';
+import { InputField } from '../components/common/index.jsx';
+import { MissionProfileChart } from '../components/charts/Charts.jsx';
+import { simulateMission, POWER_SOURCES } from '../utils/physics.js';
+import { fmt, fmtInt, fmtTime } from '../utils/helpers.js';
+import { useUnits } from '../hooks/useUnits.jsx';
+
+const STORAGE_KEY = 'dronecalc_mission';
+
+/**
+ * Segment types with their editable fields. Fields with `dist` are stored
+ * in meters and shown in the user's distance unit.
+ */
+const SEGMENT_TYPES = {
+    climb: {
+        label: 'Climb',
+        fields: [
+            { key: 'altitude', label: 'To Altitude', dist: true, min: 0 },
+            { key: 'rate', label: 'Rate', unit: 'm/s', min: 0.1, step: 0.5 },
+        ],
+        defaults: { altitude: 50, rate: 3 },
+    },
+    cruise: {
+        label: 'Cruise',
+        fields: [
+            { key: 'distance', label: 'Distance', dist: true, min: 0 },
+            { key: 'speed', label: 'Speed', unit: 'm/s', min: 0.5, step: 0.5 },
+        ],
+        defaults: { distance: 1000, speed: 10 },
+    },
+    hover: {
+        label: 'Hover',
+        fields: [
+            { key: 'duration', label: 'Duration', unit: 's', min: 0, step: 10 },
+        ],
+        defaults: { duration: 60 },
+    },
+    descend: {
+        label: 'Descend',
+        fields: [
+            { key: 'altitude', label: 'To Altitude', dist: true, min: 0 },
+            { key: 'rate', label: 'Rate', unit: 'm/s', min: 0.1, step: 0.5 },
+        ],
+        defaults: { altitude: 10, rate: 2 },
+    },
+    land: {
+        label: 'Land',
+        fields: [
+            { key: 'rate', label: 'Rate', unit: 'm/s', min: 0.1, step: 0.1 },
+        ],
+        defaults: { rate: 1 },
+    },
+};
+
+const DEFAULT_MISSION = [
+    { type: 'climb', altitude: 50, rate: 3 },
+    { type: 'cruise', distance: 2000, speed: 10 },
+    { type: 'hover', duration: 120 },
+    { type: 'cruise', distance: 2000, speed: 10 },
+    { type: 'land', rate: 1 },
+];
+
+function loadMission() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : DEFAULT_MISSION;
+    } catch { return DEFAULT_MISSION; }
+}
+
+export default function MissionPage({ results }) {
+    const navigate = useNavigate();
+    const { toDisplay, toInternal, getAbbr } = useUnits();
+    const [segments, setSegments] = useState(loadMission);
+
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(segments));
+    }, [segments]);
+
+    // The energy budget is drawn from the pack; other sources carry the flight
+    const sourceType = results?.powerSource?.type ?? 'battery';
+    const mission = useMemo(() => {
+        if (!results?.motorParams || !results?.airframe || sourceType !== 'battery') return null;
+        return simulateMission(results.motorParams, results.airframe, results.batteryParams, segments);
+    }, [results, segments, sourceType]);
+
+    const distAbbr = getAbbr('distance');
+
+    const addSegment = () => {
+        setSegments(prev => [...prev, { type: 'hover', ...SEGMENT_TYPES.hover.defaults }]);
+    };
+
+    const removeSegment = (idx) => {
+        setSegments(prev => prev.filter((_, i) => i !== idx));
+    };
+
+    const moveSegment = (idx, dir) => {
+        setSegments(prev => {
+            const target = idx + dir;
+            if (target < 0 || target >= prev.length) return prev;
+            const updated = [...prev];
+            [updated[idx], updated[target]] = [updated[target], updated[idx]];
+            return updated;
+        });
+    };
+
+    const changeType = (idx, type) => {
+        setSegments(prev => prev.map((s, i) => i === idx ? { type, ...SEGMENT_TYPES[type].defaults } : s));
+    };
+
+    const updateField = (idx, key, val) => {
+        setSegments(prev => prev.map((s, i) => i === idx ? { ...s, [key]: val } : s));
+    };
+
+    const failed = mission && !mission.completes ? mission.segments[mission.failedSegment] : null;
+
+    return (
+        <div className="council-layout">
+            <button className="btn btn-ghost" onClick={() => navigate('/')} style={{ marginBottom: 'var(--space-lg)' }}>
+                <ArrowLeft size={16} /> Back to Calculator
+            </button>
+
+            {/* Segment Builder */}
+            <div className="council-section">
+                <h2 style={{ justifyContent: 'space-between' }}>
+                    <span style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-sm)' }}>
+                        <RouteIcon size={20} /> Mission Segments ({segments.length})
+                    </span>
+                    <span style={{ display: 'flex', gap: 'var(--space-sm)' }}>
+                        <button className="btn btn-ghost btn-sm" onClick={() => setSegments(DEFAULT_MISSION)}>
+                            Reset
+                        </button>
+                        <button className="btn btn-secondary btn-sm" onClick={addSegment}>
+                            <Plus size={12} /> Add Segment
+                        </button>
+                    </span>
+                </h2>
+                <div className="card">
+                    {segments.length === 0 && (
+                        <div style={{ textAlign: 'center', color: 'var(--text-muted)', padding: 'var(--space-lg)' }}>
+                            No segments yet. Add one to start planning.
+                        </div>
+                    )}
+                    {segments.map((seg, i) => {
+                        const def = SEGMENT_TYPES[seg.type] || SEGMENT_TYPES.hover;
+                        return (
+                            <div className="mission-segment" key={i}>
+                                <span className="mission-segment-index">{i + 1}</span>
+                                <div className="form-group">
+                                    <label className="form-label">Type</label>
+                                    <select className="form-select" value={seg.type} onChange={e => changeType(i, e.target.value)}>
+                                        {Object.entries(SEGMENT_TYPES).map(([key, t]) => (
+                                            <option key={key} value={key}>{t.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {def.fields.map(f => (
+                                    <InputField
+                                        key={f.key}
+                                        label={f.label}
+                                        unit={f.dist ? distAbbr : f.unit}
+                                        value={f.dist ? Math.round(toDisplay(seg[f.key], 'distance')) : seg[f.key]}
+                                        min={f.min}
+                                        step={f.step}
+                                        onChange={v => updateField(i, f.key, f.dist && v !== '' ? toInternal(v, 'distance') : v)}
+                                    />
+                                ))}
+                                <div className="mission-segment-actions">
+                                    <button className="btn btn-ghost btn-sm" onClick={() => moveSegment(i, -1)} disabled={i === 0} title="Move up">
+                                        <ArrowUp size={12} />
+                                    </button>
+                                    <button className="btn btn-ghost btn-sm" onClick={() => moveSegment(i, 1)} disabled={i === segments.length - 1} title="Move down">
+                                        <ArrowDown size={12} />
+                                    </button>
+                                    <button className="btn btn-ghost btn-sm" onClick={() => removeSegment(i)} title="Remove segment">
+                                        <Trash2 size={12} />
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            {sourceType !== 'battery' && (
+                <div className="council-section">
+                    <h2><ClipboardList size={20} /> Mission Summary</h2>
+                    <div className="card">
+                        <div className="altitude-warning">
+                            <AlertTriangle size={13} />
+                            <span>
+                                The energy budget runs on the battery alone. With {POWER_SOURCES[sourceType].label.toLowerCase()} power
+                                the pack is only a buffer; hover endurance is {fmtTime(results.flightTimeMin)} on the dashboard.
+                            </span>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Summary */}
+            {mission && (
+                <div className="council-section">
+                    <h2><ClipboardList size={20} /> Mission Summary</h2>
+                    <div className="card">
+                        <div className="card-header">
+                            <span className="card-title">Energy Budget</span>
+                            <span className={`status-badge ${mission.completes ? 'safe' : 'danger'}`}>
+                                {mission.completes ? 'MISSION OK' : 'CANNOT COMPLETE'}
+                            </span>
+                        </div>
+                        {failed && (
+                            <div className="altitude-warning">
+                                <AlertTriangle size={13} />
+                                <span>
+                                    {failed.feasible
+                                        ? `Segment ${failed.index + 1} (${SEGMENT_TYPES[failed.type]?.label}) runs past the ${fmtInt(results.batteryParams.dischargeDepth * 100)}% discharge depth.`
+                                        : `Segment ${failed.index + 1} (${SEGMENT_TYPES[failed.type]?.label}) needs more power than the motors can deliver.`}
+                                </span>
+                            </div>
+                        )}
+                        <div className="form-row" style={{ marginBottom: 'var(--space-lg)' }}>
+                            <div className="form-group">
+                                <label className="form-label">Flight Time</label>
+                                <div className="form-computed">{fmtTime(mission.totalTimeMin)}</div>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Capacity Used</label>
+                                <div className="form-computed">{fmtInt(mission.usedMah)} / {fmtInt(mission.usableMah)} mAh</div>
+                            </div>
+                            <div className="form-group">
+                                <label className="form-label">Reserve</label>
+                                <div className="form-computed">{fmtInt(mission.reserveMah)} mAh ({fmt(mission.reservePct)}%)</div>
+                            </div>
+                        </div>
+                        <div style={{ overflowX: 'auto' }}>
+                            <table className="comparison-table">
+                                <thead>
+                                    <tr>
+                                        <th>#</th>
+                                        <th>Segment</th>
+                                        <th>Time</th>
+                                        <th>Altitude ({distAbbr})</th>
+                                        <th>Current</th>
+                                        <th>Throttle</th>
+                                        <th>Used</th>
+                                        <th>Remaining</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {mission.segments.map(s => (
+                                        <tr key={s.index} style={s.feasible && s.withinDepth ? undefined : { color: 'var(--red)' }}>
+                                            <td>{s.index + 1}</td>
+                                            <td>{SEGMENT_TYPES[s.type]?.label ?? s.type}</td>
+                                            <td>{fmtTime(s.durationS / 60)}</td>
+                                            <td>{fmtInt(toDisplay(s.startAltitude, 'distance'))} → {fmtInt(toDisplay(s.endAltitude, 'distance'))}</td>
+                                            <td>{fmt(s.current)}A</td>
+                                            <td>{fmt(s.throttle)}%</td>
+                                            <td>{fmtInt(s.usedMah)} mAh</td>
+                                            <td>{fmt(s.remainingPct)}%</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {mission && <MissionProfileChart mission={mission} dischargeDepth={results.batteryParams.dischargeDepth} />}
+        </div>
+    );
+}
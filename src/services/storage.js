@@ -9,6 +9,8 @@ const KEYS = {
     motors: 'dronecalc_motors',
     propellers: 'dronecalc_propellers',
     escs: 'dronecalc_escs',
+    chemistries: 'dronecalc_chemistries',
+    propData: 'dronecalc_prop_data',
     version: 'dronecalc_storage_version'
 };
 
@@ -89,7 +91,37 @@ const DEFAULTS = {
         { id: 6, name: '60A ESC', continuous_a: 60, burst_a: 80, resistance_mohm: 0.7, weight_g: 18, bec_voltage: 5, bec_current: 3, min_cells: 3, max_cells: 8 },
         { id: 7, name: '80A ESC', continuous_a: 80, burst_a: 100, resistance_mohm: 0.5, weight_g: 30, bec_voltage: 5, bec_current: 3, min_cells: 3, max_cells: 8 },
         { id: 8, name: '4-in-1 45A', continuous_a: 45, burst_a: 55, resistance_mohm: 1.0, weight_g: 32, bec_voltage: 5, bec_current: 2, min_cells: 3, max_cells: 6 }
-    ]
+    ],
+    // User-defined chemistries: resting cell voltage vs state of charge as [soc (0–1), volts],
+    // and resistance / capacity factors vs pack temperature as [°C, factor relative to 25 °C]
+    chemistries: [
+        {
+            id: 1, name: 'LiFePO4',
+            ocv_curve: [[0, 2.5], [0.05, 3.0], [0.1, 3.2], [0.2, 3.25], [0.3, 3.28], [0.4, 3.3], [0.5, 3.31], [0.6, 3.32], [0.7, 3.33], [0.8, 3.35], [0.9, 3.4], [1, 3.6]],
+            derating: {
+                resistance: [[-20, 6.5], [-10, 4.0], [0, 2.6], [10, 1.6], [25, 1.0], [45, 0.8]],
+                capacity: [[-20, 0.45], [-10, 0.6], [0, 0.76], [10, 0.9], [25, 1.0], [45, 1.0]],
+            },
+        },
+        {
+            id: 2, name: 'Semi-Solid',
+            ocv_curve: [[0, 3.0], [0.05, 3.4], [0.1, 3.52], [0.2, 3.62], [0.3, 3.69], [0.4, 3.75], [0.5, 3.82], [0.6, 3.9], [0.7, 3.99], [0.8, 4.1], [0.9, 4.23], [1, 4.4]],
+            derating: {
+                resistance: [[-20, 3.6], [-10, 2.5], [0, 1.8], [10, 1.35], [25, 1.0], [45, 0.88]],
+                capacity: [[-20, 0.65], [-10, 0.78], [0, 0.87], [10, 0.94], [25, 1.0], [45, 1.0]],
+            },
+        },
+        {
+            id: 3, name: 'Solid-State',
+            ocv_curve: [[0, 3.0], [0.05, 3.45], [0.1, 3.55], [0.2, 3.63], [0.3, 3.7], [0.4, 3.76], [0.5, 3.82], [0.6, 3.89], [0.7, 3.97], [0.8, 4.07], [0.9, 4.18], [1, 4.3]],
+            derating: {
+                resistance: [[-20, 5.5], [-10, 3.5], [0, 2.3], [10, 1.5], [25, 1.0], [45, 0.75]],
+                capacity: [[-20, 0.6], [-10, 0.74], [0, 0.85], [10, 0.93], [25, 1.0], [45, 1.0]],
+            },
+        }
+    ],
+    // Imported prop performance tables (UIUC / APC PER3), linked from propellers via prop_data_id
+    propData: []
 };
 
 /* ═══════════════════════════════════════════
@@ -103,6 +135,13 @@ const getKey = (collection) => {
     return key;
 };
 
+/** Chemistries saved before derating tables existed pick up the seed table of the same name */
+const withSeedDerating = (chem) => {
+    if (chem.derating) return chem;
+    const seed = DEFAULTS.chemistries.find(c => c.name === chem.name);
+    return seed ? { ...chem, derating: seed.derating } : chem;
+};
+
 /** Load data from localStorage or seed defaults */
 const loadData = (collection) => {
     const key = getKey(collection);
@@ -114,7 +153,8 @@ const loadData = (collection) => {
         return defaults;
     }
     try {
-        return JSON.parse(json);
+        const items = JSON.parse(json);
+        return collection === 'chemistries' ? items.map(withSeedDerating) : items;
     } catch (e) {
         console.error(`Failed to parse ${collection} from localStorage`, e);
         return [];
@@ -0,0 +1,149 @@
+/**
+ * Drone Performance Calculator — Atmosphere
+ * Non-standard atmosphere at the flying field: station pressure from QNH or a
+ * barometer reading, moist-air density, and pressure / density altitude
+ * against the ISA troposphere.
+ */
+
+// ─── ISA Constants ───
+const SEA_LEVEL_PRESSURE = 101325; // Pa
+const SEA_LEVEL_TEMP = 288.15; // K (15°C)
+const SEA_LEVEL_DENSITY = 1.225; // kg/m³
+const LAPSE_RATE = 0.0065; // K/m
+const GRAVITY = 9.80665; // m/s²
+const MOLAR_MASS_AIR = 0.0289644; // kg/mol
+const UNIVERSAL_GAS_CONSTANT = 8.31447; // J/(mol·K)
+const DRY_AIR_GAS_CONSTANT = 287.058; // J/(kg·K)
+const VAPOR_GAS_CONSTANT = 461.495; // J/(kg·K)
+const HEAT_CAPACITY_RATIO = 1.4; // γ of dry air
+const SUTHERLAND_REF_VISCOSITY = 1.458e-6; // kg/(m·s·√K)
+const SUTHERLAND_TEMP = 110.4; // K
+
+/** Barometric exponent g·M / (R·L) of the ISA troposphere, ≈ 5.256 */
+const BARO_EXPONENT = (GRAVITY * MOLAR_MASS_AIR) / (UNIVERSAL_GAS_CONSTANT * LAPSE_RATE);
+
+/** Elevation range the troposphere model covers (m) */
+const MIN_ELEVATION = -500;
+const MAX_ELEVATION = 11000;
+
+export const STANDARD_QNH_HPA = SEA_LEVEL_PRESSURE / 100;
+
+/** Plausible QNH / station pressure (hPa); readings outside are taken as mistyped */
+export const MIN_PRESSURE_HPA = 500;
+export const MAX_PRESSURE_HPA = 1100;
+
+const isNum = (v) => v !== '' && v !== null && v !== undefined && isFinite(v);
+
+/** Whether a pressure entry is set and inside the plausible range */
+export const isPressureInRange = (hpa) => isNum(hpa) && hpa >= MIN_PRESSURE_HPA && hpa <= MAX_PRESSURE_HPA;
+
+/**
+ * ISA pressure at a height above the reference level.
+ * @param {number} heightM - Height above the level where pressure is `refPa` (m)
+ * @param {number} [refPa=101325] - Pressure at the reference level (Pa)
+ * @returns {number} Pressure (Pa)
+ */
+export function isaPressure(heightM, refPa = SEA_LEVEL_PRESSURE) {
+    return refPa * Math.pow(1 - (LAPSE_RATE * heightM) / SEA_LEVEL_TEMP, BARO_EXPONENT);
+}
+
+/**
+ * Saturation vapour pressure over water (Magnus formula, Alduchov & Eskridge).
+ * @param {number} tempC - Air temperature (°C)
+ * @returns {number} Saturation vapour pressure (Pa)
+ */
+export function saturationVaporPressure(tempC) {
+    return 610.94 * Math.exp((17.625 * tempC) / (tempC + 243.04));
+}
+
+/**
+ * Speed of sound in dry air.
+ * @param {number} tempC - Air temperature (°C)
+ * @returns {number} Speed of sound (m/s)
+ */
+export function speedOfSound(tempC) {
+    return Math.sqrt(HEAT_CAPACITY_RATIO * DRY_AIR_GAS_CONSTANT * (tempC + 273.15));
+}
+
+/**
+ * Dynamic viscosity of air (Sutherland's law).
+ * @param {number} tempC - Air temperature (°C)
+ * @returns {number} Dynamic viscosity (Pa·s)
+ */
+export function dynamicViscosity(tempC) {
+    const T = tempC + 273.15;
+    return (SUTHERLAND_REF_VISCOSITY * Math.pow(T, 1.5)) / (T + SUTHERLAND_TEMP);
+}
+
+/**
+ * Density of moist air as a mix of dry air and water vapour partial pressures.
+ * @param {number} pressurePa - Static (station) pressure (Pa)
+ * @param {number} tempC - Air temperature (°C)
+ * @param {number} [humidityPct=0] - Relative humidity (0–100 %)
+ * @returns {{ density: number, vaporPressurePa: number }}
+ */
+export function calcMoistAirDensity(pressurePa, tempC, humidityPct = 0) {
+    const T = tempC + 273.15;
+    const rh = Math.max(0, Math.min(humidityPct, 100)) / 100;
+    const vaporPressurePa = Math.min(rh * saturationVaporPressure(tempC), pressurePa);
+    const dryPressurePa = pressurePa - vaporPressurePa;
+    return {
+        density: dryPressurePa / (DRY_AIR_GAS_CONSTANT * T) + vaporPressurePa / (VAPOR_GAS_CONSTANT * T),
+        vaporPressurePa,
+    };
+}
+
+/**
+ * Height in the ISA atmosphere where the standard pressure equals `pressurePa`.
+ * @param {number} pressurePa - Static pressure (Pa)
+ * @returns {number} Pressure altitude (m)
+ */
+export function calcPressureAltitude(pressurePa) {
+    return (SEA_LEVEL_TEMP / LAPSE_RATE) * (1 - Math.pow(pressurePa / SEA_LEVEL_PRESSURE, 1 / BARO_EXPONENT));
+}
+
+/**
+ * Height in the ISA atmosphere where the standard density equals `density`.
+ * This is the altitude the airframe "feels": props and motors perform as
+ * they would there on a standard day.
+ * @param {number} density - Air density (kg/m³)
+ * @returns {number} Density altitude (m)
+ */
+export function calcDensityAltitude(density) {
+    return (SEA_LEVEL_TEMP / LAPSE_RATE) * (1 - Math.pow(density / SEA_LEVEL_DENSITY, 1 / (BARO_EXPONENT - 1)));
+}
+
+/**
+ * Air at the flying field.
+ * Station pressure is taken as given when set, otherwise reduced from QNH to
+ * the field elevation, otherwise the ISA pressure at that elevation. Pressures
+ * outside 500–1100 hPa are ignored like blank ones. The temperature is the
+ * measured air temperature, not the ISA lapse value.
+ * @param {Object} params
+ * @param {number} params.elevationM - Field elevation above mean sea level (m)
+ * @param {number} params.tempC - Air temperature (°C)
+ * @param {number} [params.humidityPct=0] - Relative humidity (0–100 %)
+ * @param {number} [params.qnhHpa] - Altimeter setting, sea-level pressure (hPa)
+ * @param {number} [params.stationPressureHpa] - Barometer reading at the field (hPa)
+ * @returns {{ density: number, stationPressureHpa: number, vaporPressureHpa: number,
+ *   pressureAltitudeM: number, densityAltitudeM: number }}
+ */
+export function calcAtmosphere({ elevationM = 0, tempC = 15, humidityPct = 0, qnhHpa, stationPressureHpa } = {}) {
+    const elevation = Math.max(MIN_ELEVATION, Math.min(elevationM || 0, MAX_ELEVATION));
+    let pressurePa;
+    if (isPressureInRange(stationPressureHpa)) {
+        pressurePa = stationPressureHpa * 100;
+    } else {
+        const qnhPa = isPressureInRange(qnhHpa) ? qnhHpa * 100 : SEA_LEVEL_PRESSURE;
+        pressurePa = isaPressure(elevation, qnhPa);
+    }
+
+    const { density, vaporPressurePa } = calcMoistAirDensity(pressurePa, tempC, humidityPct || 0);
+    return {
+        density,
+        stationPressureHpa: pressurePa / 100,
+        vaporPressureHpa: vaporPressurePa / 100,
+        pressureAltitudeM: calcPressureAltitude(pressurePa),
+        densityAltitudeM: calcDensityAltitude(density),
+    };
+}
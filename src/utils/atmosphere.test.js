@@ -0,0 +1,108 @@
+/**
+ * Atmosphere — Test Suite
+ */
+import { describe, it, expect } from 'vitest';
+import {
+    isaPressure,
+    saturationVaporPressure,
+    speedOfSound,
+    dynamicViscosity,
+    calcMoistAirDensity,
+    calcPressureAltitude,
+    calcDensityAltitude,
+    calcAtmosphere,
+    isPressureInRange,
+} from './atmosphere.js';
+
+describe('isaPressure', () => {
+    it('returns 1013.25 hPa at sea level and ~898.8 hPa at 1000m', () => {
+        expect(isaPressure(0)).toBeCloseTo(101325, 0);
+        expect(isaPressure(1000) / 100).toBeCloseTo(898.75, 0);
+    });
+});
+
+describe('saturationVaporPressure', () => {
+    it('matches tabulated values within 1% at 0, 20 and 35°C', () => {
+        expect(saturationVaporPressure(0) / 611.2).toBeCloseTo(1, 2);
+        expect(saturationVaporPressure(20) / 2339).toBeCloseTo(1, 2);
+        expect(saturationVaporPressure(35) / 5627).toBeCloseTo(1, 2);
+    });
+});
+
+describe('speedOfSound / dynamicViscosity', () => {
+    it('match standard sea-level air at 15°C', () => {
+        expect(speedOfSound(15)).toBeCloseTo(340.3, 1);
+        expect(dynamicViscosity(15) * 1e5).toBeCloseTo(1.789, 3);
+    });
+});
+
+describe('calcMoistAirDensity', () => {
+    it('makes humid air lighter than dry air at the same pressure and temperature', () => {
+        const dry = calcMoistAirDensity(101325, 30, 0);
+        const humid = calcMoistAirDensity(101325, 30, 100);
+        expect(dry.vaporPressurePa).toBe(0);
+        expect(humid.vaporPressurePa).toBeCloseTo(saturationVaporPressure(30), 6);
+        expect(humid.density).toBeLessThan(dry.density);
+        expect(dry.density - humid.density).toBeGreaterThan(0.015);
+    });
+});
+
+describe('calcPressureAltitude / calcDensityAltitude', () => {
+    it('return zero for the ISA sea-level state', () => {
+        expect(calcPressureAltitude(101325)).toBeCloseTo(0, 3);
+        expect(calcDensityAltitude(1.225)).toBeCloseTo(0, 0);
+    });
+
+    it('invert the ISA profile at 2000m', () => {
+        const P = isaPressure(2000);
+        const rho = P / (287.058 * (288.15 - 0.0065 * 2000));
+        expect(calcPressureAltitude(P)).toBeCloseTo(2000, 0);
+        expect(calcDensityAltitude(rho)).toBeCloseTo(2000, -1);
+    });
+});
+
+describe('calcAtmosphere', () => {
+    it('gives ISA sea level with no pressure or humidity set', () => {
+        const atm = calcAtmosphere({ elevationM: 0, tempC: 15 });
+        expect(atm.density).toBeCloseTo(1.225, 3);
+        expect(atm.stationPressureHpa).toBeCloseTo(1013.25, 2);
+        expect(atm.densityAltitudeM).toBeCloseTo(0, -1);
+    });
+
+    it('reduces QNH to the field elevation', () => {
+        const std = calcAtmosphere({ elevationM: 1000, tempC: 15 });
+        const low = calcAtmosphere({ elevationM: 1000, tempC: 15, qnhHpa: 990 });
+        expect(std.stationPressureHpa).toBeCloseTo(898.75, 0);
+        expect(low.stationPressureHpa).toBeCloseTo(898.75 * 990 / 1013.25, 1);
+        expect(low.pressureAltitudeM - std.pressureAltitudeM).toBeGreaterThan(180);
+        expect(low.density).toBeLessThan(std.density);
+    });
+
+    it('uses station pressure as given, ignoring QNH and elevation', () => {
+        const atm = calcAtmosphere({ elevationM: 1000, tempC: 15, qnhHpa: 1030, stationPressureHpa: 850 });
+        expect(atm.stationPressureHpa).toBe(850);
+        expect(atm.density).toBeCloseTo(85000 / (287.058 * 288.15), 4);
+    });
+
+    it('raises density altitude on a hot, humid day', () => {
+        const hot = calcAtmosphere({ elevationM: 0, tempC: 35 });
+        const humid = calcAtmosphere({ elevationM: 0, tempC: 35, humidityPct: 80 });
+        expect(hot.densityAltitudeM).toBeGreaterThan(600);
+        expect(humid.densityAltitudeM - hot.densityAltitudeM).toBeGreaterThan(150);
+        expect(hot.pressureAltitudeM).toBeCloseTo(0, 3);
+    });
+
+    it('treats blank inputs as a standard day', () => {
+        const atm = calcAtmosphere({ elevationM: 500, tempC: 15, qnhHpa: '', stationPressureHpa: null });
+        expect(atm.stationPressureHpa).toBeCloseTo(isaPressure(500) / 100, 6);
+    });
+
+    it('ignores pressures outside 500–1100 hPa like blank ones', () => {
+        const std = calcAtmosphere({ elevationM: 500, tempC: 15 });
+        expect(calcAtmosphere({ elevationM: 500, tempC: 15, qnhHpa: 10 }).density).toBe(std.density);
+        expect(calcAtmosphere({ elevationM: 500, tempC: 15, stationPressureHpa: 1500 }).density).toBe(std.density);
+        expect(isPressureInRange(10)).toBe(false);
+        expect(isPressureInRange(500)).toBe(true);
+        expect(isPressureInRange(null)).toBe(false);
+    });
+});
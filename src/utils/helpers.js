@@ -23,6 +23,7 @@ export function fmtInt(value) {
  * Format time in minutes to "Xm Ys" or "X min".
  */
 export function fmtTime(minutes) {
+    if (minutes === Infinity) return '∞';
     if (!isFinite(minutes) || minutes <= 0) return '—';
     if (minutes >= 60) {
         const h = Math.floor(minutes / 60);
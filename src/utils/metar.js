@@ -0,0 +1,137 @@
+/**
+ * Drone Performance Calculator — METAR / TAF Import
+ * Offline parser for the raw aviation weather text found in airport
+ * briefings, and its mapping onto the environment config.
+ */
+
+import { saturationVaporPressure } from './atmosphere.js';
+
+const KT_TO_MS = 0.514444;
+const KMH_TO_MS = 1 / 3.6;
+const INHG_TO_HPA = 33.8639;
+const FT_TO_M = 0.3048;
+
+/**
+ * Field elevations (m) of common aerodromes, used when the report itself does
+ * not say. METARs carry no elevation, so other stations need it entered.
+ */
+const STATION_ELEVATION_M = {
+    VABB: 11, // Mumbai
+    VIDP: 237, // Delhi
+    VOBL: 915, // Bengaluru
+    VOMM: 16, // Chennai
+    VECC: 5, // Kolkata
+    VOHS: 617, // Hyderabad
+    VAAH: 58, // Ahmedabad
+    VAPO: 592, // Pune
+    VOCI: 9, // Kochi
+    VIJP: 385, // Jaipur
+};
+
+const WIND_UNITS = { KT: KT_TO_MS, MPS: 1, KMH: KMH_TO_MS };
+
+/** METAR temperature token: two digits, M prefix for minus */
+const parseTemp = (token) => (token.startsWith('M') ? -Number(token.slice(1)) : Number(token));
+
+/**
+ * Parse a METAR, SPECI or TAF. Only the first report in the text is read;
+ * for a TAF that is the base forecast, with TX (maximum temperature) as the
+ * temperature. Fields the report does not carry are null.
+ * @param {string} text - Raw report, e.g. `METAR VOBL 190830Z 27012G22KT 9999 FEW020 29/14 Q1016`
+ * @returns {{ kind: string, station: string|null, time: string|null, tempC: number|null,
+ *   dewpointC: number|null, humidity: number|null, qnhHpa: number|null, windDirDeg: number|null,
+ *   windSpeed: number|null, gustSpeed: number|null, elevationM: number|null }}
+ */
+export function parseMetar(text) {
+    const report = String(text || '').toUpperCase().split('=')[0];
+    const tokens = report.split(/\s+/).filter(Boolean);
+    if (!tokens.length) throw new Error('Report is empty');
+
+    const result = {
+        kind: 'METAR',
+        station: null,
+        time: null,
+        tempC: null,
+        dewpointC: null,
+        humidity: null,
+        qnhHpa: null,
+        windDirDeg: null,
+        windSpeed: null,
+        gustSpeed: null,
+        elevationM: null,
+    };
+
+    let remarks = false;
+    for (let i = 0; i < tokens.length; i++) {
+        const tok = tokens[i];
+        let m;
+
+        if (tok === 'RMK') { remarks = true; continue; }
+        if (remarks) {
+            // North American remark with temperature / dewpoint in tenths: T02720139
+            if ((m = tok.match(/^T([01])(\d{3})([01])(\d{3})$/))) {
+                result.tempC = (m[1] === '1' ? -1 : 1) * Number(m[2]) / 10;
+                result.dewpointC = (m[3] === '1' ? -1 : 1) * Number(m[4]) / 10;
+            }
+            continue;
+        }
+
+        if (['METAR', 'SPECI', 'TAF'].includes(tok)) {
+            if (tok === 'TAF') result.kind = 'TAF';
+        } else if (!result.station && /^[A-Z][A-Z0-9]{3}$/.test(tok) && !['AUTO', 'AMD', 'COR', 'CAVOK', 'NOSIG'].includes(tok)) {
+            result.station = tok;
+        } else if (!result.time && /^\d{6}Z$/.test(tok)) {
+            result.time = tok;
+        } else if (result.windSpeed === null && (m = tok.match(/^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/))) {
+            const scale = WIND_UNITS[m[4]];
+            result.windDirDeg = m[1] === 'VRB' ? null : Number(m[1]);
+            result.windSpeed = Number(m[2]) * scale;
+            result.gustSpeed = m[3] ? Number(m[3]) * scale : null;
+        } else if (result.tempC === null && (m = tok.match(/^(M?\d{2})\/(M?\d{2})?$/))) {
+            result.tempC = parseTemp(m[1]);
+            result.dewpointC = m[2] ? parseTemp(m[2]) : null;
+        } else if (result.tempC === null && (m = tok.match(/^TX(M?\d{2})\/\d{4}Z$/))) {
+            result.tempC = parseTemp(m[1]);
+        } else if (result.qnhHpa === null && (m = tok.match(/^Q(\d{4})$/))) {
+            result.qnhHpa = Number(m[1]);
+        } else if (result.qnhHpa === null && (m = tok.match(/^A(\d{4})$/))) {
+            result.qnhHpa = +(Number(m[1]) / 100 * INHG_TO_HPA).toFixed(1);
+        } else if (tok === 'ELEV' && (m = (tokens[i + 1] || '').match(/^(\d+)(FT|M)$/))) {
+            // Briefing header, e.g. "ELEV 3002FT"
+            result.elevationM = Math.round(Number(m[1]) * (m[2] === 'FT' ? FT_TO_M : 1));
+            i++;
+        }
+    }
+
+    if (result.elevationM === null && result.station in STATION_ELEVATION_M) {
+        result.elevationM = STATION_ELEVATION_M[result.station];
+    }
+    if (result.tempC !== null && result.dewpointC !== null) {
+        const rh = 100 * saturationVaporPressure(result.dewpointC) / saturationVaporPressure(result.tempC);
+        result.humidity = Math.round(Math.min(rh, 100));
+    }
+    if ([result.tempC, result.qnhHpa, result.windSpeed].every(v => v === null)) {
+        throw new Error('No temperature, pressure or wind groups found');
+    }
+    return result;
+}
+
+/**
+ * Environment config updates for a parsed report. Fields the report lacks
+ * are left out so the current values stand. Without a gust group the gust
+ * speed is set to the mean wind.
+ * @param {Object} report - Result of parseMetar
+ * @returns {Object} Partial environment config
+ */
+export function metarToEnvironment(report) {
+    const updates = {};
+    if (report.elevationM !== null) updates.altitude = report.elevationM;
+    if (report.tempC !== null) updates.temperature = Math.round(report.tempC);
+    if (report.humidity !== null) updates.humidity = report.humidity;
+    if (report.qnhHpa !== null) Object.assign(updates, { pressureMode: 'qnh', qnhHpa: report.qnhHpa });
+    if (report.windSpeed !== null) {
+        updates.windSpeed = +report.windSpeed.toFixed(1);
+        updates.gustSpeed = +(report.gustSpeed ?? report.windSpeed).toFixed(1);
+    }
+    return updates;
+}
@@ -0,0 +1,70 @@
+/**
+ * METAR / TAF Import — Test Suite
+ */
+import { describe, it, expect } from 'vitest';
+import { parseMetar, metarToEnvironment } from './metar.js';
+
+describe('parseMetar', () => {
+    it('reads wind, temperature, dewpoint and QNH from an ICAO METAR', () => {
+        const r = parseMetar('METAR VOBL 190830Z 27012G22KT 9999 FEW020 29/14 Q1016 NOSIG=');
+        expect(r.kind).toBe('METAR');
+        expect(r.station).toBe('VOBL');
+        expect(r.time).toBe('190830Z');
+        expect(r.windDirDeg).toBe(270);
+        expect(r.windSpeed).toBeCloseTo(6.17, 2);
+        expect(r.gustSpeed).toBeCloseTo(11.32, 2);
+        expect(r.tempC).toBe(29);
+        expect(r.dewpointC).toBe(14);
+        expect(r.humidity).toBeGreaterThan(38);
+        expect(r.humidity).toBeLessThan(42);
+        expect(r.qnhHpa).toBe(1016);
+        expect(r.elevationM).toBe(915);
+    });
+
+    it('handles minus temperatures, inHg altimeter and remark temperatures in tenths', () => {
+        const r = parseMetar('KDEN 191553Z VRB04KT 10SM SCT100 M02/M08 A3012 RMK AO2 SLP221 T10171083');
+        expect(r.windDirDeg).toBeNull();
+        expect(r.windSpeed).toBeCloseTo(2.06, 2);
+        expect(r.gustSpeed).toBeNull();
+        expect(r.tempC).toBeCloseTo(-1.7, 6);
+        expect(r.dewpointC).toBeCloseTo(-8.3, 6);
+        expect(r.qnhHpa).toBeCloseTo(1020, 1);
+        expect(r.elevationM).toBeNull();
+    });
+
+    it('takes the elevation from a briefing header and wind in m/s', () => {
+        const r = parseMetar('UUEE ELEV 630FT\nMETAR UUEE 190900Z 18005MPS 9999 OVC030 12/09 Q1002');
+        expect(r.station).toBe('UUEE');
+        expect(r.elevationM).toBe(192);
+        expect(r.windSpeed).toBe(5);
+        expect(r.qnhHpa).toBe(1002);
+    });
+
+    it('reads the base forecast of a TAF, with TX as the temperature', () => {
+        const r = parseMetar('TAF VABB 190500Z 1906/2012 27010KT 6000 HZ TX33/1910Z TN27/2001Z TEMPO 1912/1916 28018G28KT');
+        expect(r.kind).toBe('TAF');
+        expect(r.station).toBe('VABB');
+        expect(r.windSpeed).toBeCloseTo(5.14, 2);
+        expect(r.gustSpeed).toBeNull();
+        expect(r.tempC).toBe(33);
+        expect(r.humidity).toBeNull();
+        expect(r.qnhHpa).toBeNull();
+    });
+
+    it('throws on text without weather groups', () => {
+        expect(() => parseMetar('')).toThrow();
+        expect(() => parseMetar('hello world')).toThrow(/No temperature/);
+    });
+});
+
+describe('metarToEnvironment', () => {
+    it('maps a report onto environment fields, leaving unknown ones out', () => {
+        const env = metarToEnvironment(parseMetar('KDEN 191553Z 36010KT 10SM M02/M08 A3012'));
+        expect(env).not.toHaveProperty('altitude');
+        expect(env.temperature).toBe(-2);
+        expect(env.pressureMode).toBe('qnh');
+        expect(env.qnhHpa).toBeCloseTo(1020, 1);
+        expect(env.windSpeed).toBe(5.1);
+        expect(env.gustSpeed).toBe(5.1);
+    });
+});
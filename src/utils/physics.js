@@ -5,14 +5,10 @@
  * All inputs/outputs use SI units unless stated otherwise.
  */
 
+import { calcAtmosphere, speedOfSound, dynamicViscosity } from './atmosphere.js';
+
 // ─── Constants ───
-const SEA_LEVEL_PRESSURE = 101325; // Pa
-const SEA_LEVEL_TEMP = 288.15; // K (15°C)
-const LAPSE_RATE = 0.0065; // K/m
-const AIR_GAS_CONSTANT = 287.058; // J/(kg·K)
 const GRAVITY = 9.80665; // m/s²
-const MOLAR_MASS_AIR = 0.0289644; // kg/mol
-const UNIVERSAL_GAS_CONSTANT = 8.31447; // J/(mol·K)
 
 // AWG wire resistance per meter (Ω/m) at 20°C — copper
 const AWG_RESISTANCE = {
@@ -26,29 +22,120 @@ const AWG_RESISTANCE = {
   26: 0.0668,
 };
 
-// Battery chemistry voltage tables
+// ESC cooling classes: thermal resistance scale (°C/W × g^⅔), divided by board mass^⅔
+const ESC_COOLING = {
+  enclosed: 100, // inside a stack or shell, no direct airflow
+  open: 40, // bare board in prop wash
+  heatsink: 25, // finned heatsink in prop wash
+};
+
+// ESC power stage constants
+const ESC_SWITCH_TIME_S = 50e-9; // MOSFET rise + fall time per PWM cycle
+const ESC_GATE_CHARGE_C = 40e-9; // gate charge per MOSFET
+const ESC_GATE_DRIVE_V = 10; // gate drive voltage
+const ESC_LOGIC_POWER_W = 0.1; // MCU and driver quiescent power
+const ESC_SPECIFIC_HEAT = 0.9; // J/(g·K), PCB + copper + heatsink mix
+
+// Transient thermal model constants
+const COPPER_TEMP_COEFF = 0.00393; // winding resistance rise per °C above 25 °C
+const STATOR_HEAT_CAPACITY = 2.7; // J/(K·cm³) of stator volume, iron + copper
+const BATTERY_SPECIFIC_HEAT = 1.0; // J/(g·K), LiPo / Li-ion pouch
+const BATTERY_COOLING = 100; // °C/W × g^⅔, pack strapped in prop wash
+const THERMAL_LIMITS = { motor: 80, esc: 100, battery: 60 }; // °C
+
+// Built-in battery chemistries: resting cell voltage (V) vs state of charge (0–1).
+// `derating` scales internal resistance and usable capacity with pack temperature
+// (°C), relative to the 25 °C datasheet values.
 const CHEMISTRY = {
-  LiPo: { nominal: 3.7, max: 4.2, min: 3.3 },
-  'Li-ion': { nominal: 3.6, max: 4.2, min: 2.8 },
-  LiHV: { nominal: 3.85, max: 4.35, min: 3.3 },
+  LiPo: {
+    ocv: [
+      [0, 3.3], [0.05, 3.61], [0.1, 3.69], [0.2, 3.73], [0.3, 3.77], [0.4, 3.8],
+      [0.5, 3.84], [0.6, 3.87], [0.7, 3.93], [0.8, 4.0], [0.9, 4.09], [1, 4.2],
+    ],
+    derating: {
+      resistance: [[-20, 4.0], [-10, 2.7], [0, 2.0], [10, 1.4], [25, 1.0], [45, 0.85]],
+      capacity: [[-20, 0.6], [-10, 0.75], [0, 0.85], [10, 0.93], [25, 1.0], [45, 1.0]],
+    },
+  },
+  'Li-ion': {
+    ocv: [
+      [0, 2.8], [0.05, 3.2], [0.1, 3.35], [0.2, 3.47], [0.3, 3.55], [0.4, 3.62],
+      [0.5, 3.68], [0.6, 3.76], [0.7, 3.85], [0.8, 3.94], [0.9, 4.05], [1, 4.2],
+    ],
+    derating: {
+      resistance: [[-20, 5.0], [-10, 3.2], [0, 2.2], [10, 1.5], [25, 1.0], [45, 0.85]],
+      capacity: [[-20, 0.55], [-10, 0.7], [0, 0.8], [10, 0.9], [25, 1.0], [45, 1.0]],
+    },
+  },
+  LiHV: {
+    ocv: [
+      [0, 3.3], [0.05, 3.65], [0.1, 3.72], [0.2, 3.78], [0.3, 3.82], [0.4, 3.86],
+      [0.5, 3.91], [0.6, 3.96], [0.7, 4.03], [0.8, 4.11], [0.9, 4.22], [1, 4.35],
+    ],
+    derating: {
+      resistance: [[-20, 4.2], [-10, 2.8], [0, 2.0], [10, 1.45], [25, 1.0], [45, 0.85]],
+      capacity: [[-20, 0.58], [-10, 0.73], [0, 0.84], [10, 0.92], [25, 1.0], [45, 1.0]],
+    },
+  },
 };
 
+// Coaxial layouts with a fixed motor count; 'coaxial' stacks pairs on any frame
+const COAXIAL_LAYOUT_MOTORS = { y6: 6, x8: 8 };
+
+/** Copy of an object without null or blank fields, for "blank = inherit" overrides. */
+function definedFields(obj) {
+  return Object.fromEntries(Object.entries(obj || {}).filter(([, v]) => v !== null && v !== undefined && v !== ''));
+}
+
+/**
+ * Piecewise-linear lookup in a table of [x, y] pairs sorted by x.
+ * Clamps to the end points outside the table range.
+ */
+function lerpTable(points, x) {
+  if (x <= points[0][0]) return points[0][1];
+  const last = points[points.length - 1];
+  if (x >= last[0]) return last[1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return last[1];
+}
+
+/** User-edited [x, y] table without blank points, sorted by x; null if under two points remain. */
+function cleanTable(points) {
+  if (!Array.isArray(points)) return null;
+  const isNum = v => v !== '' && v !== null && isFinite(v);
+  const table = points
+    .filter(p => Array.isArray(p) && isNum(p[0]) && isNum(p[1]))
+    .map(([x, y]) => [Number(x), Number(y)])
+    .sort((a, b) => a[0] - b[0]);
+  return table.length >= 2 ? table : null;
+}
+
+/**
+ * Resolve a chemistry name or a custom { ocv } object to a usable OCV curve.
+ * Custom curves are cleaned of blank points and sorted by state of charge.
+ */
+function resolveChemistry(chemistry) {
+  const ocv = cleanTable(chemistry?.ocv);
+  if (ocv) return { ocv };
+  return CHEMISTRY[chemistry] || CHEMISTRY.LiPo;
+}
+
 /**
- * Calculate air density using ISA standard atmosphere model.
- * @param {number} altitudeM - Altitude in meters (0–11000)
+ * Calculate dry air density at a field on a standard-pressure day.
+ * The ISA pressure at the elevation is combined with the measured temperature;
+ * use calcAtmosphere for QNH, station pressure and humidity.
+ * @param {number} altitudeM - Field elevation in meters (−500–11000)
  * @param {number} tempC - Ambient temperature in °C
  * @returns {number} Air density in kg/m³
  */
 export function calcAirDensity(altitudeM, tempC) {
-  const alt = Math.max(0, Math.min(altitudeM, 11000));
-  // Temperature at altitude using lapse rate
-  const T = (tempC + 273.15) - LAPSE_RATE * alt + LAPSE_RATE * alt; // user temp override
-  // Pressure at altitude
-  const exponent = (GRAVITY * MOLAR_MASS_AIR) / (UNIVERSAL_GAS_CONSTANT * LAPSE_RATE);
-  const P = SEA_LEVEL_PRESSURE * Math.pow(1 - (LAPSE_RATE * alt) / SEA_LEVEL_TEMP, exponent);
-  // Density from ideal gas law: ρ = P / (R_specific × T)
-  const T_kelvin = tempC + 273.15;
-  return P / (AIR_GAS_CONSTANT * T_kelvin);
+  return calcAtmosphere({ elevationM: altitudeM, tempC }).density;
 }
 
 /**
@@ -112,6 +199,50 @@ export function calcMotorEfficiency(mechPower, elecPower) {
   return Math.min(1, Math.max(0, mechPower / elecPower));
 }
 
+/**
+ * Build a motor efficiency map over RPM and shaft torque.
+ * Uses the standard three-constant DC motor model: I = τ / Kt + I0,
+ * V = RPM / Kv + I × Rm, η = τω / (V × I). Cells beyond the motor's max
+ * current, max power or the supply voltage are marked out of range.
+ * @param {Object} motor - Motor constants and limits
+ * @param {number} motor.kv - Motor Kv rating (RPM/V)
+ * @param {number} motor.resistance - Winding resistance (Ω)
+ * @param {number} motor.noLoadCurrent - No-load current (A)
+ * @param {number} motor.maxCurrent - Max continuous current (A)
+ * @param {number} motor.maxPower - Max electrical power (W)
+ * @param {number} motor.maxVoltage - Supply voltage (V)
+ * @param {number} [rpmSteps=40] - Grid columns
+ * @param {number} [torqueSteps=30] - Grid rows
+ * @returns {{ kt: number, maxRpm: number, maxTorque: number, rpmStep: number, torqueStep: number, cells: Array<Object>, peakEfficiency: number }}
+ *   cells hold { rpm, torque, current, voltage, efficiency, inRange } at each cell centre.
+ */
+export function calcMotorEfficiencyMap(motor, rpmSteps = 40, torqueSteps = 30) {
+  const { kv, resistance, noLoadCurrent, maxCurrent, maxPower, maxVoltage } = motor;
+  const kt = 60 / (2 * Math.PI * kv);
+  const maxRpm = kv * maxVoltage;
+  const maxTorque = Math.max(0, kt * (maxCurrent - noLoadCurrent));
+  const rpmStep = maxRpm / rpmSteps;
+  const torqueStep = maxTorque / torqueSteps;
+
+  const cells = [];
+  let peakEfficiency = 0;
+  for (let j = 0; j < torqueSteps; j++) {
+    const torque = (j + 0.5) * torqueStep;
+    const current = torque / kt + noLoadCurrent;
+    for (let i = 0; i < rpmSteps; i++) {
+      const rpm = (i + 0.5) * rpmStep;
+      const voltage = rpm / kv + current * resistance;
+      const elecPower = voltage * current;
+      const efficiency = calcMotorEfficiency(torque * rpm * 2 * Math.PI / 60, elecPower);
+      const inRange = voltage <= maxVoltage && elecPower <= maxPower;
+      if (inRange) peakEfficiency = Math.max(peakEfficiency, efficiency);
+      cells.push({ rpm, torque, current, voltage, efficiency, inRange });
+    }
+  }
+
+  return { kt, maxRpm, maxTorque, rpmStep, torqueStep, cells, peakEfficiency };
+}
+
 /**
  * Estimate propeller thrust and power coefficients from geometry.
  * Uses empirical approximations for hobby propellers.
@@ -143,26 +274,264 @@ export function estimatePropCoefficients(diameterIn, pitchIn, blades) {
   return { ct, cp };
 }
 
+/**
+ * Interpolate measured propeller coefficients by RPM and advance ratio.
+ * Static points are used at J = 0; otherwise each RPM sweep is read at J and
+ * the result is blended linearly between the two nearest sweeps. Values are
+ * clamped to the ends of the measured ranges.
+ * @param {Object} perfData - Measured prop data, tables sorted ascending
+ * @param {Array<number[]>} [perfData.static] - [rpm, ct, cp] points
+ * @param {Array<{ rpm: number, points: Array<number[]> }>} [perfData.sweeps] - [j, ct, cp] points per RPM
+ * @param {number} rpm - Propeller RPM
+ * @param {number} [advanceRatio=0] - J = V / (n × D)
+ * @returns {{ ct: number, cp: number }|null} null when the data has no usable points
+ */
+export function calcPropCoefficients(perfData, rpm, advanceRatio = 0) {
+  const staticPts = perfData?.static || [];
+  const sweeps = (perfData?.sweeps || []).filter(s => s.points?.length);
+
+  if (staticPts.length && (advanceRatio <= 0 || !sweeps.length)) {
+    return {
+      ct: lerpTable(staticPts.map(p => [p[0], p[1]]), rpm),
+      cp: lerpTable(staticPts.map(p => [p[0], p[2]]), rpm),
+    };
+  }
+  if (!sweeps.length) return null;
+
+  const readSweep = (sweep) => ({
+    ct: lerpTable(sweep.points.map(p => [p[0], p[1]]), advanceRatio),
+    cp: lerpTable(sweep.points.map(p => [p[0], p[2]]), advanceRatio),
+  });
+
+  if (rpm <= sweeps[0].rpm) return readSweep(sweeps[0]);
+  const last = sweeps[sweeps.length - 1];
+  if (rpm >= last.rpm) return readSweep(last);
+  const i = sweeps.findIndex(s => s.rpm >= rpm);
+  const lo = readSweep(sweeps[i - 1]);
+  const hi = readSweep(sweeps[i]);
+  const f = (rpm - sweeps[i - 1].rpm) / (sweeps[i].rpm - sweeps[i - 1].rpm);
+  return { ct: lo.ct + f * (hi.ct - lo.ct), cp: lo.cp + f * (hi.cp - lo.cp) };
+}
+
+// ─── Propeller Tip ───
+
+// APC-style RPM limits: maximum RPM = constant / diameter (in), by prop series
+export const PROP_RPM_LIMITS = {
+  mr: { label: 'Multirotor', constant: 105000 },
+  e: { label: 'Thin Electric', constant: 150000 },
+  sf: { label: 'Slow Flyer', constant: 65000 },
+};
+
+// Tip Mach above which thin blade sections go transonic: drag, noise and
+// power climb steeply and the thrust model no longer holds
+export const TIP_MACH_LIMIT = 0.7;
+
+// Blade chord near the tip (~90 % radius) as a fraction of diameter
+const TIP_CHORD_RATIO = 0.05;
+
+/**
+ * Tip speed, Mach and Reynolds number of a propeller, and its rated maximum RPM.
+ * Mach is taken at the highest RPM the prop will see; Reynolds at hover, where
+ * it spends its time and where low-Re losses matter.
+ * @param {Object} params
+ * @param {number} params.diameterM - Prop diameter (m)
+ * @param {number} params.maxRpm - Highest RPM (full throttle)
+ * @param {number} params.hoverRpm - Hover RPM
+ * @param {number} params.tempC - Air temperature (°C)
+ * @param {number} params.rho - Air density (kg/m³)
+ * @param {string} [params.series='mr'] - Key of PROP_RPM_LIMITS
+ * @returns {{ tipSpeed: number, tipMach: number, hoverTipSpeed: number, tipReynolds: number,
+ *   maxRpm: number, maxSafeRpm: number, rpmMargin: number }} rpmMargin is maxSafeRpm / maxRpm
+ */
+export function calcPropTip({ diameterM, maxRpm, hoverRpm, tempC, rho, series = 'mr' }) {
+  const tipSpeed = (Math.PI * diameterM * maxRpm) / 60;
+  const hoverTipSpeed = (Math.PI * diameterM * hoverRpm) / 60;
+  const limit = PROP_RPM_LIMITS[series] || PROP_RPM_LIMITS.mr;
+  const maxSafeRpm = limit.constant / (diameterM / 0.0254);
+  return {
+    tipSpeed,
+    tipMach: tipSpeed / speedOfSound(tempC),
+    hoverTipSpeed,
+    tipReynolds: (rho * hoverTipSpeed * TIP_CHORD_RATIO * diameterM) / dynamicViscosity(tempC),
+    maxRpm,
+    maxSafeRpm,
+    rpmMargin: maxSafeRpm / maxRpm,
+  };
+}
+
+// ─── Acoustics ───
+
+// Rotor noise constant (Pa·kg/m²·s), set so a 1.4 kg quad on 9.4" two-blade
+// props hovers at ~76 dB(A) at 1 m, in line with published measurements
+const ROTOR_NOISE_CONSTANT = 2.2e-5;
+const NOISE_REF_PRESSURE = 20e-6; // Pa
+const VORTEX_STROUHAL = 0.28;
+// Blade thickness projected on the flow at hover incidence, as a fraction of chord
+const PROJECTED_THICKNESS_RATIO = 0.25;
+
+/**
+ * A-weighting correction (IEC 61672) at a frequency.
+ * @param {number} freqHz - Frequency (Hz)
+ * @returns {number} Correction (dB), ~0 at 1 kHz
+ */
+export function calcAWeighting(freqHz) {
+  const f2 = freqHz * freqHz;
+  const ra = (12194 ** 2 * f2 * f2) /
+    ((f2 + 20.6 ** 2) * Math.sqrt((f2 + 107.7 ** 2) * (f2 + 737.9 ** 2)) * (f2 + 12194 ** 2));
+  return 20 * Math.log10(ra) + 2.0;
+}
+
+/**
+ * Empirical hover noise of a multirotor, A-weighted, at a listener distance.
+ * Each rotor is a broadband (vortex-shedding) source whose pressure scales
+ * with the 70 %-radius blade speed and √(thrust × disk loading / solidity),
+ * so more blades or a bigger disk at the same thrust is quieter. The level is
+ * A-weighted at the shedding peak frequency; rotors add incoherently and the
+ * level falls 6 dB per doubling of distance.
+ * @param {Object} params
+ * @param {number} params.tipSpeed - Hover tip speed (m/s)
+ * @param {number} params.thrustN - Hover thrust per rotor (N)
+ * @param {number} params.diameterM - Prop diameter (m)
+ * @param {number} params.blades - Blades per prop
+ * @param {number} params.motorCount - Number of rotors
+ * @param {number} params.rho - Air density (kg/m³)
+ * @param {number} [params.distanceM=1] - Listener distance from the drone (m)
+ * @returns {{ splA: number, rotorSplA: number, peakFreq: number, bladePassFreq: number }}
+ *   splA is the whole drone, rotorSplA one rotor, both in dB(A) at distanceM
+ */
+export function calcRotorNoise({ tipSpeed, thrustN, diameterM, blades, motorCount, rho, distanceM = 1 }) {
+  const r = Math.max(distanceM, 0.1);
+  const v07 = 0.7 * tipSpeed;
+  const chord = TIP_CHORD_RATIO * diameterM;
+  const solidity = (blades * chord) / (Math.PI * diameterM / 2);
+  const diskLoading = calcDiskLoading(thrustN, diameterM);
+  const pressure = ROTOR_NOISE_CONSTANT * (v07 / (rho * r)) * Math.sqrt((thrustN * diskLoading) / solidity);
+
+  const peakFreq = (VORTEX_STROUHAL * v07) / (PROJECTED_THICKNESS_RATIO * chord);
+  const rotorSplA = 20 * Math.log10(pressure / NOISE_REF_PRESSURE) + calcAWeighting(peakFreq);
+  return {
+    splA: rotorSplA + 10 * Math.log10(motorCount),
+    rotorSplA,
+    peakFreq,
+    bladePassFreq: (blades * tipSpeed) / (Math.PI * diameterM),
+  };
+}
+
+// ─── Momentum Theory ───
+
+/**
+ * Calculate rotor disk loading.
+ * @param {number} thrustN - Rotor thrust in Newtons
+ * @param {number} diameterM - Rotor diameter in meters
+ * @returns {number} Disk loading (N/m²)
+ */
+export function calcDiskLoading(thrustN, diameterM) {
+  const area = Math.PI * diameterM * diameterM / 4;
+  return area > 0 ? thrustN / area : 0;
+}
+
+/**
+ * Calculate ideal (momentum theory) hover power: P = T^1.5 / √(2ρA).
+ * @param {number} thrustN - Rotor thrust in Newtons
+ * @param {number} rho - Air density (kg/m³)
+ * @param {number} diameterM - Rotor diameter in meters
+ * @returns {number} Ideal induced power (W)
+ */
+export function calcIdealHoverPower(thrustN, rho, diameterM) {
+  const area = Math.PI * diameterM * diameterM / 4;
+  if (area <= 0 || thrustN <= 0) return 0;
+  return Math.pow(thrustN, 1.5) / Math.sqrt(2 * rho * area);
+}
+
+/**
+ * Calculate the static figure of merit implied by a Ct/Cp pair.
+ * With propeller-style coefficients (T = Ct ρ n² D⁴, P = Cp ρ n³ D⁵)
+ * FM = √(2/π) × Ct^1.5 / Cp. A real rotor cannot exceed 1.
+ * @param {number} ct - Thrust coefficient
+ * @param {number} cp - Power coefficient
+ * @returns {number} Figure of merit (ideal power / actual power)
+ */
+export function calcFigureOfMerit(ct, cp) {
+  if (!(ct > 0) || !(cp > 0)) return 0;
+  return Math.sqrt(2 / Math.PI) * Math.pow(ct, 1.5) / cp;
+}
+
+/**
+ * Calculate resting (open-circuit) cell voltage at a given state of charge.
+ * @param {string|Object} chemistry - Built-in chemistry name or a custom { ocv: [[soc, volts], ...] } curve
+ * @param {number} soc - State of charge (0–1)
+ * @returns {number} Cell voltage (V)
+ */
+export function calcCellOpenCircuitVoltage(chemistry, soc) {
+  return lerpTable(resolveChemistry(chemistry).ocv, soc);
+}
+
+/**
+ * Temperature derating factors for a pack, relative to 25 °C.
+ * Custom chemistries carry their own { resistance, capacity } tables, cleaned
+ * like OCV curves; without one (or with a half-empty one) the LiPo table is used.
+ * @param {string|Object} chemistry - Built-in chemistry name or a custom { ocv?, derating? } object
+ * @param {number} packTempC - Pack temperature (°C)
+ * @returns {{ resistanceFactor: number, capacityFactor: number }}
+ */
+export function calcBatteryDerating(chemistry, packTempC) {
+  const fallback = CHEMISTRY[chemistry]?.derating || CHEMISTRY.LiPo.derating;
+  const resistance = cleanTable(chemistry?.derating?.resistance) || fallback.resistance;
+  const capacity = cleanTable(chemistry?.derating?.capacity) || fallback.capacity;
+  return {
+    resistanceFactor: lerpTable(resistance, packTempC),
+    capacityFactor: lerpTable(capacity, packTempC),
+  };
+}
+
+/**
+ * Summarise a chemistry's OCV curve as per-cell voltages.
+ * Nominal is the mean resting voltage over the curve, i.e. the
+ * energy-equivalent voltage of a full discharge.
+ * @param {string|Object} chemistry - Built-in chemistry name or a custom { ocv } curve
+ * @returns {{ nominal: number, max: number, min: number }}
+ */
+export function getChemistryVoltages(chemistry) {
+  const { ocv } = resolveChemistry(chemistry);
+  const first = ocv[0];
+  const last = ocv[ocv.length - 1];
+  const span = last[0] - first[0];
+  let area = 0;
+  for (let i = 1; i < ocv.length; i++) {
+    area += (ocv[i][0] - ocv[i - 1][0]) * (ocv[i][1] + ocv[i - 1][1]) / 2;
+  }
+  return {
+    nominal: span > 0 ? area / span : first[1],
+    max: calcCellOpenCircuitVoltage(chemistry, 1),
+    min: calcCellOpenCircuitVoltage(chemistry, 0),
+  };
+}
+
 /**
  * Calculate battery voltage under load with sag model.
  * @param {number} cells - Series cell count
- * @param {string} chemistry - 'LiPo', 'Li-ion', or 'LiHV'
+ * @param {string|Object} chemistry - Built-in chemistry name or a custom { ocv } curve
  * @param {number} currentA - Total current draw (A)
  * @param {number} capacityMah - Total pack capacity (mAh)
  * @param {number} cRating - Continuous C-rating
  * @param {number} internalResistanceMohm - Internal resistance per cell (mΩ)
+ * @param {number} [soc] - State of charge (0–1); nominal voltage is used when omitted
+ * @param {number} [packTempC=25] - Pack temperature (°C); cold packs sag more
  * @returns {{ voltage: number, sagVolts: number }}
  */
-export function calcBatteryVoltageUnderLoad(cells, chemistry, currentA, capacityMah, cRating, internalResistanceMohm) {
-  const chem = CHEMISTRY[chemistry] || CHEMISTRY.LiPo;
-  const nominalVoltage = chem.nominal * cells;
+export function calcBatteryVoltageUnderLoad(cells, chemistry, currentA, capacityMah, cRating, internalResistanceMohm, soc, packTempC = 25) {
+  const chem = getChemistryVoltages(chemistry);
+  const restVoltage = soc === undefined
+    ? chem.nominal * cells
+    : calcCellOpenCircuitVoltage(chemistry, soc) * cells;
   const minVoltage = chem.min * cells;
 
   // Voltage drop from internal resistance: V_sag = I × R_total
-  const totalResistance = (internalResistanceMohm / 1000) * cells; // series resistance
+  const { resistanceFactor } = calcBatteryDerating(chemistry, packTempC);
+  const totalResistance = (internalResistanceMohm / 1000) * cells * resistanceFactor; // series resistance
   const sagVolts = currentA * totalResistance;
 
-  const voltage = Math.max(minVoltage, nominalVoltage - sagVolts);
+  const voltage = Math.max(minVoltage, restVoltage - sagVolts);
 
   return { voltage, sagVolts };
 }
@@ -253,9 +622,85 @@ export function calcWireLoss(awg, lengthCm, currentA) {
   return { resistance, powerLoss };
 }
 
+/**
+ * Calculate the power lost in one ESC channel.
+ * Conduction loss is I² × R; switching loss is ½ × V × I × t_sw × f_pwm with
+ * one leg switching at a time; gate drive charges six MOSFETs each PWM cycle.
+ * The BEC regulator loss is reported separately because only one channel
+ * carries it.
+ * @param {Object} params - ESC operating state
+ * @param {number} params.motorCurrent - Phase (winding) current (A)
+ * @param {number} params.busVoltage - DC bus voltage (V)
+ * @param {number} params.resistanceOhm - Conduction path resistance (Ω)
+ * @param {number} params.pwmKhz - PWM frequency (kHz)
+ * @param {number} [params.becLoadA=0] - BEC output current (A)
+ * @param {number} [params.becVoltage=5] - BEC output voltage (V)
+ * @param {string} [params.becType='switching'] - 'switching' (85% efficient) or 'linear'
+ * @returns {{ conduction: number, switching: number, gateDrive: number, bec: number, becInputCurrent: number, total: number }}
+ *   total excludes the BEC loss.
+ */
+export function calcEscLosses(params) {
+  const {
+    motorCurrent, busVoltage, resistanceOhm, pwmKhz,
+    becLoadA = 0, becVoltage = 5, becType = 'switching',
+  } = params;
+  const freq = pwmKhz * 1000;
+
+  const conduction = motorCurrent * motorCurrent * resistanceOhm;
+  const switching = 0.5 * busVoltage * motorCurrent * ESC_SWITCH_TIME_S * freq;
+  const gateDrive = 6 * ESC_GATE_CHARGE_C * ESC_GATE_DRIVE_V * freq + ESC_LOGIC_POWER_W;
+
+  const becOut = becVoltage * becLoadA;
+  let bec = 0;
+  let becInputCurrent = 0;
+  if (becLoadA > 0) {
+    if (becType === 'linear') {
+      bec = Math.max(0, busVoltage - becVoltage) * becLoadA;
+      becInputCurrent = becLoadA;
+    } else {
+      bec = becOut * (1 / 0.85 - 1);
+      becInputCurrent = busVoltage > 0 ? (becOut + bec) / busVoltage : 0;
+    }
+  }
+
+  return {
+    conduction,
+    switching,
+    gateDrive,
+    bec,
+    becInputCurrent,
+    total: conduction + switching + gateDrive,
+  };
+}
+
+/**
+ * Estimate ESC board temperature with a first-order thermal model.
+ * Thermal resistance scales with exposed area (mass^⅔) and the cooling
+ * class; the time constant comes from the board's thermal mass.
+ * @param {number} ambientC - Ambient temperature (°C)
+ * @param {number} lossW - Heat dissipated on the board (W)
+ * @param {number} boardWeightG - Board mass in grams
+ * @param {string} cooling - Cooling class (key of ESC_COOLING)
+ * @param {number} durationS - Duration in seconds
+ * @returns {{ temp: number, thermalResistance: number, tau: number }}
+ */
+export function calcEscTemp(ambientC, lossW, boardWeightG, cooling, durationS) {
+  const { thermalResistance, tau } = escThermalModel(boardWeightG, cooling);
+  const temp = ambientC + lossW * thermalResistance * (1 - Math.exp(-durationS / tau));
+  return { temp, thermalResistance, tau };
+}
+
+/** Thermal resistance (°C/W) and time constant (s) of an ESC board. */
+function escThermalModel(boardWeightG, cooling) {
+  const mass = Math.max(1, boardWeightG);
+  const thermalResistance = (ESC_COOLING[cooling] || ESC_COOLING.open) / Math.pow(mass, 2 / 3);
+  return { thermalResistance, tau: thermalResistance * mass * ESC_SPECIFIC_HEAT };
+}
+
 /**
  * Get coaxial thrust factor.
- * Lower rotors in coaxial config lose ~15% efficiency.
+ * Lower rotors in coaxial config lose ~15% efficiency. Rule of thumb only;
+ * runFullSimulation solves the pairs with solveCoaxialPair.
  * @param {boolean} isCoaxial - Whether the config is coaxial
  * @returns {number} Factor (0.85 or 1.0)
  */
@@ -263,6 +708,1495 @@ export function calcCoaxialFactor(isCoaxial) {
   return isCoaxial ? 0.85 : 1.0;
 }
 
+/**
+ * Solve the motor–propeller operating point at a given throttle.
+ * The ESC is treated as an ideal PWM converter: the motor sees throttle × V_batt
+ * and each motor draws throttle × I_motor from the pack. The solver finds the
+ * RPM where motor shaft torque Kt × (I − I0) equals prop torque Cp × ρ × n² × D⁵ / 2π,
+ * with the battery sagging under the combined current of every motor. When
+ * measured prop data is given, Ct and Cp follow RPM and advance ratio.
+ * @param {Object} params - Motor, prop, air and battery parameters
+ * @param {number} params.kv - Motor Kv rating (RPM/V)
+ * @param {number} params.resistance - Motor winding resistance (Ω)
+ * @param {number} params.noLoadCurrent - Motor no-load current (A)
+ * @param {number} params.ct - Thrust coefficient
+ * @param {number} params.cp - Power coefficient
+ * @param {number} params.rho - Air density (kg/m³)
+ * @param {number} params.diameterM - Propeller diameter in meters
+ * @param {number} [params.pitchM] - Propeller pitch in meters (limits thrust in axial inflow)
+ * @param {Object} [params.perfData] - Measured prop data (see calcPropCoefficients); replaces ct/cp
+ * @param {number} [params.inflowSpeed=0] - Axial inflow speed (m/s). Sets the advance ratio for measured
+ *   data; otherwise thrust falls linearly to zero at the pitch speed and torque to 40% of static.
+ * @param {number} params.openCircuitVoltage - Pack voltage at rest (V)
+ * @param {number} params.packResistance - Total pack internal resistance (Ω)
+ * @param {number} params.numMotors - Motors sharing the pack
+ * @param {number} [params.auxCurrent=0] - Other current drawn from the pack (A)
+ * @param {number} throttle - Throttle ratio (0–1)
+ * @returns {{ throttle: number, rpm: number, thrust: number, mechPower: number, motorCurrent: number, current: number, totalCurrent: number, voltage: number, motorVoltage: number, elecPower: number, efficiency: number }}
+ *   current is the battery-side current per motor, motorCurrent the winding current.
+ */
+export function solveOperatingPoint(params, throttle) {
+  const {
+    kv, resistance, noLoadCurrent, ct, cp, rho, diameterM,
+    openCircuitVoltage, packResistance, numMotors, auxCurrent = 0,
+    pitchM, perfData, inflowSpeed = 0,
+  } = params;
+  const d = Math.max(0, Math.min(1, throttle));
+  const kt = 60 / (2 * Math.PI * kv); // torque constant (N·m/A)
+  const d5 = Math.pow(diameterM, 5);
+
+  // Winding current for a given RPM. The pack sag term depends on the same
+  // current, so solve V_m = d × (V_oc − R_b × (N × d × I + I_aux)) for I directly.
+  const supply = d * (openCircuitVoltage - packResistance * auxCurrent);
+  const loopResistance = resistance + numMotors * d * d * packResistance;
+  const motorCurrentAt = (rpm) => (supply - rpm / kv) / loopResistance;
+
+  const coefficientsAt = (rpm) => {
+    const n = rpm / 60;
+    if (perfData && (perfData.sweeps?.length || !inflowSpeed)) {
+      const j = n > 0 ? inflowSpeed / (n * diameterM) : 0;
+      return calcPropCoefficients(perfData, rpm, j) || { ct, cp };
+    }
+    const base = (perfData && calcPropCoefficients(perfData, rpm, 0)) || { ct, cp };
+    if (!inflowSpeed || !pitchM) return base;
+    const x = n > 0 ? Math.min(1, inflowSpeed / (pitchM * n)) : 1;
+    return { ct: base.ct * (1 - x * x), cp: base.cp * (1 - 0.6 * x * x) };
+  };
+
+  const torqueBalance = (rpm) => {
+    const n = rpm / 60;
+    const motorTorque = kt * (motorCurrentAt(rpm) - noLoadCurrent);
+    const propTorque = (coefficientsAt(rpm).cp * rho * n * n * d5) / (2 * Math.PI);
+    return motorTorque - propTorque;
+  };
+
+  // Bisection: motor torque falls and prop torque rises with RPM
+  let rpm = 0;
+  if (torqueBalance(0) > 0) {
+    let lo = 0;
+    let hi = kv * supply;
+    for (let i = 0; i < 50; i++) {
+      const mid = (lo + hi) / 2;
+      if (torqueBalance(mid) > 0) lo = mid; else hi = mid;
+    }
+    rpm = (lo + hi) / 2;
+  }
+
+  const rps = rpm / 60;
+  const motorCurrent = Math.max(0, motorCurrentAt(rpm));
+  const current = d * motorCurrent;
+  const totalCurrent = current * numMotors + auxCurrent;
+  const voltage = openCircuitVoltage - packResistance * totalCurrent;
+  const motorVoltage = d * voltage;
+  const coeffs = coefficientsAt(rpm);
+  const thrust = calcThrust(coeffs.ct, rho, rps, diameterM);
+  const mechPower = calcPropPower(coeffs.cp, rho, rps, diameterM);
+  const elecPower = calcMotorElecPower(voltage, current);
+
+  return {
+    throttle: d,
+    rpm,
+    thrust,
+    mechPower,
+    motorCurrent,
+    current,
+    totalCurrent,
+    voltage,
+    motorVoltage,
+    elecPower,
+    efficiency: calcMotorEfficiency(mechPower, elecPower),
+  };
+}
+
+/**
+ * Bisect throttle until an operating-point field reaches the target.
+ * The field must rise monotonically with throttle.
+ */
+function solveThrottleFor(params, field, target) {
+  const full = solveOperatingPoint(params, 1);
+  if (full[field] <= target) return full;
+
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    if (solveOperatingPoint(params, mid)[field] < target) lo = mid; else hi = mid;
+  }
+  return solveOperatingPoint(params, (lo + hi) / 2);
+}
+
+/**
+ * Find the throttle at which one motor produces the requested thrust.
+ * @param {Object} params - Same parameters as solveOperatingPoint
+ * @param {number} thrustN - Required thrust per motor in Newtons
+ * @returns {Object} Operating point (see solveOperatingPoint); throttle is 1 if the target is out of reach
+ */
+export function solveThrottleForThrust(params, thrustN) {
+  return solveThrottleFor(params, 'thrust', thrustN);
+}
+
+/**
+ * Find the throttle at which one motor delivers the requested shaft power.
+ * @param {Object} params - Same parameters as solveOperatingPoint
+ * @param {number} powerW - Required mechanical power per motor in Watts
+ * @returns {Object} Operating point (see solveOperatingPoint); throttle is 1 if the target is out of reach
+ */
+export function solveThrottleForPower(params, powerW) {
+  return solveThrottleFor(params, 'mechPower', powerW);
+}
+
+/**
+ * Upper-rotor wake at the lower rotor of a coaxial pair.
+ * The actuator-disk slipstream speeds up from v_h at the disk to 2·v_h far
+ * downstream, v(z) = v_h (1 + z / √(R² + z²)), contracting to an area
+ * fraction f = v_h / v(z) of the lower disk. Blade thrust grows with r², so
+ * the wake region carries f^1.5 of the lower rotor's loading and the
+ * equivalent uniform inflow is f^1.5 × v(z) = √f × v_h. Wider spacing
+ * therefore helps the lower rotor, but never back to an isolated rotor.
+ * @param {number} upperThrustN - Upper rotor thrust (N)
+ * @param {number} rho - Air density (kg/m³)
+ * @param {number} diameterM - Upper rotor diameter (m)
+ * @param {number} spacingM - Vertical distance between the rotor planes (m)
+ * @returns {{ inducedVelocity: number, wakeVelocity: number, wakeAreaFraction: number, effectiveInflow: number }}
+ */
+export function calcCoaxialWake(upperThrustN, rho, diameterM, spacingM) {
+  const radius = diameterM / 2;
+  const diskArea = Math.PI * radius * radius;
+  const vh = Math.sqrt(Math.max(0, upperThrustN) / (2 * rho * diskArea));
+  const z = Math.max(0, spacingM);
+  const wakeVelocity = vh * (1 + z / Math.sqrt(radius * radius + z * z));
+  const wakeAreaFraction = wakeVelocity > 0 ? vh / wakeVelocity : 1;
+  return {
+    inducedVelocity: vh,
+    wakeVelocity,
+    wakeAreaFraction,
+    effectiveInflow: Math.sqrt(wakeAreaFraction) * vh,
+  };
+}
+
+/**
+ * Solve one coaxial pair at a common throttle, as a standard X8/Y6 mixer
+ * drives both rotors of an arm. The lower rotor runs in the upper wake
+ * (see calcCoaxialWake). Upper and lower rotors may use different motors
+ * and props, so the shared pack voltage is iterated on their combined current.
+ * @param {Object} upperParams - Operating point parameters of the upper rotor (numMotors counts both rotors of every pair)
+ * @param {Object} lowerParams - Operating point parameters of the lower rotor
+ * @param {number} spacingM - Vertical rotor spacing (m)
+ * @param {number} throttle - Throttle ratio (0–1)
+ * @returns {{ throttle: number, upper: Object, lower: Object, wake: Object, thrust: number, totalCurrent: number, voltage: number }}
+ *   upper and lower are solveOperatingPoint results; thrust is the pair total.
+ */
+export function solveCoaxialPairAt(upperParams, lowerParams, spacingM, throttle) {
+  const pairs = upperParams.numMotors / 2;
+  const { openCircuitVoltage, packResistance, auxCurrent = 0 } = upperParams;
+  let voltage = openCircuitVoltage - packResistance * auxCurrent;
+  let upper;
+  let lower;
+  let wake;
+  let totalCurrent = auxCurrent;
+
+  for (let i = 0; i < 12; i++) {
+    const bus = { openCircuitVoltage: voltage, packResistance: 0, auxCurrent: 0 };
+    upper = solveOperatingPoint({ ...upperParams, ...bus }, throttle);
+    wake = calcCoaxialWake(upper.thrust, upperParams.rho, upperParams.diameterM, spacingM);
+    lower = solveOperatingPoint({ ...lowerParams, ...bus, inflowSpeed: wake.effectiveInflow }, throttle);
+    totalCurrent = pairs * (upper.current + lower.current) + auxCurrent;
+    voltage = openCircuitVoltage - packResistance * totalCurrent;
+  }
+
+  return {
+    throttle: upper.throttle,
+    upper,
+    lower,
+    wake,
+    thrust: upper.thrust + lower.thrust,
+    totalCurrent,
+    voltage,
+  };
+}
+
+/**
+ * Coaxial factor at which identical rotors (params) carrying weightN draw
+ * the target pack current at hover.
+ */
+function equivalentCoaxialFactor(params, weightN, targetCurrent) {
+  let lo = 0.3;
+  let hi = 1.5;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    const op = solveThrottleForThrust(params, weightN / (params.numMotors * mid));
+    if (op.totalCurrent > targetCurrent) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/** Per-rotor figures reported for a coaxial pair. */
+function coaxialRotorSummary(op) {
+  return {
+    thrustG: (op.thrust / GRAVITY) * 1000,
+    current: op.current,
+    motorCurrent: op.motorCurrent,
+    rpm: op.rpm,
+    elecPower: op.elecPower,
+  };
+}
+
+/**
+ * Bisect the common throttle until a coaxial pair produces the target thrust.
+ * @param {Object} upperParams - See solveCoaxialPairAt
+ * @param {Object} lowerParams - See solveCoaxialPairAt
+ * @param {number} spacingM - Vertical rotor spacing (m)
+ * @param {number} thrustN - Required thrust of the pair (N)
+ * @returns {Object} Pair state at full throttle if the target is out of reach
+ */
+export function solveCoaxialPair(upperParams, lowerParams, spacingM, thrustN) {
+  const full = solveCoaxialPairAt(upperParams, lowerParams, spacingM, 1);
+  if (full.thrust <= thrustN) return full;
+
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    if (solveCoaxialPairAt(upperParams, lowerParams, spacingM, mid).thrust < thrustN) lo = mid; else hi = mid;
+  }
+  return solveCoaxialPairAt(upperParams, lowerParams, spacingM, (lo + hi) / 2);
+}
+
+/**
+ * Calculate rotor induced velocity in forward flight (Glauert momentum theory).
+ * Solves v_i = v_h² / √((V cos α)² + (V sin α + v_i)²) where α is the forward disk tilt.
+ * @param {number} thrustN - Rotor thrust in Newtons
+ * @param {number} rho - Air density (kg/m³)
+ * @param {number} diskAreaM2 - Rotor disk area (m²)
+ * @param {number} airspeed - Airspeed (m/s)
+ * @param {number} tiltRad - Disk tilt into the relative wind (rad)
+ * @returns {number} Induced velocity (m/s)
+ */
+export function calcInducedVelocity(thrustN, rho, diskAreaM2, airspeed, tiltRad) {
+  const vh2 = thrustN / (2 * rho * diskAreaM2);
+  if (vh2 <= 0) return 0;
+  const vx = airspeed * Math.cos(tiltRad);
+  const vz = airspeed * Math.sin(tiltRad);
+  const residual = (v) => v * Math.sqrt(vx * vx + (vz + v) * (vz + v)) - vh2;
+
+  let lo = 0;
+  let hi = Math.sqrt(vh2);
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (residual(mid) < 0) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Calculate the power state of a multirotor in steady level flight.
+ * The airframe tilts until thrust balances weight and body drag
+ * (tan θ = D / W). Each rotor's static shaft power from Ct/Cp is split into an
+ * induced part (κ × T × v_h) and a profile remainder; in forward flight the
+ * induced part follows v_i, the profile part grows with advance ratio
+ * (1 + 4.65 μ²), and T × V sin θ adds the parasite power. At V = 0 this
+ * reduces to the hover shaft power, so hover and cruise stay consistent.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint)
+ * @param {Object} airframe - Airframe description
+ * @param {number} airframe.weightN - All-up weight in Newtons
+ * @param {number} airframe.rotors - Effective rotor count (motor count × coaxial factor)
+ * @param {number} airframe.frontalAreaM2 - Frontal drag area (m²)
+ * @param {number} airframe.dragCoefficient - Body drag coefficient
+ * @param {number} [airframe.maxTiltDeg=45] - Flight controller tilt limit (°)
+ * @param {number} airspeed - Airspeed (m/s)
+ * @returns {{ airspeed: number, tiltDeg: number, dragN: number, thrustPerMotor: number, inducedPower: number, profilePower: number, parasitePower: number, shaftPower: number, op: Object, thrustOk: boolean, tiltOk: boolean, feasible: boolean }}
+ *   Powers are shaft totals for the aircraft; op is the per-motor operating point.
+ */
+export function calcForwardFlight(params, airframe, airspeed) {
+  const { rho, ct, cp, diameterM } = params;
+  const { weightN, rotors, frontalAreaM2, dragCoefficient, maxTiltDeg = 45 } = airframe;
+  const kappa = 1.15; // induced power factor for non-ideal inflow
+
+  const dragN = 0.5 * rho * airspeed * airspeed * dragCoefficient * frontalAreaM2;
+  const tilt = Math.atan2(dragN, weightN);
+  const thrustPerMotor = Math.hypot(weightN, dragN) / rotors;
+  const diskArea = Math.PI * diameterM * diameterM / 4;
+
+  const vh = Math.sqrt(thrustPerMotor / (2 * rho * diskArea));
+  const vi = calcInducedVelocity(thrustPerMotor, rho, diskArea, airspeed, tilt);
+  const staticRps = Math.sqrt(thrustPerMotor / (ct * rho * Math.pow(diameterM, 4)));
+  const staticPower = calcPropPower(cp, rho, staticRps, diameterM);
+  const tipSpeed = Math.PI * diameterM * staticRps;
+  const mu = tipSpeed > 0 ? (airspeed * Math.cos(tilt)) / tipSpeed : 0;
+
+  const inducedPower = kappa * thrustPerMotor * vi;
+  const profilePower = Math.max(0, staticPower - kappa * thrustPerMotor * vh) * (1 + 4.65 * mu * mu);
+  const parasitePower = thrustPerMotor * airspeed * Math.sin(tilt);
+  const shaftPowerPerMotor = inducedPower + profilePower + parasitePower;
+
+  const op = solveThrottleForPower(params, shaftPowerPerMotor);
+  const tiltDeg = tilt * 180 / Math.PI;
+  const powerOk = op.throttle < 1 || op.mechPower >= shaftPowerPerMotor;
+  const thrustOk = powerOk && solveOperatingPoint(params, 1).thrust >= thrustPerMotor;
+  const tiltOk = tiltDeg <= maxTiltDeg;
+
+  return {
+    airspeed,
+    tiltDeg,
+    dragN,
+    thrustPerMotor,
+    inducedPower: inducedPower * rotors,
+    profilePower: profilePower * rotors,
+    parasitePower: parasitePower * rotors,
+    shaftPower: shaftPowerPerMotor * rotors,
+    op,
+    thrustOk,
+    tiltOk,
+    feasible: thrustOk && tiltOk,
+  };
+}
+
+/**
+ * Sweep airspeed to find the cruise envelope.
+ * Endurance at each speed assumes the whole usable capacity is flown at that speed,
+ * unless `enduranceAt` supplies it from another power source.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint)
+ * @param {Object} airframe - See calcForwardFlight
+ * @param {number} capacityMah - Total pack capacity (mAh)
+ * @param {number} dischargeDepth - Usable fraction of capacity (0–1)
+ * @param {number} [maxSpeed=60] - Upper end of the sweep (m/s)
+ * @param {Function} [enduranceAt] - (powerW, throttle) → endurance (min) at a steady bus power
+ * @returns {{ series: Array<Object>, bestEnduranceSpeed: number, bestEnduranceMin: number, bestRangeSpeed: number, maxRangeKm: number, topSpeed: number }}
+ */
+export function simulateForwardFlight(params, airframe, capacityMah, dischargeDepth, maxSpeed = 60, enduranceAt = null) {
+  const series = [];
+  let bestEndurance = null;
+  let bestRange = null;
+  let topSpeed = 0;
+
+  for (let v = 0; v <= maxSpeed; v += 0.5) {
+    const ff = calcForwardFlight(params, airframe, v);
+    if (!ff.feasible) break;
+
+    const current = ff.op.totalCurrent;
+    const power = ff.op.elecPower * params.numMotors + (params.auxCurrent || 0) * ff.op.voltage;
+    const enduranceMin = enduranceAt
+      ? enduranceAt(power, ff.op.throttle)
+      : calcFlightTime(capacityMah, dischargeDepth, current);
+    const rangeKm = v > 0 ? (v * enduranceMin * 60) / 1000 : 0;
+    const point = {
+      speed: v,
+      tiltDeg: ff.tiltDeg,
+      inducedPower: ff.inducedPower,
+      profilePower: ff.profilePower,
+      parasitePower: ff.parasitePower,
+      power,
+      current,
+      throttle: ff.op.throttle * 100,
+      enduranceMin,
+      rangeKm,
+    };
+    series.push(point);
+    topSpeed = v;
+
+    if (!bestEndurance || enduranceMin > bestEndurance.enduranceMin) bestEndurance = point;
+    if (!bestRange || rangeKm > bestRange.rangeKm) bestRange = point;
+  }
+
+  return {
+    series,
+    bestEnduranceSpeed: bestEndurance?.speed ?? 0,
+    bestEnduranceMin: bestEndurance?.enduranceMin ?? 0,
+    bestRangeSpeed: bestRange?.speed ?? 0,
+    maxRangeKm: bestRange?.rangeKm ?? 0,
+    topSpeed,
+  };
+}
+
+/**
+ * Calculate what it takes to hold position in wind.
+ * Station-keeping in a steady wind is aerodynamically the same as flying
+ * forward at the wind speed, so the mean wind sets the sustained tilt, thrust
+ * and current, and the gust peak sets the headroom the drone must keep.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint)
+ * @param {Object} airframe - See calcForwardFlight
+ * @param {number} windSpeed - Mean wind speed (m/s)
+ * @param {number} gustSpeed - Peak gust speed (m/s); values below the mean wind are ignored
+ * @returns {{ tiltDeg: number, gustTiltDeg: number, thrustPerMotor: number, gustThrustPerMotor: number, extraThrustPct: number, op: Object, gustOp: Object, canHold: boolean, limit: string|null }}
+ *   limit is 'thrust' or 'tilt' when the gust cannot be held, otherwise null.
+ */
+export function calcStationKeeping(params, airframe, windSpeed, gustSpeed) {
+  const wind = calcForwardFlight(params, airframe, windSpeed);
+  const gust = calcForwardFlight(params, airframe, Math.max(windSpeed, gustSpeed));
+  const stillAirThrust = airframe.weightN / airframe.rotors;
+
+  let limit = null;
+  if (!gust.thrustOk) limit = 'thrust';
+  else if (!gust.tiltOk) limit = 'tilt';
+
+  return {
+    tiltDeg: wind.tiltDeg,
+    gustTiltDeg: gust.tiltDeg,
+    thrustPerMotor: wind.thrustPerMotor,
+    gustThrustPerMotor: gust.thrustPerMotor,
+    extraThrustPct: (gust.thrustPerMotor / stillAirThrust - 1) * 100,
+    op: wind.op,
+    gustOp: gust.op,
+    canHold: limit === null,
+    limit,
+  };
+}
+
+/**
+ * Calculate the power state of a multirotor in steady vertical flight.
+ * Thrust carries the weight plus body drag, using the forward-flight drag
+ * area. Axial momentum theory gives the induced velocity
+ * v_i = −V_c/2 + √((V_c/2)² + v_h²); the profile part of the static power is
+ * unchanged and T × V_c is the climb power. Descent uses the same expression,
+ * which is only reasonable for descent rates well below v_h. Full-throttle
+ * thrust falls off with inflow (from measured data, or toward zero at the
+ * pitch speed, see solveOperatingPoint), which caps the climb rate.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint)
+ * @param {Object} airframe - See calcForwardFlight
+ * @param {number} climbRate - Vertical speed (m/s), negative when descending
+ * @returns {{ climbRate: number, dragN: number, thrustPerMotor: number, inducedVelocity: number, inducedPower: number, profilePower: number, climbPower: number, shaftPower: number, op: Object, feasible: boolean }}
+ *   Powers are shaft totals for the aircraft; op is the per-motor operating point.
+ */
+export function calcAxialFlight(params, airframe, climbRate) {
+  const { rho, ct, cp, diameterM } = params;
+  const { weightN, rotors, frontalAreaM2 = 0, dragCoefficient = 0 } = airframe;
+  const kappa = 1.15; // induced power factor, as in forward flight
+
+  const dragN = 0.5 * rho * climbRate * Math.abs(climbRate) * dragCoefficient * frontalAreaM2;
+  const thrustPerMotor = Math.max(0, weightN + dragN) / rotors;
+  const diskArea = Math.PI * diameterM * diameterM / 4;
+  const vh = Math.sqrt(thrustPerMotor / (2 * rho * diskArea));
+  const vi = -climbRate / 2 + Math.sqrt((climbRate / 2) * (climbRate / 2) + vh * vh);
+  const staticRps = Math.sqrt(thrustPerMotor / (ct * rho * Math.pow(diameterM, 4)));
+  const staticPower = calcPropPower(cp, rho, staticRps, diameterM);
+
+  const inducedPower = kappa * thrustPerMotor * vi;
+  const profilePower = Math.max(0, staticPower - kappa * thrustPerMotor * vh);
+  const climbPower = thrustPerMotor * climbRate;
+  const shaftPowerPerMotor = Math.max(0, inducedPower + profilePower + climbPower);
+
+  const op = solveThrottleForPower(params, shaftPowerPerMotor);
+  const powerOk = op.throttle < 1 || op.mechPower >= shaftPowerPerMotor;
+
+  const inflow = Math.max(0, climbRate);
+  const availableThrust = solveOperatingPoint({ ...params, inflowSpeed: inflow }, 1).thrust;
+  const thrustOk = availableThrust >= thrustPerMotor;
+
+  return {
+    climbRate,
+    dragN,
+    thrustPerMotor,
+    inducedVelocity: vi,
+    inducedPower: inducedPower * rotors,
+    profilePower: profilePower * rotors,
+    climbPower: climbPower * rotors,
+    shaftPower: shaftPowerPerMotor * rotors,
+    op,
+    feasible: powerOk && thrustOk,
+  };
+}
+
+/**
+ * Calculate the vertical flight envelope.
+ * The max sustained climb rate is the fastest axial climb the motors can
+ * power at full throttle. Vortex ring state is taken to set in once the
+ * descent rate reaches 0.7 × v_h (hover induced velocity); the recommended
+ * max descent rate keeps a 30% margin below that.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint)
+ * @param {Object} airframe - See calcForwardFlight
+ * @param {number} [maxRate=30] - Upper bound for the climb-rate search (m/s)
+ * @returns {{ hoverInducedVelocity: number, maxClimbRate: number, climb: Object, vrsOnsetRate: number, maxDescentRate: number, descent: Object }}
+ *   climb and descent are the calcAxialFlight states at those rates.
+ */
+export function calcVerticalPerformance(params, airframe, maxRate = 30) {
+  const hover = calcAxialFlight(params, airframe, 0);
+  const vrsOnsetRate = 0.7 * hover.inducedVelocity;
+  const maxDescentRate = 0.7 * vrsOnsetRate;
+
+  let maxClimbRate = 0;
+  if (hover.feasible) {
+    let lo = 0;
+    let hi = maxRate;
+    if (calcAxialFlight(params, airframe, hi).feasible) {
+      lo = hi;
+    } else {
+      for (let i = 0; i < 30; i++) {
+        const mid = (lo + hi) / 2;
+        if (calcAxialFlight(params, airframe, mid).feasible) lo = mid; else hi = mid;
+      }
+    }
+    maxClimbRate = lo;
+  }
+
+  return {
+    hoverInducedVelocity: hover.inducedVelocity,
+    maxClimbRate,
+    climb: calcAxialFlight(params, airframe, maxClimbRate),
+    vrsOnsetRate,
+    maxDescentRate,
+    descent: calcAxialFlight(params, airframe, -maxDescentRate),
+  };
+}
+
+/**
+ * Fly an ordered list of mission segments and book the charge each one uses.
+ * Segment types:
+ *   { type: 'climb', altitude, rate }    – climb to altitude (m) at rate (m/s)
+ *   { type: 'cruise', distance, speed }  – level flight over distance (m) at speed (m/s)
+ *   { type: 'hover', duration }          – hold for duration (s)
+ *   { type: 'descend', altitude, rate }  – descend to altitude (m) at rate (m/s)
+ *   { type: 'land', rate }               – descend to the ground at rate (m/s)
+ * Each segment is split into steps of at most 30 s so the pack voltage
+ * follows state of charge through long legs.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint); openCircuitVoltage is overridden per step
+ * @param {Object} airframe - See calcForwardFlight
+ * @param {Object} battery - Pack description (see simulateDischarge)
+ * @param {Array<Object>} segments - Ordered mission segments
+ * @returns {{ segments: Array<Object>, totalTimeMin: number, usedMah: number, usableMah: number, reserveMah: number, reservePct: number, completes: boolean, failedSegment: number }}
+ *   failedSegment is the index of the first segment that is infeasible or
+ *   runs past the usable capacity, or -1 when the mission completes.
+ */
+export function simulateMission(params, airframe, battery, segments) {
+  const { chemistry, cells, capacityMah, dischargeDepth } = battery;
+  const usableMah = capacityMah * dischargeDepth;
+  const maxStepS = 30;
+
+  const out = [];
+  let altitude = 0;
+  let usedMah = 0;
+  let timeS = 0;
+  let failedSegment = -1;
+
+  segments.forEach((seg, index) => {
+    const startAltitude = altitude;
+    let durationS = 0;
+    let distanceM = 0;
+    let flight = null; // (params) => flight state for this segment
+
+    if (seg.type === 'climb' || seg.type === 'descend' || seg.type === 'land') {
+      const target = seg.type === 'land' ? 0 : Math.max(0, seg.altitude || 0);
+      const rate = Math.abs(seg.rate || 0);
+      const delta = target - altitude;
+      const climbing = seg.type === 'climb' && delta > 0;
+      const descending = seg.type !== 'climb' && delta < 0;
+      if (rate > 0 && (climbing || descending)) {
+        durationS = Math.abs(delta) / rate;
+        altitude = target;
+        flight = (p) => calcAxialFlight(p, airframe, climbing ? rate : -rate);
+      }
+    } else if (seg.type === 'cruise') {
+      const speed = seg.speed || 0;
+      if (speed > 0) {
+        distanceM = seg.distance || 0;
+        durationS = distanceM / speed;
+        flight = (p) => calcForwardFlight(p, airframe, speed);
+      }
+    } else if (seg.type === 'hover') {
+      durationS = seg.duration || 0;
+      flight = (p) => calcAxialFlight(p, airframe, 0);
+    }
+
+    let segMah = 0;
+    let peakThrottle = 0;
+    let feasible = true;
+    const steps = durationS > 0 && flight ? Math.ceil(durationS / maxStepS) : 0;
+    const dt = steps > 0 ? durationS / steps : 0;
+
+    for (let i = 0; i < steps; i++) {
+      const soc = Math.max(0, 1 - usedMah / capacityMah);
+      const ocv = calcCellOpenCircuitVoltage(chemistry, soc) * cells;
+      const state = flight({ ...params, openCircuitVoltage: ocv });
+      if (!state.feasible) feasible = false;
+      const stepMah = (state.op.totalCurrent * dt) / 3.6;
+      segMah += stepMah;
+      usedMah += stepMah;
+      peakThrottle = Math.max(peakThrottle, state.op.throttle * 100);
+    }
+
+    timeS += durationS;
+    const remainingMah = capacityMah - usedMah;
+    const withinDepth = usedMah <= usableMah;
+    if (failedSegment < 0 && (!feasible || !withinDepth)) failedSegment = index;
+
+    out.push({
+      index,
+      type: seg.type,
+      durationS,
+      distanceM,
+      startAltitude,
+      endAltitude: altitude,
+      current: durationS > 0 ? (segMah * 3.6) / durationS : 0,
+      usedMah: segMah,
+      remainingMah,
+      remainingPct: (remainingMah / capacityMah) * 100,
+      throttle: peakThrottle,
+      elapsedMin: timeS / 60,
+      feasible,
+      withinDepth,
+    });
+  });
+
+  const reserveMah = usableMah - usedMah;
+
+  return {
+    segments: out,
+    totalTimeMin: timeS / 60,
+    usedMah,
+    usableMah,
+    reserveMah,
+    reservePct: (reserveMah / capacityMah) * 100,
+    completes: failedSegment < 0,
+    failedSegment,
+  };
+}
+
+/**
+ * Step through a hover flight from a full pack until it is exhausted.
+ * At each step the open-circuit voltage follows state of charge, the hover
+ * throttle is re-solved against the sagging pack, and the drawn charge is
+ * removed. The flight ends at the usable-capacity limit, at the low-voltage
+ * cutoff under load, or when the motors can no longer hold the required thrust.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint); openCircuitVoltage is overridden per step
+ * @param {number} thrustN - Required thrust per motor in Newtons
+ * @param {Object} battery - Pack description
+ * @param {string|Object} battery.chemistry - Built-in chemistry name or a custom { ocv } curve
+ * @param {number} battery.cells - Series cell count
+ * @param {number} battery.capacityMah - Total pack capacity (mAh)
+ * @param {number} battery.dischargeDepth - Usable fraction of capacity (0–1)
+ * @param {number} battery.cutoffVoltage - Low-voltage cutoff under load, per cell (V)
+ * @param {number} [stepS] - Time step in seconds; defaults to about 150 steps over the flight
+ * @returns {{ flightTimeMin: number, endReason: string, series: Array<Object> }}
+ *   endReason is 'capacity', 'cutoff' or 'thrust'.
+ */
+export function simulateDischarge(params, thrustN, battery, stepS) {
+  const { chemistry, cells, capacityMah, dischargeDepth, cutoffVoltage } = battery;
+  const capacityAs = (capacityMah / 1000) * 3600; // amp-seconds
+  const minSoc = 1 - dischargeDepth;
+  const cutoffPackVoltage = cutoffVoltage * cells;
+  const maxSteps = 10000;
+  let dtMax = stepS;
+
+  const series = [];
+  let soc = 1;
+  let time = 0;
+  let endReason = 'capacity';
+
+  for (let i = 0; i < maxSteps; i++) {
+    const ocv = calcCellOpenCircuitVoltage(chemistry, soc) * cells;
+    const op = solveThrottleForThrust({ ...params, openCircuitVoltage: ocv }, thrustN);
+
+    series.push({
+      timeMin: time / 60,
+      soc,
+      ocv,
+      voltage: op.voltage,
+      sag: ocv - op.voltage,
+      current: op.totalCurrent,
+      motorCurrent: op.motorCurrent,
+      rpm: op.rpm,
+      throttle: op.throttle * 100,
+    });
+
+    if (op.throttle >= 1 && op.thrust < thrustN) { endReason = 'thrust'; break; }
+    if (op.voltage < cutoffPackVoltage) { endReason = 'cutoff'; break; }
+    if (soc <= minSoc) break;
+
+    if (dtMax === undefined) {
+      dtMax = Math.max(5, (dischargeDepth * capacityAs) / op.totalCurrent / 150);
+    }
+
+    // Final step is shortened so the flight ends exactly at the capacity limit
+    const dt = Math.min(dtMax, ((soc - minSoc) * capacityAs) / op.totalCurrent);
+    if (!isFinite(dt)) break;
+    soc -= (op.totalCurrent * dt) / capacityAs;
+    time += dt;
+  }
+
+  return { flightTimeMin: time / 60, endReason, series };
+}
+
+/**
+ * Transient temperatures of the motors, ESC board and battery over a flight.
+ * Each part is a first-order RC node (P·R_th steady state, τ = R_th·C)
+ * stepped exactly between discharge samples with the losses held constant:
+ *   Motor:   copper I²R (resistance rising with winding temperature) plus
+ *            iron/no-load loss I₀·V_emf; heat capacity from stator volume
+ *   ESC:     calcEscLosses per channel, lumped per board
+ *   Battery: pack I²R against its mass
+ * @param {Array<Object>} series - simulateDischarge series (needs timeMin, voltage, current, motorCurrent, rpm)
+ * @param {Object} thermal - { motor, esc, battery } part descriptions
+ * @param {Object} thermal.motor - { kv, resistance, noLoadCurrent, thermalResistance, statorDiameter, statorHeight } (mm)
+ * @param {Object} thermal.esc - calcEscLosses options plus { channels, boardWeightG, cooling }
+ * @param {Object} thermal.battery - { packResistance, weightG }
+ * @param {number} ambientC - Ambient temperature (°C)
+ * @returns {{ series: Array<Object>, peak: Object, limits: Object, crossings: Object, firstLimit: Object|null }}
+ */
+export function simulateFlightThermal(series, thermal, ambientC) {
+  const { motor, esc, battery } = thermal;
+
+  const statorVolumeCm3 = Math.PI * Math.pow(motor.statorDiameter / 20, 2) * (motor.statorHeight / 10);
+  const motorTau = motor.thermalResistance * statorVolumeCm3 * STATOR_HEAT_CAPACITY;
+  const escModel = escThermalModel(esc.boardWeightG, esc.cooling);
+  const batteryMass = Math.max(1, battery.weightG);
+  const batteryRth = BATTERY_COOLING / Math.pow(batteryMass, 2 / 3);
+  const batteryTau = batteryRth * batteryMass * BATTERY_SPECIFIC_HEAT;
+
+  const parts = {
+    motor: { rth: motor.thermalResistance, tau: motorTau },
+    esc: { rth: escModel.thermalResistance, tau: escModel.tau },
+    battery: { rth: batteryRth, tau: batteryTau },
+  };
+
+  const losses = (p, temps) => {
+    const windingR = motor.resistance * (1 + COPPER_TEMP_COEFF * (temps.motor - 25));
+    const escLoss = calcEscLosses({ ...esc, motorCurrent: p.motorCurrent, busVoltage: p.voltage });
+    return {
+      motor: p.motorCurrent * p.motorCurrent * windingR + motor.noLoadCurrent * (p.rpm / motor.kv),
+      esc: escLoss.total * esc.channels + escLoss.bec,
+      battery: p.current * p.current * battery.packResistance,
+    };
+  };
+
+  const temps = { motor: ambientC, esc: ambientC, battery: ambientC };
+  const peak = { ...temps };
+  const crossings = { motor: null, esc: null, battery: null };
+  const out = [];
+
+  series.forEach((p, i) => {
+    out.push({ timeMin: p.timeMin, ...temps });
+    const next = series[i + 1];
+    if (!next) return;
+
+    const dt = (next.timeMin - p.timeMin) * 60;
+    const power = losses(p, temps);
+    for (const key of Object.keys(parts)) {
+      const { rth, tau } = parts[key];
+      const steady = ambientC + power[key] * rth;
+      const start = temps[key];
+      temps[key] = steady + (start - steady) * Math.exp(-dt / tau);
+      peak[key] = Math.max(peak[key], temps[key]);
+
+      // Exact crossing time inside the step from the exponential
+      const limit = THERMAL_LIMITS[key];
+      if (crossings[key] === null && start < limit && temps[key] >= limit) {
+        const t = -tau * Math.log((steady - limit) / (steady - start));
+        crossings[key] = p.timeMin + t / 60;
+      }
+    }
+  });
+
+  const firstLimit = Object.entries(crossings)
+    .filter(([, t]) => t !== null)
+    .sort((a, b) => a[1] - b[1])
+    .map(([part, timeMin]) => ({ part, timeMin }))[0] || null;
+
+  return { series: out, peak, limits: THERMAL_LIMITS, crossings, firstLimit };
+}
+
+// ─── Multirotor Geometry ───
+
+/**
+ * H-frame motor rectangle as fractions of the wheelbase, fore-aft and lateral
+ * (a 4:3 stretch that keeps the motor-to-motor diagonal).
+ */
+const H_FRAME_STRETCH = { x: 0.8, y: 0.6 };
+
+/**
+ * Motor positions for a frame, x forward and y right, in meters.
+ * Arms are spread evenly on a circle of radius wheelbase / 2. The 'x' shape
+ * puts the nose between two arms (a tri has one arm at the tail), '+' puts an
+ * arm on the nose, and 'h' stretches a quad's X into a 4:3 rectangle.
+ * Flat layouts alternate spin direction around the frame; coaxial layouts put
+ * a counter-rotating upper and lower motor on each arm.
+ * @param {number} motorCount - Total motor count
+ * @param {string} layout - 'flat', 'coaxial', 'y6' or 'x8'
+ * @param {number} wheelbaseMm - Motor-to-motor diagonal (mm)
+ * @param {string} [shape='x'] - 'x', 'plus' or 'h' (quads only; others fall back to 'x')
+ * @returns {Array<{ index: number, arm: number, x: number, y: number, spin: number, level: string }>}
+ *   spin is +1 for CW and −1 for CCW seen from above.
+ */
+export function calcMotorLayout(motorCount, layout, wheelbaseMm, shape = 'x') {
+  const coaxial = layout !== 'flat';
+  const arms = coaxial ? Math.max(1, Math.round(motorCount / 2)) : motorCount;
+  const radius = wheelbaseMm / 2000;
+  const stretch = shape === 'h' && arms === 4
+    ? { x: H_FRAME_STRETCH.x * Math.SQRT2, y: H_FRAME_STRETCH.y * Math.SQRT2 }
+    : { x: 1, y: 1 };
+  const motors = [];
+
+  for (let arm = 0; arm < arms; arm++) {
+    const angle = shape === 'plus' ? (2 * Math.PI * arm) / arms : (Math.PI / arms) * (1 + 2 * arm);
+    const x = radius * Math.cos(angle) * stretch.x;
+    const y = radius * Math.sin(angle) * stretch.y;
+    if (coaxial) {
+      motors.push({ index: motors.length, arm, x, y, spin: 1, level: 'upper' });
+      motors.push({ index: motors.length, arm, x, y, spin: -1, level: 'lower' });
+    } else {
+      motors.push({ index: motors.length, arm, x, y, spin: arm % 2 ? -1 : 1, level: 'flat' });
+    }
+  }
+  return motors;
+}
+
+/** Body diameter as a fraction of the wheelbase when none is given */
+const BODY_WHEELBASE_RATIO = 0.25;
+
+/**
+ * Top-view prop clearance for a frame.
+ * Each prop is a disc at its motor; props on the same level of different arms
+ * are checked against each other, and every prop against a round centre body.
+ * Coaxial lower props sit below the upper ones and are only checked among
+ * themselves.
+ * @param {Object} frame
+ * @param {number} frame.motorCount
+ * @param {string} [frame.layout='flat']
+ * @param {string} [frame.shape='x']
+ * @param {number} frame.wheelbaseMm
+ * @param {number} [frame.bodySizeMm] - Body diameter (mm); defaults to a quarter of the wheelbase
+ * @param {number} propDiameterMm - Upper (or only) prop diameter (mm)
+ * @param {number} [lowerPropDiameterMm] - Coaxial lower prop diameter (mm)
+ * @returns {{ discs: Array<Object>, gaps: Array<Object>, propGapMm: number, bodyGapMm: number,
+ *   bodyDiameterMm: number, maxPropDiameterMm: number, overlaps: number }}
+ *   discs and gaps in mm; a negative gap is an overlap. maxPropDiameterMm is the largest
+ *   prop that clears its neighbours and the body.
+ */
+export function calcPropClearance(frame, propDiameterMm, lowerPropDiameterMm = propDiameterMm) {
+  const layout = frame.layout || 'flat';
+  const wheelbaseMm = frame.wheelbaseMm || 350;
+  const motorCount = COAXIAL_LAYOUT_MOTORS[layout] || frame.motorCount || 4;
+  const bodyDiameterMm = frame.bodySizeMm || wheelbaseMm * BODY_WHEELBASE_RATIO;
+  const bodyR = bodyDiameterMm / 2;
+
+  const discs = calcMotorLayout(motorCount, layout, wheelbaseMm, frame.shape).map(m => ({
+    index: m.index,
+    arm: m.arm,
+    level: m.level,
+    x: m.x * 1000,
+    y: m.y * 1000,
+    diameterMm: m.level === 'lower' ? lowerPropDiameterMm : propDiameterMm,
+    bodyGapMm: Math.hypot(m.x, m.y) * 1000 - bodyR - (m.level === 'lower' ? lowerPropDiameterMm : propDiameterMm) / 2,
+    overlapping: false,
+  }));
+
+  const gaps = [];
+  let minSpacing = Infinity;
+  for (let i = 0; i < discs.length; i++) {
+    for (let j = i + 1; j < discs.length; j++) {
+      const a = discs[i];
+      const b = discs[j];
+      if (a.level !== b.level || a.arm === b.arm) continue;
+      const spacing = Math.hypot(a.x - b.x, a.y - b.y);
+      const gapMm = spacing - (a.diameterMm + b.diameterMm) / 2;
+      minSpacing = Math.min(minSpacing, spacing);
+      gaps.push({ a: a.index, b: b.index, gapMm });
+      if (gapMm < 0) { a.overlapping = true; b.overlapping = true; }
+    }
+  }
+  discs.forEach(d => { if (d.bodyGapMm < 0) d.overlapping = true; });
+
+  const minRadius = Math.min(...discs.map(d => Math.hypot(d.x, d.y)));
+  return {
+    discs,
+    gaps,
+    propGapMm: gaps.length ? Math.min(...gaps.map(g => g.gapMm)) : Infinity,
+    bodyGapMm: Math.min(...discs.map(d => d.bodyGapMm)),
+    bodyDiameterMm,
+    maxPropDiameterMm: Math.min(minSpacing, 2 * (minRadius - bodyR)),
+    overlaps: gaps.filter(g => g.gapMm < 0).length + discs.filter(d => d.bodyGapMm < 0).length,
+  };
+}
+
+/** Solve a small dense linear system by Gaussian elimination with partial pivoting. */
+function solveLinear(matrix, rhs) {
+  const n = rhs.length;
+  const m = matrix.map((row, i) => [...row, rhs[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    const p = m[col][col];
+    if (Math.abs(p) < 1e-12) continue;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / p;
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  return m.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]));
+}
+
+/**
+ * Projection onto the balance plane A·T = b: t − Aᵀ(AAᵀ)⁻¹(A·t − b), with the
+ * inverse applied column by column once up front. A small ridge keeps A·Aᵀ
+ * invertible when a row is redundant (e.g. yaw on a tri).
+ * @returns {{ project: (t: number[]) => number[], error: (t: number[]) => number }}
+ *   error is the largest balance residual, scaled per row
+ */
+function balancePlane(rows, target) {
+  const gram = rows.map(a => rows.map(b => a.reduce((sum, v, k) => sum + v * b[k], 0)));
+  const ridge = 1e-9 * gram.reduce((sum, row, i) => sum + row[i], 0);
+  gram.forEach((row, i) => { row[i] += ridge; });
+
+  const inverse = rows.map((_, j) => solveLinear(gram, rows.map((__, i) => (i === j ? 1 : 0))));
+  const correction = rows[0].map((_, k) => rows.map((__, j) => rows.reduce((sum, row, i) => sum + row[k] * inverse[j][i], 0)));
+  const residual = (t) => rows.map((row, i) => row.reduce((sum, v, k) => sum + v * t[k], 0) - target[i]);
+  return {
+    project: (t) => {
+      const r = residual(t);
+      return t.map((v, k) => v - correction[k].reduce((sum, c, j) => sum + c * r[j], 0));
+    },
+    error: (t) => Math.max(...residual(t).map((r, i) => Math.abs(r) / (Math.max(...rows[i].map(Math.abs)) || 1))),
+  };
+}
+
+/**
+ * Smallest per-rotor thrust cap at which the rotors can balance the weight and
+ * all moments (A·T = b, 0 ≤ T ≤ cap). Feasibility at each cap is tested by
+ * alternating projections between the balance plane and the thrust box.
+ * @returns {{ feasible: boolean, cap: number, thrusts: number[] }}
+ */
+function minMaxThrustSplit(rows, target, upperCap) {
+  const n = rows[0].length;
+  const { project: projectPlane, error: planeError } = balancePlane(rows, target);
+
+  const weight = target[0];
+  const tolerance = 1e-4 * weight;
+  // With fewer rotors than balance equations the plane may be empty
+  if (planeError(projectPlane(new Array(n).fill(weight / n))) > tolerance) {
+    return { feasible: false, cap: Infinity, thrusts: new Array(n).fill(0) };
+  }
+  const tryCap = (cap, start) => {
+    let t = projectPlane(start);
+    for (let i = 0; i < 60; i++) {
+      const violation = Math.max(...t.map(v => Math.max(v - cap, -v)));
+      if (violation < tolerance) return { ok: true, thrusts: t.map(v => Math.min(cap, Math.max(0, v))) };
+      t = projectPlane(t.map(v => Math.min(cap, Math.max(0, v))));
+    }
+    return { ok: false, thrusts: t.map(v => Math.min(cap, Math.max(0, v))) };
+  };
+
+  const top = tryCap(upperCap, new Array(n).fill(weight / n));
+  if (!top.ok) return { feasible: false, cap: Infinity, thrusts: top.thrusts };
+
+  let lo = weight / n;
+  let hi = upperCap;
+  let best = top.thrusts;
+  for (let i = 0; i < 8; i++) {
+    const mid = (lo + hi) / 2;
+    const res = tryCap(mid, best);
+    if (res.ok) { hi = mid; best = res.thrusts; } else lo = mid;
+  }
+  return { feasible: true, cap: hi, thrusts: best };
+}
+
+/**
+ * Hover thrust split after one or more motors fail.
+ * The remaining rotors must carry the weight with zero roll, pitch and yaw
+ * moment; yaw comes from prop reaction torque Q = T × torqueRatio. If that
+ * is impossible, the split is retried without the yaw balance (the aircraft
+ * hovers but spins).
+ * @param {Array<Object>} motors - calcMotorLayout result
+ * @param {number[]} failed - Indices of failed motors
+ * @param {number} weightN - Aircraft weight (N)
+ * @param {number} torqueRatio - Reaction torque per unit thrust, Cp·D / (2π·Ct) (m)
+ * @returns {{ failed: number[], feasible: boolean, yawControl: boolean, maxThrust: number, thrusts: number[] }}
+ *   thrusts are per motor index (0 for failed motors); maxThrust is the most loaded rotor.
+ */
+export function calcMotorOutSplit(motors, failed, weightN, torqueRatio) {
+  const alive = motors.filter(m => !failed.includes(m.index));
+  const force = alive.map(() => 1);
+  const roll = alive.map(m => m.y);
+  const pitch = alive.map(m => m.x);
+  const yaw = alive.map(m => m.spin * torqueRatio);
+
+  let yawControl = true;
+  let split = alive.length ? minMaxThrustSplit([force, roll, pitch, yaw], [weightN, 0, 0, 0], weightN) : null;
+  if (split && !split.feasible) {
+    yawControl = false;
+    split = minMaxThrustSplit([force, roll, pitch], [weightN, 0, 0], weightN);
+  }
+
+  const thrusts = motors.map(() => 0);
+  alive.forEach((m, i) => { thrusts[m.index] = split?.feasible ? split.thrusts[i] : 0; });
+  return {
+    failed,
+    feasible: !!split?.feasible,
+    yawControl: !!split?.feasible && yawControl,
+    maxThrust: split?.feasible ? split.cap : Infinity,
+    thrusts,
+  };
+}
+
+/**
+ * Hover thrust per rotor with the CG away from the frame centre.
+ * Thrust is balanced about the CG with zero net yaw torque, taking the
+ * smallest departure from an even split (what a mixer converges to).
+ * @param {Array<Object>} motors - calcMotorLayout result
+ * @param {{ x: number, y: number }} cg - CG offset from the frame centre (m)
+ * @param {number} weightN - Aircraft weight (N)
+ * @param {number} torqueRatio - Reaction torque per unit thrust, Cp·D / (2π·Ct) (m)
+ * @returns {{ thrusts: number[], balanced: boolean }}
+ *   balanced is false when a rotor would need negative thrust (CG outside the rotors)
+ */
+export function calcHoverThrustSplit(motors, cg, weightN, torqueRatio) {
+  const rows = [
+    motors.map(() => 1),
+    motors.map(m => m.y - cg.y),
+    motors.map(m => m.x - cg.x),
+  ];
+  // A tri cancels yaw with its tail servo, not with thrust
+  if (motors.length >= 4) rows.push(motors.map(m => m.spin * torqueRatio));
+  const plane = balancePlane(rows, rows.map((_, i) => (i === 0 ? weightN : 0)));
+  const thrusts = plane.project(motors.map(() => weightN / motors.length));
+  return {
+    thrusts: thrusts.map(t => Math.max(0, t)),
+    balanced: plane.error(thrusts) < 1e-4 * weightN && thrusts.every(t => t >= 0),
+  };
+}
+
+/**
+ * Motor-out survivability over every single failure and, on frames with six or
+ * more motors, every pair of failures. A case survives when the remaining
+ * rotors hover with full attitude and yaw control below full throttle.
+ * @param {Object} params - Operating point parameters (see solveOperatingPoint)
+ * @param {Array<Object>} motors - calcMotorLayout result
+ * @param {number} weightN - Aircraft weight (N)
+ * @param {number} [thrustFactor=1] - Real thrust per equivalent-rotor thrust (the coaxial factor)
+ * @returns {{ single: Object, double: Object|null }}
+ *   Each holds the worst case, its throttle (%), survives and the number of surviving cases.
+ */
+export function calcMotorOutSurvival(params, motors, weightN, thrustFactor = 1) {
+  const { ct, cp, diameterM } = params;
+  const torqueRatio = (cp * diameterM) / (2 * Math.PI * ct);
+
+  const evaluate = (failed) => {
+    const split = calcMotorOutSplit(motors, failed, weightN, torqueRatio);
+    const remaining = motors.length - failed.length;
+    const needed = split.maxThrust / thrustFactor;
+    const op = split.feasible
+      ? solveThrottleForThrust({ ...params, numMotors: remaining }, needed)
+      : null;
+    const survives = split.yawControl && op !== null && op.thrust >= needed * 0.999;
+    return { ...split, throttle: op ? op.throttle * 100 : Infinity, survives };
+  };
+
+  const summarise = (cases) => {
+    const worst = cases.reduce((w, c) => (
+      (!c.survives && w.survives) || (c.survives === w.survives && c.throttle > w.throttle) ? c : w
+    ));
+    return {
+      worst,
+      throttle: worst.throttle,
+      survives: worst.survives,
+      survivingCases: cases.filter(c => c.survives).length,
+      cases: cases.length,
+    };
+  };
+
+  const single = summarise(motors.map(m => evaluate([m.index])));
+  let double = null;
+  if (motors.length >= 6) {
+    const pairs = [];
+    for (let i = 0; i < motors.length; i++) {
+      for (let j = i + 1; j < motors.length; j++) pairs.push(evaluate([i, j]));
+    }
+    double = summarise(pairs);
+  }
+  return { single, double };
+}
+
+// ─── Power Source ───
+
+const HYDROGEN_LHV = 33.3; // Wh/g
+const GASOLINE_LHV = 12.0; // Wh/g
+const GASOLINE_DENSITY = 740; // g/L
+
+// Defaults for each source type; the battery pack is the buffer (or backup)
+// battery of every other type and sets the bus voltage for all of them
+export const POWER_SOURCES = {
+  battery: { label: 'Battery' },
+  fuelCell: { label: 'Fuel Cell', ratedPowerW: 800, stackWeightG: 1900, efficiency: 50, tankWeightG: 1600, hydrogenG: 45 },
+  generator: { label: 'Generator', ratedPowerW: 2000, weightG: 4000, bsfcGkWh: 600, tankWeightG: 250, fuelL: 1.5 },
+  tether: {
+    label: 'Tether',
+    supplyPowerW: 3000,
+    supplyVoltage: 400,
+    awg: 18,
+    massPerMeterG: 25,
+    efficiency: 92,
+    converterWeightG: 350,
+    heightM: 50,
+  },
+};
+
+/** Source settings with blank fields falling back to the type defaults */
+function resolvePowerSource(source) {
+  const type = POWER_SOURCES[source?.type] ? source.type : 'battery';
+  return { type, ...POWER_SOURCES[type], ...definedFields(source?.[type]) };
+}
+
+/**
+ * Mass a power source adds on top of the battery pack.
+ * @param {Object} [source] - { type, fuelCell?, generator?, tether? }; blank means battery only
+ * @returns {{ type: string, dryG: number, fuelG: number }} dryG is the hardware, fuelG what burns off
+ */
+export function calcPowerSourceMass(source) {
+  const s = resolvePowerSource(source);
+  switch (s.type) {
+    case 'fuelCell':
+      return { type: s.type, dryG: s.stackWeightG + s.tankWeightG, fuelG: s.hydrogenG };
+    case 'generator':
+      return { type: s.type, dryG: s.weightG + s.tankWeightG, fuelG: s.fuelL * GASOLINE_DENSITY };
+    case 'tether':
+      return { type: s.type, dryG: s.converterWeightG + s.massPerMeterG * s.heightM, fuelG: 0 };
+    default:
+      return { type: s.type, dryG: 0, fuelG: 0 };
+  }
+}
+
+// Upper bound of the tether ceiling search (m)
+const MAX_TETHER_HEIGHT = 5000;
+
+/** Loop resistance (Ω) of a two-conductor tether paid out to a height */
+function tetherResistance(s, heightM) {
+  return 2 * (AWG_RESISTANCE[s.awg] || AWG_RESISTANCE[18]) * Math.max(0, heightM);
+}
+
+/**
+ * Most power a tether can put on the drone's bus: the ground supply's rating
+ * caps the current, and so does the line itself, which delivers the most
+ * power when half the supply voltage is dropped along it.
+ */
+function tetherMaxBusPower(s, resistance) {
+  const lineLimitA = resistance > 0 ? s.supplyVoltage / (2 * resistance) : Infinity;
+  const current = Math.min(s.supplyPowerW / s.supplyVoltage, lineLimitA);
+  return (s.efficiency / 100) * (s.supplyVoltage * current - current * current * resistance);
+}
+
+/**
+ * Electrical state of a tether at one height. The ground supply drives the
+ * line current through the conductor pair; the onboard DC-DC converter turns
+ * what arrives into the bus power the drone draws.
+ * @param {Object} [tether] - Tether settings (see POWER_SOURCES.tether); blank fields default
+ * @param {number} heightM - Height above the ground station, taken as the tether length (m)
+ * @param {number} busPowerW - Power drawn from the converter output (W)
+ * @returns {{ heightM: number, weightG: number, resistance: number, current: number, dropV: number,
+ *   droneVoltage: number, lossW: number, groundPowerW: number, efficiency: number, maxBusPowerW: number,
+ *   feasible: boolean }} current and the values after it are NaN when the line cannot carry the load
+ */
+export function calcTetherOperatingPoint(tether, heightM, busPowerW) {
+  const s = resolvePowerSource({ type: 'tether', tether });
+  const resistance = tetherResistance(s, heightM);
+  const inputW = busPowerW / (s.efficiency / 100);
+  // Vs·I − I²R = P_in, smaller root
+  const disc = s.supplyVoltage * s.supplyVoltage - 4 * resistance * inputW;
+  const current = resistance > 0
+    ? (disc >= 0 ? (s.supplyVoltage - Math.sqrt(disc)) / (2 * resistance) : NaN)
+    : inputW / s.supplyVoltage;
+  const dropV = current * resistance;
+  const groundPowerW = s.supplyVoltage * current;
+  return {
+    heightM,
+    weightG: s.massPerMeterG * heightM,
+    resistance,
+    current,
+    dropV,
+    droneVoltage: s.supplyVoltage - dropV,
+    lossW: current * current * resistance,
+    groundPowerW,
+    efficiency: busPowerW / groundPowerW,
+    maxBusPowerW: tetherMaxBusPower(s, resistance),
+    feasible: disc >= 0 && groundPowerW <= s.supplyPowerW,
+  };
+}
+
+/**
+ * Tether weight, line drop and hover feasibility against height, and the
+ * highest point the drone can hover at. Hover power is scaled from a
+ * reference as weight^1.5 while the hanging tether adds weight.
+ * @param {Object} [tether] - Tether settings (see POWER_SOURCES.tether)
+ * @param {Object} hover
+ * @param {number} hover.baseMassKg - All-up mass without any tether hanging (kg)
+ * @param {number} hover.refMassKg - Mass at which powerW applies (kg)
+ * @param {number} hover.powerW - Bus power at hover at refMassKg (W)
+ * @param {number} hover.maxThrustN - Total thrust at full throttle (N)
+ * @param {number} [steps=10] - Profile points between the ground and the ceiling
+ * @returns {{ points: Array<Object>, maxHeightM: number, limit: string }}
+ *   points are calcTetherOperatingPoint results plus busPowerW and thrustOk;
+ *   limit is 'thrust' (hanging weight), 'power' (line or ground supply), or null past MAX_TETHER_HEIGHT
+ */
+export function calcTetherProfile(tether, { baseMassKg, refMassKg, powerW, maxThrustN }, steps = 10) {
+  const s = resolvePowerSource({ type: 'tether', tether });
+  const pointAt = (h) => {
+    const massKg = baseMassKg + (s.massPerMeterG * h) / 1000;
+    const busPowerW = powerW * Math.pow(massKg / refMassKg, 1.5);
+    return { ...calcTetherOperatingPoint(tether, h, busPowerW), busPowerW, thrustOk: massKg * GRAVITY <= maxThrustN };
+  };
+
+  // Weight and line resistance both grow with height, so hover is possible
+  // up to a single ceiling
+  const thrustCeiling = s.massPerMeterG > 0 ? ((maxThrustN / GRAVITY - baseMassKg) * 1000) / s.massPerMeterG : Infinity;
+  const ok = (h) => {
+    const p = pointAt(h);
+    return p.thrustOk && p.feasible;
+  };
+  let lo = 0;
+  let hi = Math.max(0, Math.min(thrustCeiling, MAX_TETHER_HEIGHT));
+  if (!ok(lo)) {
+    hi = 0;
+  } else if (ok(hi)) {
+    lo = hi;
+  } else {
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (ok(mid)) lo = mid;
+      else hi = mid;
+    }
+  }
+  const maxHeightM = lo;
+  // Hovering right up to the weight ceiling means thrust is what stops it;
+  // otherwise ask what fails just above
+  let limit = null;
+  if (lo === hi && lo > 0) {
+    if (thrustCeiling <= MAX_TETHER_HEIGHT) limit = 'thrust';
+  } else {
+    limit = pointAt(hi).feasible ? 'thrust' : 'power';
+  }
+
+  const span = Math.max(maxHeightM, s.heightM);
+  const points = Array.from({ length: steps + 1 }, (_, i) => pointAt((span * i) / steps));
+  return { points, maxHeightM, limit };
+}
+
+/**
+ * Hover endurance and efficiency of a power source.
+ * Fuelled sources burn fuel in proportion to the electrical power they
+ * deliver, and hover power falls as weight^1.5 while the fuel burns off.
+ * When hover needs more than the source's rating, the buffer battery covers
+ * the shortfall until it is flat. A tether with enough supply power never runs out.
+ * An airframe that cannot reach hover thrust flies for 0 min on any of them;
+ * the battery-only discharge run already ends on thrust by itself.
+ * @param {Object} [source] - { type, fuelCell?, generator?, tether? }
+ * @param {Object} hover
+ * @param {number} hover.powerW - Bus power at hover, take-off weight (W)
+ * @param {number} hover.takeoffMassKg - All-up mass at take-off (kg)
+ * @param {number} hover.bufferWh - Usable energy of the battery pack (Wh)
+ * @param {number} hover.batteryMinutes - Hover time on the battery alone (min)
+ * @param {string} hover.batteryEndReason - What ends the battery-only hover
+ * @param {number} hover.batteryEfficiency - Pack efficiency at hover (0–1), terminal / open-circuit voltage
+ * @param {number} [hover.hoverThrottle] - Throttle (0–1) the motors need to hover; 1 means they cannot
+ * @returns {{ type: string, enduranceMin: number, efficiency: number, endReason: string, sourcePowerW: number,
+ *   specificEnergyWhKg: number|null }} efficiency is the share of stored (or supplied) energy reaching the bus
+ */
+export function calcPowerSourceEndurance(source, hover) {
+  const s = resolvePowerSource(source);
+  const { powerW, takeoffMassKg, bufferWh } = hover;
+  const { dryG, fuelG } = calcPowerSourceMass(source);
+
+  if (s.type === 'battery') {
+    return {
+      type: s.type,
+      enduranceMin: hover.batteryMinutes,
+      efficiency: hover.batteryEfficiency,
+      endReason: hover.batteryEndReason,
+      sourcePowerW: powerW,
+      specificEnergyWhKg: null,
+    };
+  }
+
+  // Electrical energy to the bus per gram of fuel, and the source's power ceiling
+  let efficiency = s.type === 'generator' ? 1000 / (s.bsfcGkWh * GASOLINE_LHV) : s.efficiency / 100;
+  const whPerGram = s.type === 'fuelCell' ? HYDROGEN_LHV * efficiency : 1000 / s.bsfcGkWh;
+  const ratedW = s.type === 'tether' ? tetherMaxBusPower(s, tetherResistance(s, s.heightM)) : s.ratedPowerW;
+  const sourcePowerW = Math.min(powerW, ratedW);
+  const shortfallW = powerW - sourcePowerW;
+  const bufferMin = shortfallW > 0 ? (bufferWh / shortfallW) * 60 : Infinity;
+
+  let sourceMin;
+  let sourceReason;
+  if (s.type === 'tether') {
+    // Ground power to bus, line loss included, at the load the tether carries
+    const carried = calcTetherOperatingPoint(source.tether, s.heightM, sourcePowerW);
+    efficiency = carried.efficiency;
+    sourceMin = Infinity;
+    sourceReason = 'tether';
+  } else if (shortfallW > 0) {
+    // Source pinned at its rating: fuel flow is constant
+    sourceMin = (fuelG * whPerGram / sourcePowerW) * 60;
+    sourceReason = 'fuel';
+  } else {
+    // P(m) = P0 (m/m0)^1.5 and dm/dt = −P/whPerGram integrate to
+    // t = 2 m0^1.5 (m1^−0.5 − m0^−0.5) whPerGram / P0
+    const m0 = takeoffMassKg * 1000;
+    const m1 = m0 - fuelG;
+    sourceMin = m1 > 0 ? (2 * Math.pow(m0, 1.5) * (1 / Math.sqrt(m1) - 1 / Math.sqrt(m0)) * whPerGram / powerW) * 60 : 0;
+    sourceReason = 'fuel';
+  }
+
+  const buffered = bufferMin < sourceMin;
+  const massKg = (dryG + fuelG) / 1000;
+  const noHover = hover.hoverThrottle >= 1;
+  return {
+    type: s.type,
+    enduranceMin: noHover ? 0 : Math.min(sourceMin, bufferMin),
+    efficiency,
+    endReason: noHover ? 'thrust' : buffered ? 'buffer' : sourceReason,
+    sourcePowerW,
+    specificEnergyWhKg: s.type === 'tether' || massKg <= 0 ? null : (fuelG * whPerGram) / massKg,
+  };
+}
+
+// ─── Mass Properties ───
+
+/** Placement ids whose mass comes from elsewhere in the config */
+const LINKED_MASSES = ['frame', 'arms', 'motors', 'battery', 'payload'];
+
+/** Segments each arm is split into when its mass is spread to the motor */
+const ARM_SEGMENTS = 4;
+
+/**
+ * Expand a placement list into point masses.
+ * Battery, payload and frame body take their mass from the config; the frame
+ * body is the frame weight less the arms. Arms spread their mass along each
+ * arm out to the motor, and the motor entry puts each rotor's mass at its
+ * layout position; both use their x/y/z as an offset. Any other entry (flight
+ * controller, gimbal, custom items) carries its own mass on top of the config.
+ * @param {Array<{ id: string, name: string, massG?: number, x: number, y: number, z: number }>} placement
+ *   Positions in mm from the frame centre, x forward, y right, z up
+ * @param {Object} masses
+ * @param {number} masses.frameG - Frame weight including arms (g)
+ * @param {number} masses.batteryG - Battery weight (g)
+ * @param {number} masses.payloadG - Payload weight (g)
+ * @param {number[]} masses.rotorG - Mass at each motor position (g)
+ * @param {Array<Object>} motorLayout - calcMotorLayout result
+ * @returns {Array<{ id: string, name: string, massG: number, x: number, y: number, z: number }>}
+ */
+export function buildMassPoints(placement, { frameG, batteryG, payloadG, rotorG }, motorLayout) {
+  const points = [];
+  const armsG = placement.find(item => item.id === 'arms')?.massG || 0;
+  const linked = { frame: Math.max(0, frameG - armsG), battery: batteryG, payload: payloadG };
+  const offset = (item) => ({ x: item.x || 0, y: item.y || 0, z: item.z || 0 });
+
+  for (const item of placement) {
+    const at = offset(item);
+    if (item.id === 'motors') {
+      motorLayout.forEach((m, i) => points.push({
+        id: item.id, name: item.name, massG: rotorG[i] || 0, x: at.x + m.x * 1000, y: at.y + m.y * 1000, z: at.z,
+      }));
+    } else if (item.id === 'arms') {
+      const arms = [...new Map(motorLayout.map(m => [m.arm, m])).values()];
+      const segmentG = (item.massG || 0) / (arms.length * ARM_SEGMENTS);
+      for (const m of arms) {
+        for (let k = 0; k < ARM_SEGMENTS; k++) {
+          const f = (k + 0.5) / ARM_SEGMENTS;
+          points.push({ id: item.id, name: item.name, massG: segmentG, x: at.x + m.x * 1000 * f, y: at.y + m.y * 1000 * f, z: at.z });
+        }
+      }
+    } else {
+      points.push({ id: item.id, name: item.name, massG: item.id in linked ? linked[item.id] : item.massG || 0, ...at });
+    }
+  }
+  return points.filter(pt => pt.massG > 0);
+}
+
+/**
+ * Mass added by placement entries that are not already in the config weights.
+ * @param {Array<Object>|null} placement
+ * @returns {number} Grams
+ */
+export function calcPlacementExtraMass(placement) {
+  return (placement || [])
+    .filter(item => !LINKED_MASSES.includes(item.id))
+    .reduce((sum, item) => sum + (item.massG || 0), 0);
+}
+
+/**
+ * Centre of gravity and inertia tensor of a set of point masses.
+ * Products of inertia use the tensor sign convention, Ixy = −Σ m·x·y.
+ * @param {Array<{ massG: number, x: number, y: number, z: number }>} points - Positions in mm
+ * @returns {{ massG: number, cg: { x: number, y: number, z: number },
+ *   inertia: { ixx: number, iyy: number, izz: number, ixy: number, ixz: number, iyz: number } }}
+ *   cg in mm from the frame centre; inertia in kg·m² about the CG
+ */
+export function calcMassProperties(points) {
+  const massG = points.reduce((sum, p) => sum + p.massG, 0);
+  const moment = (axis) => (massG > 0 ? points.reduce((sum, p) => sum + p.massG * p[axis], 0) / massG : 0);
+  const cg = { x: moment('x'), y: moment('y'), z: moment('z') };
+
+  const inertia = { ixx: 0, iyy: 0, izz: 0, ixy: 0, ixz: 0, iyz: 0 };
+  for (const p of points) {
+    const m = p.massG / 1000;
+    const x = (p.x - cg.x) / 1000;
+    const y = (p.y - cg.y) / 1000;
+    const z = (p.z - cg.z) / 1000;
+    inertia.ixx += m * (y * y + z * z);
+    inertia.iyy += m * (x * x + z * z);
+    inertia.izz += m * (x * x + y * y);
+    inertia.ixy -= m * x * y;
+    inertia.ixz -= m * x * z;
+    inertia.iyz -= m * y * z;
+  }
+  return { massG, cg, inertia };
+}
+
+// ─── Control Authority ───
+
+/**
+ * Minimum yaw acceleration at hover (rad/s²) by layout. Coaxial pairs yaw by
+ * trading torque within each pair, so they are held to a lower bar.
+ */
+export const YAW_ACCEL_MIN = { flat: 1.5, coaxial: 1.0 };
+
+/**
+ * Estimate the inertia about the body axes.
+ * Motors and props are point masses at the motor positions; everything else
+ * (frame, battery, payload, ESCs) is a flat hub disk a third of the wheelbase across.
+ * @param {Array<Object>} motors - calcMotorLayout result
+ * @param {number} rotorMassKg - Motor + prop mass per rotor (kg)
+ * @param {number} bodyMassKg - Remaining mass (kg)
+ * @param {number} wheelbaseMm - Motor-to-motor diagonal (mm)
+ * @returns {{ ixx: number, iyy: number, izz: number }} kg·m²
+ */
+export function estimateInertia(motors, rotorMassKg, bodyMassKg, wheelbaseMm) {
+  const hubRadius = wheelbaseMm / 6000;
+  const hubRoll = bodyMassKg * hubRadius * hubRadius / 4;
+  return {
+    ixx: hubRoll + motors.reduce((sum, m) => sum + rotorMassKg * m.y * m.y, 0),
+    iyy: hubRoll + motors.reduce((sum, m) => sum + rotorMassKg * m.x * m.x, 0),
+    izz: 2 * hubRoll + motors.reduce((sum, m) => sum + rotorMassKg * (m.x * m.x + m.y * m.y), 0),
+  };
+}
+
+/**
+ * Roll, pitch and yaw torque available at hover without changing total thrust.
+ * Each rotor can move its thrust up or down by the smaller of its headroom to
+ * full thrust and its hover thrust; an axis torque pushes rotors on one side
+ * up and the other side down. Yaw uses prop reaction torque Q = T × torqueRatio.
+ * @param {Array<Object>} motors - calcMotorLayout result
+ * @param {number} hoverThrustN - Thrust per rotor at hover (N)
+ * @param {number} maxThrustN - Thrust per rotor at full throttle (N)
+ * @param {number} torqueRatio - Reaction torque per unit thrust, Cp·D / (2π·Ct) (m)
+ * @param {{ ixx: number, iyy: number, izz: number }} inertia - kg·m²
+ * @returns {{ rollTorque: number, pitchTorque: number, yawTorque: number,
+ *   rollAccel: number, pitchAccel: number, yawAccel: number }} N·m and rad/s²
+ */
+export function calcControlAuthority(motors, hoverThrustN, maxThrustN, torqueRatio, inertia) {
+  const swing = Math.max(0, Math.min(maxThrustN - hoverThrustN, hoverThrustN));
+  const rollTorque = motors.reduce((sum, m) => sum + Math.abs(m.y), 0) * swing;
+  const pitchTorque = motors.reduce((sum, m) => sum + Math.abs(m.x), 0) * swing;
+  const yawTorque = motors.length * swing * torqueRatio;
+  return {
+    rollTorque,
+    pitchTorque,
+    yawTorque,
+    rollAccel: rollTorque / inertia.ixx,
+    pitchAccel: pitchTorque / inertia.iyy,
+    yawAccel: yawTorque / inertia.izz,
+  };
+}
+
 /**
  * Run a full performance simulation from a complete drone config.
  * @param {Object} config - Complete drone configuration
@@ -281,30 +2215,53 @@ export function runFullSimulation(config) {
   // ─── Environment ───
   const altitude = environment.altitude || 0;
   const tempC = environment.temperature ?? 25;
-  const rho = calcAirDensity(altitude, tempC);
+  const atmosphere = calcAtmosphere({
+    elevationM: altitude,
+    tempC,
+    humidityPct: environment.humidity || 0,
+    qnhHpa: environment.pressureMode === 'station' ? null : environment.qnhHpa,
+    stationPressureHpa: environment.pressureMode === 'station' ? environment.stationPressureHpa : null,
+  });
+  const rho = atmosphere.density;
+  const windSpeed = environment.windSpeed || 0;
+  const gustSpeed = environment.gustSpeed || 0;
 
   // ─── Frame ───
-  const numMotors = frame.motorCount || 4;
-  const isCoaxial = frame.layout === 'coaxial';
-  const coaxFactor = calcCoaxialFactor(isCoaxial);
+  const layout = frame.layout || 'flat';
+  const numMotors = COAXIAL_LAYOUT_MOTORS[layout] || frame.motorCount || 4;
+  const isCoaxial = layout !== 'flat';
+  const coaxialSpacingM = (frame.coaxialSpacingMm || 60) / 1000;
   const frameWeight = (frame.frameWeight || 0) / 1000; // g → kg
   const payloadWeight = (frame.payloadWeight || 0) / 1000;
   const payloadCurrent = frame.payloadCurrent || 0;
+  const frontalAreaM2 = (frame.frontalAreaCm2 || 200) / 10000; // cm² → m²
+  const dragCoefficient = frame.dragCoefficient || 1.0;
+  const maxTiltDeg = frame.maxTiltDeg || 45;
 
   // ─── Battery ───
-  const chem = battery.chemistry || 'LiPo';
+  const chem = battery.ocvCurve ? { ocv: battery.ocvCurve } : (battery.chemistry || 'LiPo');
   const cells = battery.cellsS || 4;
   const parallel = battery.cellsP || 1;
-  const capacityMah = (battery.capacityMah || 5000) * parallel;
+  const ratedCapacityMah = (battery.capacityMah || 5000) * parallel;
   const cRating = battery.cRating || 20;
   const burstC = battery.burstC || 40;
-  const internalR = battery.internalResistanceMohm || 5;
+  const ratedInternalR = battery.internalResistanceMohm || 5;
   const batteryWeight = (battery.weightG || 0) / 1000;
   const dischargeDepth = (battery.dischargeDepth || 80) / 100;
-  const chemData = CHEMISTRY[chem] || CHEMISTRY.LiPo;
+  const chemData = getChemistryVoltages(chem);
+  const cutoffVoltage = battery.cutoffVoltage || chemData.min;
   const nominalVoltage = chemData.nominal * cells;
   const maxVoltage = chemData.max * cells;
-  const maxContinuousCurrent = (capacityMah / 1000) * cRating;
+  const maxContinuousCurrent = (ratedCapacityMah / 1000) * cRating;
+
+  // Cold packs lose capacity and sag harder; blank pack temperature means ambient
+  const packTempC = battery.packTempC ?? tempC;
+  const derating = calcBatteryDerating(
+    battery.deratingTable ? { derating: battery.deratingTable } : (battery.chemistry || 'LiPo'),
+    packTempC,
+  );
+  const capacityMah = ratedCapacityMah * derating.capacityFactor;
+  const internalR = ratedInternalR * derating.resistanceFactor;
 
   // ─── Motor ───
   const kv = motor.kv || 920;
@@ -325,12 +2282,19 @@ export function runFullSimulation(config) {
   const wireLengthCm = esc.wireLengthCm || 20;
   const escMinCells = esc.minCells || 2;
   const escMaxCells = esc.maxCells || 6;
+  const pwmKhz = esc.pwmKhz || 24;
+  const escCooling = esc.cooling || 'open';
+  const escBoard = esc.boardType || 'single';
+  const becLoadA = esc.becLoadA || 0;
+  const becVoltage = esc.becVoltage || 5;
+  const becType = esc.becType || 'switching';
 
   // ─── Propeller ───
   const propDiameterIn = propeller.diameterIn || 10;
   const propPitchIn = propeller.pitchIn || 4.5;
   const propBlades = propeller.blades || 2;
   const propWeightG = propeller.weightG || 15;
+  const perfData = propeller.perfData || null;
   let ct = propeller.ct;
   let cp = propeller.cp;
 
@@ -342,71 +2306,323 @@ export function runFullSimulation(config) {
 
   const propDiameterM = propDiameterIn * 0.0254;
 
+  // ─── Coaxial Lower Rotor ───
+  // Lower motor and prop default to the upper ones; blank fields inherit
+  const lowerMotor = { ...motor, ...definedFields(frame.lowerMotor) };
+  const lowerProp = {
+    diameterIn: propDiameterIn,
+    pitchIn: propPitchIn,
+    blades: propBlades,
+    weightG: propWeightG,
+    ...definedFields(frame.lowerPropeller),
+  };
+  const lowerPropSame = lowerProp.diameterIn === propDiameterIn &&
+    lowerProp.pitchIn === propPitchIn && lowerProp.blades === propBlades;
+  const lowerEstimate = estimatePropCoefficients(lowerProp.diameterIn, lowerProp.pitchIn, lowerProp.blades);
+  const lowerMaxCurrent = lowerMotor.maxCurrent || maxMotorCurrent;
+  const pairs = numMotors / 2;
+
   // ─── Total Weight ───
-  const totalWeightKg = frameWeight + payloadWeight + batteryWeight +
-    (motorWeightG * numMotors + escWeightG * numMotors + propWeightG * numMotors) / 1000;
+  const motorsWeightG = isCoaxial
+    ? pairs * (motorWeightG + (lowerMotor.weightG || motorWeightG))
+    : motorWeightG * numMotors;
+  const propsWeightG = isCoaxial
+    ? pairs * (propWeightG + (lowerProp.weightG || propWeightG))
+    : propWeightG * numMotors;
+  const placement = frame.placement || null;
+  const sourceMass = calcPowerSourceMass(battery.source);
+  const sourceWeightG = sourceMass.dryG + sourceMass.fuelG;
+  const totalWeightKg = frameWeight + payloadWeight + batteryWeight + sourceWeightG / 1000 +
+    (motorsWeightG + escWeightG * numMotors + propsWeightG + calcPlacementExtraMass(placement)) / 1000;
   const totalWeightG = totalWeightKg * 1000;
 
+  // ─── Mass Properties ───
+  // A placement list gives the CG and inertia; without one the inertia is estimated below
+  const motorLayout = calcMotorLayout(numMotors, layout, frame.wheelbaseMm || 350, frame.shape);
+  const massPoints = placement
+    ? buildMassPoints(placement, {
+      frameG: frame.frameWeight || 0,
+      // Fuel cell, generator or tether hardware is placed with the pack
+      batteryG: (battery.weightG || 0) + sourceWeightG,
+      payloadG: frame.payloadWeight || 0,
+      rotorG: motorLayout.map(m => (m.level === 'lower'
+        ? (lowerMotor.weightG || motorWeightG) + (lowerProp.weightG || propWeightG)
+        : motorWeightG + propWeightG) + escWeightG),
+    }, motorLayout)
+    : null;
+  const massProperties = massPoints ? calcMassProperties(massPoints) : null;
+
+  // ─── Operating Point Solver Inputs ───
+  const packResistance = (internalR / 1000) * cells; // series resistance
+  const becInputCurrent = calcEscLosses({
+    motorCurrent: 0, busVoltage: nominalVoltage, resistanceOhm: 0, pwmKhz: 0, becLoadA, becVoltage, becType,
+  }).becInputCurrent;
+  const auxCurrent = payloadCurrent + becInputCurrent;
+  const motorParams = {
+    kv,
+    resistance: motorResistance,
+    noLoadCurrent,
+    ct,
+    cp,
+    rho,
+    diameterM: propDiameterM,
+    pitchM: propPitchIn * 0.0254,
+    perfData,
+    openCircuitVoltage: nominalVoltage,
+    packResistance,
+    numMotors,
+    auxCurrent,
+  };
+  const lowerParams = {
+    ...motorParams,
+    kv: lowerMotor.kv || kv,
+    resistance: lowerMotor.resistance || motorResistance,
+    noLoadCurrent: lowerMotor.noLoadCurrent || noLoadCurrent,
+    ct: lowerPropSame ? ct : (lowerProp.ct || lowerEstimate.ct),
+    cp: lowerPropSame ? cp : (lowerProp.cp || lowerEstimate.cp),
+    diameterM: lowerProp.diameterIn * 0.0254,
+    pitchM: lowerProp.pitchIn * 0.0254,
+    perfData: lowerPropSame ? perfData : null,
+  };
+
+  // ─── Coaxial Pairs ───
+  // Each upper/lower pair is solved with the lower rotor in the upper wake.
+  // The rest of the model treats every rotor as an upper one, with an
+  // equivalent coaxial factor that reproduces the pairs' hover current.
+  let coaxFactor = 1;
+  let coaxHover = null;
+  let coaxMax = null;
+  if (isCoaxial) {
+    const weightN = totalWeightKg * GRAVITY;
+    coaxHover = solveCoaxialPair(motorParams, lowerParams, coaxialSpacingM, weightN / pairs);
+    coaxMax = solveCoaxialPairAt(motorParams, lowerParams, coaxialSpacingM, 1);
+    coaxFactor = equivalentCoaxialFactor(motorParams, weightN, coaxHover.totalCurrent);
+  }
+
   // ─── Max Throttle Calculations ───
-  const maxRPM = calcMotorRPM(kv, maxVoltage, noLoadCurrent, motorResistance);
-  const maxRPS = maxRPM / 60;
-  const maxThrustPerMotor = calcThrust(ct, rho, maxRPS, propDiameterM);
-  const maxTotalThrust = maxThrustPerMotor * numMotors * coaxFactor;
+  const maxPoint = solveOperatingPoint(motorParams, 1);
+  const maxRPM = maxPoint.rpm;
+  const maxThrustPerMotor = maxPoint.thrust;
+  const maxTotalThrust = coaxMax ? coaxMax.thrust * pairs : maxThrustPerMotor * numMotors;
   const maxTotalThrustG = (maxTotalThrust / GRAVITY) * 1000;
+  const maxCurrentPerMotor = coaxMax ? Math.max(coaxMax.upper.current, coaxMax.lower.current) : maxPoint.current;
+  const maxTotalCurrentDraw = coaxMax ? coaxMax.totalCurrent : maxPoint.totalCurrent;
+  const maxBattery = { voltage: maxPoint.voltage, sagVolts: nominalVoltage - maxPoint.voltage };
 
   // ─── Hover Calculations ───
-  const hoverThrottle = calcHoverThrottle(totalWeightKg, numMotors, maxThrustPerMotor, coaxFactor);
-  const hoverRPS = maxRPS * (hoverThrottle / 100);
-  const hoverRPM = hoverRPS * 60;
-
-  // Hover thrust per motor
-  const hoverThrustPerMotor = calcThrust(ct, rho, hoverRPS, propDiameterM);
-
-  // Hover mechanical power per motor
-  const hoverMechPower = calcPropPower(cp, rho, hoverRPS, propDiameterM);
-
-  // Hover current per motor (P = V × I → I = P / V, roughly)
-  // More accurately: P_mech = (V - I×R) × (I - I0) × motor_efficiency
-  // Simplified: I ≈ P_mech / (V × η) + I0
-  const motorEff = 0.85; // typical BLDC efficiency
-  const hoverCurrentPerMotor = hoverMechPower / (nominalVoltage * motorEff) + noLoadCurrent;
-  const hoverTotalCurrent = hoverCurrentPerMotor * numMotors + payloadCurrent;
-
-  // Battery voltage under load at hover
-  const hoverBattery = calcBatteryVoltageUnderLoad(
-    cells, chem, hoverTotalCurrent, capacityMah, cRating, internalR
-  );
+  const requiredThrustPerMotor = (totalWeightKg * GRAVITY) / (numMotors * coaxFactor);
+  const hoverPoint = solveThrottleForThrust(motorParams, requiredThrustPerMotor);
+  const hoverThrottle = hoverPoint.throttle * 100;
+  const hoverRPM = hoverPoint.rpm;
+  const hoverThrustPerMotor = hoverPoint.thrust;
+  const hoverMechPower = hoverPoint.mechPower;
+  const hoverMotorCurrent = hoverPoint.motorCurrent;
+  const hoverCurrentPerMotor = hoverPoint.current;
+  const hoverTotalCurrent = hoverPoint.totalCurrent;
+  const hoverBattery = { voltage: hoverPoint.voltage, sagVolts: nominalVoltage - hoverPoint.voltage };
+
+  // With measured prop data, the single-value models below use the hover coefficients
+  if (perfData) {
+    ({ ct, cp } = calcPropCoefficients(perfData, hoverRPM, 0) || { ct, cp });
+    motorParams.ct = ct;
+    motorParams.cp = cp;
+  }
 
   // Hover electrical power
-  const hoverElecPowerPerMotor = calcMotorElecPower(hoverBattery.voltage / cells * cells, hoverCurrentPerMotor);
-  const hoverTotalPower = hoverElecPowerPerMotor * numMotors + payloadCurrent * hoverBattery.voltage;
+  const hoverElecPowerPerMotor = hoverPoint.elecPower;
+  const hoverTotalPower = hoverElecPowerPerMotor * numMotors + auxCurrent * hoverBattery.voltage;
 
   // Hover efficiency
   const hoverEfficiency = calcSystemEfficiency(hoverThrustPerMotor * numMotors * coaxFactor, hoverTotalPower);
 
   // ─── Flight Time ───
-  const flightTime = calcFlightTime(capacityMah, dischargeDepth, hoverTotalCurrent);
+  const batteryParams = {
+    chemistry: chem,
+    cells,
+    capacityMah,
+    dischargeDepth,
+    cutoffVoltage,
+  };
+  const discharge = simulateDischarge(motorParams, requiredThrustPerMotor, batteryParams);
+
+  // Other sources hover on fuel or ground power, with the pack as buffer.
+  // The thermal models below still follow the pack discharge run.
+  const sourceHover = {
+    powerW: hoverTotalPower,
+    takeoffMassKg: totalWeightKg,
+    bufferWh: (capacityMah / 1000) * dischargeDepth * nominalVoltage,
+    batteryMinutes: discharge.flightTimeMin,
+    batteryEndReason: discharge.endReason,
+    batteryEfficiency: hoverBattery.voltage / nominalVoltage,
+    hoverThrottle: hoverPoint.throttle,
+  };
+  const powerSource = calcPowerSourceEndurance(battery.source, sourceHover);
+  // Same source held at another steady bus power (cruise, wind)
+  const sourceEnduranceAt = (powerW, throttle) =>
+    calcPowerSourceEndurance(battery.source, { ...sourceHover, powerW, hoverThrottle: throttle }).enduranceMin;
+  const flightTime = powerSource.enduranceMin;
+
+  // ─── Tether ───
+  // Weight, line drop and ceiling against height; the sim's weight already
+  // carries the tether hanging from the operating height
+  let tether = null;
+  if (powerSource.type === 'tether') {
+    const settings = resolvePowerSource(battery.source);
+    const hangingKg = (settings.massPerMeterG * settings.heightM) / 1000;
+    tether = {
+      ...calcTetherProfile(battery.source.tether, {
+        baseMassKg: totalWeightKg - hangingKg,
+        refMassKg: totalWeightKg,
+        powerW: hoverTotalPower,
+        maxThrustN: maxTotalThrust,
+      }),
+      operating: calcTetherOperatingPoint(battery.source.tether, settings.heightM, hoverTotalPower),
+    };
+  }
+  const packHoverCurrent = hoverTotalCurrent * (1 - powerSource.sourcePowerW / hoverTotalPower);
+  const isBatteryOnly = powerSource.type === 'battery';
+
+  // Same hover with the pack at 25 °C, to show what the cold costs
+  const ratedFlightTimeMin = isBatteryOnly && packTempC < 25
+    ? simulateDischarge(
+      { ...motorParams, packResistance: (ratedInternalR / 1000) * cells },
+      requiredThrustPerMotor,
+      { ...batteryParams, capacityMah: ratedCapacityMah },
+    ).flightTimeMin
+    : null;
+
+  // ─── Momentum Theory ───
+  const diskLoading = calcDiskLoading(requiredThrustPerMotor, propDiameterM);
+  const idealHoverPower = calcIdealHoverPower(requiredThrustPerMotor, rho, propDiameterM) * numMotors * coaxFactor;
+  const figureOfMerit = calcFigureOfMerit(ct, cp);
+
+  // ─── Forward Flight ───
+  const airframe = {
+    weightN: totalWeightKg * GRAVITY,
+    rotors: numMotors * coaxFactor,
+    frontalAreaM2,
+    dragCoefficient,
+    maxTiltDeg,
+  };
+  // Fuel, ground power and buffer are drawn down at the cruise power; a
+  // plain battery keeps the capacity estimate
+  const cruise = simulateForwardFlight(
+    motorParams, airframe, capacityMah, dischargeDepth, undefined,
+    isBatteryOnly ? null : sourceEnduranceAt,
+  );
 
-  // ─── Max Current Per Motor ───
-  const maxMechPower = calcPropPower(cp, rho, maxRPS, propDiameterM);
-  const maxCurrentPerMotor = maxMechPower / (nominalVoltage * motorEff) + noLoadCurrent;
-  const maxTotalCurrentDraw = maxCurrentPerMotor * numMotors + payloadCurrent;
+  // ─── Vertical Performance ───
+  const vertical = calcVerticalPerformance(motorParams, airframe);
 
-  // Max battery under load
-  const maxBattery = calcBatteryVoltageUnderLoad(
-    cells, chem, maxTotalCurrentDraw, capacityMah, cRating, internalR
-  );
+  // ─── Wind Station-Keeping ───
+  // On a battery, flight time scales the hover discharge result by the extra
+  // current drawn in wind; other sources are run again at the wind power
+  const station = calcStationKeeping(motorParams, airframe, windSpeed, gustSpeed);
+  const windTotalCurrent = station.op.totalCurrent;
+  const windPowerW = station.op.elecPower * numMotors + auxCurrent * station.op.voltage;
+  const windFlightTimeMin = isBatteryOnly
+    ? (windTotalCurrent > 0 ? flightTime * (hoverTotalCurrent / windTotalCurrent) : 0)
+    : sourceEnduranceAt(windPowerW, station.op.throttle);
 
   // ─── Wire Losses ───
-  const wireLoss = calcWireLoss(wireAWG, wireLengthCm, hoverCurrentPerMotor);
+  const wireLoss = calcWireLoss(wireAWG, wireLengthCm, hoverMotorCurrent);
   const totalWireLoss = wireLoss.powerLoss * numMotors;
 
   // ─── ESC Losses ───
-  const escPowerLoss = hoverCurrentPerMotor * hoverCurrentPerMotor * escResistance * numMotors;
+  const escLoss = calcEscLosses({
+    motorCurrent: hoverMotorCurrent,
+    busVoltage: hoverBattery.voltage,
+    resistanceOhm: escResistance,
+    pwmKhz,
+    becLoadA,
+    becVoltage,
+    becType,
+  });
+  const escPowerLoss = escLoss.total * numMotors + escLoss.bec;
+
+  // ─── ESC Thermal ───
+  // A 4-in-1 board carries up to four channels and the BEC on one heat spreader
+  const channelsPerBoard = escBoard === '4in1' ? Math.min(4, numMotors) : 1;
+  const escBoardLoss = escLoss.total * channelsPerBoard + escLoss.bec;
+  const escThermal = calcEscTemp(tempC, escBoardLoss, escWeightG * channelsPerBoard, escCooling, flightTime * 60);
+
+  // ─── Per-Motor Loading ───
+  // Hover thrust is split about the CG. Flat rotors each run on the hover bus
+  // voltage; coaxial arms solve their pair for the arm's share.
+  const torqueRatio = (motorParams.cp * propDiameterM) / (2 * Math.PI * motorParams.ct);
+  const cgOffsetMm = massProperties ? massProperties.cg : { x: 0, y: 0, ...definedFields(frame.cgOffsetMm) };
+  const hoverSplit = calcHoverThrustSplit(
+    motorLayout,
+    { x: cgOffsetMm.x / 1000, y: cgOffsetMm.y / 1000 },
+    totalWeightKg * GRAVITY,
+    torqueRatio,
+  );
+  const busParams = { ...motorParams, openCircuitVoltage: hoverBattery.voltage, packResistance: 0, numMotors: 1, auxCurrent: 0 };
+  const armPairs = new Map();
+  const pairFor = (arm) => {
+    if (!armPairs.has(arm)) {
+      const armThrust = motorLayout.filter(o => o.arm === arm).reduce((sum, o) => sum + hoverSplit.thrusts[o.index], 0);
+      armPairs.set(arm, solveCoaxialPair(motorParams, lowerParams, coaxialSpacingM, armThrust));
+    }
+    return armPairs.get(arm);
+  };
+  const motorOps = isCoaxial
+    ? motorLayout.map(m => ({ ...pairFor(m.arm)[m.level], throttle: pairFor(m.arm).throttle }))
+    : hoverSplit.thrusts.map(t => solveThrottleForThrust(busParams, t));
+  const perMotor = motorLayout.map((m, i) => {
+    const lower = m.level === 'lower';
+    const op = motorOps[i];
+    const windingR = lower ? lowerMotor.resistance || motorResistance : motorResistance;
+    return {
+      index: i,
+      level: m.level,
+      x: m.x * 1000,
+      y: m.y * 1000,
+      thrustG: (op.thrust / GRAVITY) * 1000,
+      throttle: op.throttle * 100,
+      current: op.current,
+      motorCurrent: op.motorCurrent,
+      maxCurrent: lower ? lowerMaxCurrent : maxMotorCurrent,
+      temp: calcMotorTemp(tempC, op.motorCurrent * op.motorCurrent * windingR,
+        (lower && lowerMotor.thermalResistance) || thermalResistance, 300),
+    };
+  });
+  const hottestMotor = perMotor.reduce((hot, m) => (m.temp > hot.temp ? m : hot));
+  const maxMotorThrottle = Math.max(...perMotor.map(m => m.throttle));
+  // Motor and ESC ratings are phase (winding) current, above the bus current at part throttle
+  const peakMotorCurrent = Math.max(...perMotor.map(m => m.motorCurrent));
+  const meanMotorCurrent = perMotor.reduce((sum, m) => sum + m.motorCurrent, 0) / numMotors;
 
   // ─── Motor Thermal ───
-  const copperLoss = hoverCurrentPerMotor * hoverCurrentPerMotor * motorResistance;
-  const motorTemp5min = calcMotorTemp(tempC, copperLoss, thermalResistance, 300);
+  // Judged on the hottest motor; copper loss is the average
+  const copperLoss = hoverMotorCurrent * hoverMotorCurrent * motorResistance;
+  const motorTemp5min = hottestMotor.temp;
+
+  // ─── Full-Flight Thermal ───
+  // Follows the hottest motor by scaling the average current along the flight
+  const hotScale = meanMotorCurrent > 0 ? hottestMotor.motorCurrent / meanMotorCurrent : 1;
+  const hotSeries = discharge.series.map(p => ({ ...p, motorCurrent: p.motorCurrent * hotScale }));
+  const flightThermal = simulateFlightThermal(hotSeries, {
+    motor: {
+      kv,
+      resistance: motorResistance,
+      noLoadCurrent,
+      thermalResistance,
+      statorDiameter: motor.statorDiameter || 22,
+      statorHeight: motor.statorHeight || 12,
+    },
+    esc: {
+      resistanceOhm: escResistance,
+      pwmKhz,
+      becLoadA,
+      becVoltage,
+      becType,
+      channels: channelsPerBoard,
+      boardWeightG: escWeightG * channelsPerBoard,
+      cooling: escCooling,
+    },
+    battery: { packResistance, weightG: battery.weightG || 0 },
+  }, tempC);
 
   // ─── TWR ───
   const twr = calcThrustToWeightRatio(maxTotalThrust, totalWeightKg);
@@ -414,27 +2630,93 @@ export function runFullSimulation(config) {
   // ─── Motor Efficiency ───
   const motorEffCalc = calcMotorEfficiency(hoverMechPower, hoverElecPowerPerMotor);
 
+  // ─── Control Authority ───
+  const rotorMassKg = (motorsWeightG + propsWeightG) / numMotors / 1000;
+  const inertia = massProperties
+    ? massProperties.inertia
+    : estimateInertia(motorLayout, rotorMassKg, totalWeightKg - rotorMassKg * numMotors, frame.wheelbaseMm || 350);
+  const control = calcControlAuthority(
+    motorLayout,
+    (totalWeightKg * GRAVITY) / numMotors,
+    maxTotalThrust / numMotors,
+    torqueRatio,
+    inertia,
+  );
+  const yawAccelMin = YAW_ACCEL_MIN[isCoaxial ? 'coaxial' : 'flat'];
+
+  // ─── Motor-Out Survivability ───
+  // Only frames with six or more motors have the redundancy to lose one
+  const motorOut = numMotors >= 6
+    ? calcMotorOutSurvival(motorParams, motorLayout, totalWeightKg * GRAVITY, coaxFactor)
+    : null;
+
+  // ─── Propeller Tips ───
+  // Coaxial rotors are checked separately; the one nearest Mach 1 is reported
+  const propSeries = propeller.series || 'mr';
+  const tipRotors = isCoaxial
+    ? [
+      { diameterM: propDiameterM, maxRpm: coaxMax.upper.rpm, hoverRpm: coaxHover.upper.rpm, series: propSeries },
+      { diameterM: lowerParams.diameterM, maxRpm: coaxMax.lower.rpm, hoverRpm: coaxHover.lower.rpm, series: lowerProp.series || propSeries },
+    ]
+    : [{ diameterM: propDiameterM, maxRpm: maxRPM, hoverRpm: hoverRPM, series: propSeries }];
+  const propTips = tipRotors.map(r => calcPropTip({ ...r, tempC, rho }));
+  const propTip = propTips.reduce((worst, t) => (t.tipMach > worst.tipMach ? t : worst));
+
+  // ─── Noise ───
+  // Hover noise at the listener distance, plus the same airframe on the other
+  // blade count and on props an inch smaller and larger (estimated coefficients)
+  const noiseDistanceM = environment.noiseDistanceM || 10;
+  const rotorThrustN = (totalWeightKg * GRAVITY) / numMotors;
+  const noiseFor = (diameterIn, blades, tipSpeed) => calcRotorNoise({
+    tipSpeed,
+    thrustN: rotorThrustN,
+    diameterM: diameterIn * 0.0254,
+    blades,
+    motorCount: numMotors,
+    rho,
+    distanceM: noiseDistanceM,
+  });
+  const noise = { ...noiseFor(propDiameterIn, propBlades, propTip.hoverTipSpeed), distanceM: noiseDistanceM };
+  const noiseVariants = [
+    { diameterIn: propDiameterIn, blades: propBlades === 2 ? 3 : 2 },
+    { diameterIn: propDiameterIn - 1, blades: propBlades },
+    { diameterIn: propDiameterIn + 1, blades: propBlades },
+  ].filter(v => v.diameterIn >= 3).map(v => {
+    const coeffs = estimatePropCoefficients(v.diameterIn, propPitchIn, v.blades);
+    const diameterM = v.diameterIn * 0.0254;
+    const point = solveThrottleForThrust({ ...motorParams, ...coeffs, diameterM, perfData: null }, requiredThrustPerMotor);
+    const tipSpeed = (Math.PI * diameterM * point.rpm) / 60;
+    return { ...v, hoverRpm: point.rpm, splA: noiseFor(v.diameterIn, v.blades, tipSpeed).splA };
+  });
 
   // ─── Validations ───
-  const maxBurstCurrent = (capacityMah / 1000) * burstC;
+  const maxBurstCurrent = (ratedCapacityMah / 1000) * burstC;
 
-  const wheelbaseMm = frame.wheelbaseMm || 350;
-  const wbFactors = { 3: 0.866, 4: 0.707, 6: 0.5, 8: 0.38 };
-  const wbFactor = wbFactors[numMotors] || 0.5;
-  const maxPropDiameterMm = wheelbaseMm * wbFactor;
   const propDiameterMm = propDiameterIn * 25.4;
+  const propClearance = calcPropClearance(frame, propDiameterMm, lowerProp.diameterIn * 25.4);
+  const maxPropDiameterMm = propClearance.maxPropDiameterMm;
 
   const validations = {
-    motorCurrentOk: hoverCurrentPerMotor < maxMotorCurrent,
-    escCurrentOk: hoverCurrentPerMotor < escMaxCurrent,
-    batteryDischargeOk: hoverTotalCurrent < maxContinuousCurrent,
+    motorCurrentOk: perMotor.every(m => m.motorCurrent < m.maxCurrent),
+    escCurrentOk: peakMotorCurrent < escMaxCurrent,
+    cgBalanceOk: hoverSplit.balanced && maxMotorThrottle < 100,
+    batteryDischargeOk: (isBatteryOnly ? hoverTotalCurrent : packHoverCurrent) < maxContinuousCurrent,
     batteryBurstOk: maxTotalCurrentDraw < maxBurstCurrent,
-    propSizeOk: propDiameterMm <= maxPropDiameterMm,
+    propSizeOk: propClearance.overlaps === 0,
     twrOk: twr >= 2.0,
     motorTempOk: motorTemp5min < 80,
+    escTempOk: escThermal.temp < 100,
+    flightThermalOk: !flightThermal.firstLimit,
     hoverThrottleOk: hoverThrottle < 60,
     escVoltageOk: cells >= escMinCells && cells <= escMaxCells,
     motorVoltageOk: cells >= motorMinCells && cells <= motorMaxCells,
+    windHoldOk: station.canHold,
+    figureOfMeritOk: figureOfMerit <= 1,
+    yawAuthorityOk: control.yawAccel >= yawAccelMin,
+    tipMachOk: propTips.every(t => t.tipMach < TIP_MACH_LIMIT),
+    propRpmOk: propTips.every(t => t.maxRpm <= t.maxSafeRpm),
+    ...(motorOut ? { motorOutOk: motorOut.single.survives } : {}),
+    ...(tether ? { tetherOk: tether.operating.feasible && tether.operating.heightM <= tether.maxHeightM } : {}),
   };
 
   const allValid = Object.values(validations).every(Boolean);
@@ -442,6 +2724,9 @@ export function runFullSimulation(config) {
   return {
     // Environment
     airDensity: rho,
+    stationPressureHpa: atmosphere.stationPressureHpa,
+    pressureAltitudeM: atmosphere.pressureAltitudeM,
+    densityAltitudeM: atmosphere.densityAltitudeM,
 
     // Weight
     totalWeightKg,
@@ -451,6 +2736,7 @@ export function runFullSimulation(config) {
     hoverThrottle,
     hoverRPM,
     hoverCurrentPerMotor,
+    hoverMotorCurrent,
     hoverTotalCurrent,
     hoverTotalPower,
     hoverEfficiency,
@@ -458,13 +2744,93 @@ export function runFullSimulation(config) {
     hoverBatteryVoltage: hoverBattery.voltage,
     hoverBatterySag: hoverBattery.sagVolts,
     flightTimeMin: flightTime,
+    flightEndReason: powerSource.endReason,
+    tether,
+    powerSource: {
+      ...powerSource,
+      massG: (battery.weightG || 0) + sourceWeightG,
+      dryG: sourceMass.dryG,
+      fuelG: sourceMass.fuelG,
+    },
+    dischargeSeries: discharge.series,
+
+    // Forward Flight
+    cruiseSeries: cruise.series,
+    bestEnduranceSpeed: cruise.bestEnduranceSpeed,
+    bestEnduranceMin: cruise.bestEnduranceMin,
+    bestRangeSpeed: cruise.bestRangeSpeed,
+    maxRangeKm: cruise.maxRangeKm,
+    topSpeed: cruise.topSpeed,
+
+    // Vertical Performance
+    maxClimbRate: vertical.maxClimbRate,
+    climbTotalCurrent: vertical.climb.op.totalCurrent,
+    climbPower: vertical.climb.op.elecPower * numMotors + auxCurrent * vertical.climb.op.voltage,
+    hoverInducedVelocity: vertical.hoverInducedVelocity,
+    vrsOnsetRate: vertical.vrsOnsetRate,
+    maxDescentRate: vertical.maxDescentRate,
+    descentTotalCurrent: vertical.descent.op.totalCurrent,
+
+    // Wind
+    windSpeed,
+    gustSpeed: Math.max(windSpeed, gustSpeed),
+    windTiltDeg: station.tiltDeg,
+    gustTiltDeg: station.gustTiltDeg,
+    windExtraThrustPct: station.extraThrustPct,
+    windThrottle: station.op.throttle * 100,
+    gustThrottle: station.gustOp.throttle * 100,
+    windCurrentPerMotor: station.op.current,
+    windTotalCurrent,
+    windFlightTimeMin,
+    windLimit: station.limit,
+    maxTiltDeg,
 
     // Max Performance
     maxThrustPerMotorG: (maxThrustPerMotor / GRAVITY) * 1000,
     maxTotalThrustG,
     maxRPM,
+    propTip,
+    tipMachLimit: TIP_MACH_LIMIT,
+    noise,
+    noiseVariants,
     maxCurrentPerMotor,
     maxTotalCurrentDraw,
+
+    // Coaxial
+    layout,
+    coaxFactor,
+    coaxial: coaxHover ? {
+      spacingMm: coaxialSpacingM * 1000,
+      pairs,
+      throttle: coaxHover.throttle * 100,
+      lowerThrustShare: coaxHover.lower.thrust / coaxHover.thrust,
+      wakeVelocity: coaxHover.wake.wakeVelocity,
+      upper: coaxialRotorSummary(coaxHover.upper),
+      lower: coaxialRotorSummary(coaxHover.lower),
+      upperMax: coaxialRotorSummary(coaxMax.upper),
+      lowerMax: coaxialRotorSummary(coaxMax.lower),
+      lowerMaxCurrent,
+    } : null,
+
+    // Mass Properties
+    massPoints,
+    massProperties,
+    cgOffsetMm,
+
+    // Per-Motor Loading
+    perMotor,
+    hottestMotor,
+    peakMotorCurrent,
+    maxMotorThrottle,
+
+    // Control Authority
+    inertia,
+    ...control,
+    yawAccelMin,
+
+    // Motor-Out
+    motorLayout,
+    motorOut,
     maxBatteryVoltage: maxBattery.voltage,
     maxBatterySag: maxBattery.sagVolts,
     twr,
@@ -473,10 +2839,23 @@ export function runFullSimulation(config) {
     wireLossPerMotor: wireLoss.powerLoss,
     totalWireLoss,
     escPowerLoss,
+    escConductionLoss: escLoss.conduction,
+    escSwitchingLoss: escLoss.switching,
+    escGateDriveLoss: escLoss.gateDrive,
+    escBecLoss: escLoss.bec,
     copperLossPerMotor: copperLoss,
 
     // Thermal
     motorTemp5min,
+    escTemp: escThermal.temp,
+    escBoardLoss,
+    thermalSeries: flightThermal.series,
+    thermalLimits: flightThermal.limits,
+    peakMotorTemp: flightThermal.peak.motor,
+    peakEscTemp: flightThermal.peak.esc,
+    peakBatteryTemp: flightThermal.peak.battery,
+    thermalLimitPart: flightThermal.firstLimit?.part ?? null,
+    thermalLimitTimeMin: flightThermal.firstLimit?.timeMin ?? null,
 
     // Efficiency
     motorEfficiency: motorEffCalc,
@@ -485,9 +2864,18 @@ export function runFullSimulation(config) {
     nominalVoltage,
     maxVoltage,
     maxContinuousCurrent,
-    totalCapacityMah: capacityMah,
+    totalCapacityMah: ratedCapacityMah,
+    deratedCapacityMah: capacityMah,
+    packTempC,
+    batteryResistanceFactor: derating.resistanceFactor,
+    batteryCapacityFactor: derating.capacityFactor,
+    ratedFlightTimeMin,
+    cutoffVoltage,
+    batteryParams,
 
     // Limits (for UI feedback)
+    maxMotorCurrent,
+    maxMotorPower,
     motorMinCells,
     motorMaxCells,
     escMinCells,
@@ -497,15 +2885,26 @@ export function runFullSimulation(config) {
     // Prop coefficients used
     ct,
     cp,
+    hasPropData: !!perfData,
+
+    // Momentum Theory
+    diskLoading,
+    idealHoverPower,
+    figureOfMerit,
+
+    // Operating point solver inputs (for charts and the mission planner)
+    motorParams,
+    airframe,
 
     // Validations
     validations,
     allValid,
     maxBurstCurrent,
     maxPropDiameterMm,
+    propClearance,
     propDiameterMm,
   };
 }
 
 
-export { CHEMISTRY, AWG_RESISTANCE, GRAVITY };
+export { CHEMISTRY, AWG_RESISTANCE, ESC_COOLING, GRAVITY };
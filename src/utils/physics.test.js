@@ -9,18 +9,75 @@ import {
     calcPropPower,
     calcMotorElecPower,
     calcMotorEfficiency,
+    calcMotorEfficiencyMap,
     estimatePropCoefficients,
+    calcPropCoefficients,
+    calcPropTip,
+    calcPowerSourceMass,
+    calcPowerSourceEndurance,
+    calcTetherOperatingPoint,
+    calcTetherProfile,
+    calcAWeighting,
+    calcRotorNoise,
+    calcDiskLoading,
+    calcIdealHoverPower,
+    calcFigureOfMerit,
+    calcCellOpenCircuitVoltage,
+    getChemistryVoltages,
     calcBatteryVoltageUnderLoad,
+    calcBatteryDerating,
     calcHoverThrottle,
     calcFlightTime,
     calcMotorTemp,
     calcThrustToWeightRatio,
     calcSystemEfficiency,
     calcWireLoss,
+    calcEscLosses,
+    calcEscTemp,
     calcCoaxialFactor,
+    solveOperatingPoint,
+    solveThrottleForThrust,
+    solveThrottleForPower,
+    calcCoaxialWake,
+    solveCoaxialPairAt,
+    solveCoaxialPair,
+    calcMotorLayout,
+    calcPropClearance,
+    calcMotorOutSplit,
+    calcHoverThrustSplit,
+    calcMotorOutSurvival,
+    buildMassPoints,
+    calcPlacementExtraMass,
+    calcMassProperties,
+    estimateInertia,
+    calcControlAuthority,
+    calcInducedVelocity,
+    calcForwardFlight,
+    simulateForwardFlight,
+    calcStationKeeping,
+    calcAxialFlight,
+    calcVerticalPerformance,
+    simulateMission,
+    simulateDischarge,
+    simulateFlightThermal,
     runFullSimulation,
 } from './physics.js';
 
+// 2212 920Kv on 4S with a 10×4.5 prop, four motors sharing a 5 mΩ/cell pack
+const QUAD_MOTOR_PARAMS = {
+    kv: 920,
+    resistance: 0.12,
+    noLoadCurrent: 0.4,
+    ct: 0.095,
+    cp: 0.041,
+    rho: 1.225,
+    diameterM: 0.254,
+    openCircuitVoltage: 14.8,
+    packResistance: 0.02,
+    numMotors: 4,
+    auxCurrent: 0,
+};
+
 describe('calcAirDensity', () => {
     it('returns ~1.225 kg/m³ at sea level, 15°C', () => {
         const rho = calcAirDensity(0, 15);
@@ -119,6 +176,186 @@ describe('estimatePropCoefficients', () => {
     });
 });
 
+describe('calcPropTip', () => {
+    it('computes tip speed, Mach and the APC RPM limit for a 10" prop', () => {
+        const tip = calcPropTip({ diameterM: 0.254, maxRpm: 10000, hoverRpm: 5000, tempC: 15, rho: 1.225 });
+        expect(tip.tipSpeed).toBeCloseTo(133.0, 1);
+        expect(tip.tipMach).toBeCloseTo(133.0 / 340.3, 2);
+        expect(tip.hoverTipSpeed).toBeCloseTo(66.5, 1);
+        expect(tip.maxSafeRpm).toBeCloseTo(10500, 6);
+        expect(tip.rpmMargin).toBeCloseTo(1.05, 6);
+        // ρVc/μ with c = 12.7 mm
+        expect(tip.tipReynolds).toBeGreaterThan(55000);
+        expect(tip.tipReynolds).toBeLessThan(60000);
+    });
+
+    it('raises the RPM limit for thin-electric props and Mach in cold air', () => {
+        const base = { diameterM: 0.178, maxRpm: 30000, hoverRpm: 12000, rho: 1.2 };
+        const mr = calcPropTip({ ...base, tempC: 30 });
+        const e = calcPropTip({ ...base, tempC: 30, series: 'e' });
+        const cold = calcPropTip({ ...base, tempC: -20 });
+        expect(e.maxSafeRpm / mr.maxSafeRpm).toBeCloseTo(150 / 105, 6);
+        expect(cold.tipMach).toBeGreaterThan(mr.tipMach);
+        expect(mr.tipMach).toBeGreaterThan(0.75);
+    });
+});
+
+describe('calcAWeighting', () => {
+    it('matches the IEC 61672 table', () => {
+        expect(calcAWeighting(1000)).toBeCloseTo(0, 1);
+        expect(calcAWeighting(100)).toBeCloseTo(-19.1, 1);
+        expect(calcAWeighting(2500)).toBeCloseTo(1.3, 1);
+        expect(calcAWeighting(10000)).toBeCloseTo(-2.5, 1);
+    });
+});
+
+describe('calcRotorNoise', () => {
+    const phantom = { tipSpeed: 70, thrustN: 3.44, diameterM: 0.239, blades: 2, motorCount: 4, rho: 1.2 };
+
+    it('puts a 1.4 kg quad on 9.4" props near 76 dB(A) at 1 m', () => {
+        const n = calcRotorNoise(phantom);
+        expect(n.splA).toBeGreaterThan(73);
+        expect(n.splA).toBeLessThan(79);
+        expect(n.splA - n.rotorSplA).toBeCloseTo(10 * Math.log10(4), 6);
+        expect(n.bladePassFreq).toBeCloseTo(2 * 70 / (Math.PI * 0.239), 6);
+    });
+
+    it('drops 6 dB per doubling of distance and rises with tip speed', () => {
+        const near = calcRotorNoise({ ...phantom, distanceM: 10 });
+        const far = calcRotorNoise({ ...phantom, distanceM: 20 });
+        const fast = calcRotorNoise({ ...phantom, distanceM: 10, tipSpeed: 100 });
+        expect(near.splA - far.splA).toBeCloseTo(6.02, 2);
+        expect(fast.splA).toBeGreaterThan(near.splA + 2);
+    });
+
+    it('is quieter with more blades or a bigger disk at the same tip speed', () => {
+        const base = calcRotorNoise(phantom);
+        expect(calcRotorNoise({ ...phantom, blades: 3 }).splA).toBeLessThan(base.splA);
+        expect(calcRotorNoise({ ...phantom, diameterM: 0.279 }).splA).toBeLessThan(base.splA);
+    });
+});
+
+describe('calcPowerSourceMass', () => {
+    it('adds nothing for a plain battery and the hardware plus fuel for the rest', () => {
+        expect(calcPowerSourceMass(undefined)).toEqual({ type: 'battery', dryG: 0, fuelG: 0 });
+        expect(calcPowerSourceMass({ type: 'fuelCell' })).toEqual({ type: 'fuelCell', dryG: 3500, fuelG: 45 });
+        const gen = calcPowerSourceMass({ type: 'generator', generator: { fuelL: 2, tankWeightG: '' } });
+        expect(gen.dryG).toBe(4250);
+        expect(gen.fuelG).toBeCloseTo(1480, 6);
+        expect(calcPowerSourceMass({ type: 'tether', tether: { massPerMeterG: 16, heightM: 50 } }).dryG).toBe(1150);
+    });
+});
+
+describe('calcPowerSourceEndurance', () => {
+    const hover = {
+        powerW: 600,
+        takeoffMassKg: 8,
+        bufferWh: 100,
+        batteryMinutes: 10,
+        batteryEndReason: 'capacity',
+        batteryEfficiency: 0.97,
+    };
+
+    it('passes the battery result through', () => {
+        const r = calcPowerSourceEndurance({ type: 'battery' }, hover);
+        expect(r.enduranceMin).toBe(10);
+        expect(r.endReason).toBe('capacity');
+        expect(r.efficiency).toBe(0.97);
+    });
+
+    it('burns hydrogen at the stack efficiency, a little longer as the weight drops', () => {
+        const r = calcPowerSourceEndurance({ type: 'fuelCell' }, hover);
+        const flatRate = (45 * 33.3 * 0.5 / 600) * 60;
+        expect(r.efficiency).toBe(0.5);
+        expect(r.endReason).toBe('fuel');
+        expect(r.enduranceMin).toBeGreaterThan(flatRate);
+        expect(r.enduranceMin).toBeLessThan(flatRate * 1.02);
+    });
+
+    it('gains noticeably from burning off gasoline', () => {
+        const r = calcPowerSourceEndurance({ type: 'generator' }, hover);
+        const flatRate = (1.5 * 740 / 600 / 0.6) * 60;
+        expect(r.efficiency).toBeCloseTo(1 / (0.6 * 12), 6);
+        expect(r.enduranceMin).toBeGreaterThan(flatRate * 1.1);
+    });
+
+    it('runs the buffer flat when hover needs more than the source can give', () => {
+        const r = calcPowerSourceEndurance({ type: 'fuelCell', fuelCell: { ratedPowerW: 500 } }, hover);
+        expect(r.sourcePowerW).toBe(500);
+        expect(r.endReason).toBe('buffer');
+        expect(r.enduranceMin).toBeCloseTo(60, 6);
+    });
+
+    it('hovers indefinitely on a tether with enough supply', () => {
+        const r = calcPowerSourceEndurance({ type: 'tether' }, hover);
+        expect(r.enduranceMin).toBe(Infinity);
+        expect(r.endReason).toBe('tether');
+        const weak = calcPowerSourceEndurance({ type: 'tether', tether: { supplyPowerW: 550 } }, hover);
+        // 1.375A through 2 × 50m of 18 AWG loses ~4W before the converter
+        const lossW = 1.375 * 1.375 * 2 * 0.02095 * 50;
+        expect(weak.endReason).toBe('buffer');
+        expect(weak.sourcePowerW).toBeCloseTo((550 - lossW) * 0.92, 6);
+        expect(weak.enduranceMin).toBeCloseTo(100 / (600 - (550 - lossW) * 0.92) * 60, 6);
+    });
+
+    it('gives no endurance on any source when the motors cannot hold hover', () => {
+        for (const type of ['fuelCell', 'generator', 'tether']) {
+            const r = calcPowerSourceEndurance({ type }, { ...hover, hoverThrottle: 1 });
+            expect(r.enduranceMin).toBe(0);
+            expect(r.endReason).toBe('thrust');
+        }
+    });
+});
+
+describe('calcTetherOperatingPoint', () => {
+    it('solves line current and drop for the load through both conductors', () => {
+        const p = calcTetherOperatingPoint({ supplyVoltage: 400, awg: 18, efficiency: 92 }, 100, 920);
+        const R = 2 * 0.02095 * 100;
+        expect(p.resistance).toBeCloseTo(R, 9);
+        expect(400 * p.current - p.current * p.current * R).toBeCloseTo(1000, 6);
+        expect(p.dropV).toBeCloseTo(p.current * R, 9);
+        expect(p.droneVoltage).toBeCloseTo(400 - p.dropV, 9);
+        expect(p.weightG).toBe(2500);
+        expect(p.efficiency).toBeLessThan(0.92);
+        expect(p.feasible).toBe(true);
+    });
+
+    it('fails when the line cannot carry the load', () => {
+        const thin = { supplyVoltage: 100, awg: 26, supplyPowerW: 10000 };
+        // 26 AWG pair at 200m is ~53Ω: at most 100²/(4·53) ≈ 47W reaches the end
+        const p = calcTetherOperatingPoint(thin, 200, 200);
+        expect(p.feasible).toBe(false);
+        expect(p.current).toBeNaN();
+        expect(p.maxBusPowerW).toBeLessThan(200);
+    });
+});
+
+describe('calcTetherProfile', () => {
+    const hover = { baseMassKg: 6, refMassKg: 6, powerW: 1200, maxThrustN: 180 };
+
+    it('finds a power-limited ceiling where the line stops carrying hover', () => {
+        const prof = calcTetherProfile({ awg: 18 }, hover);
+        expect(prof.limit).toBe('power');
+        expect(prof.maxHeightM).toBeGreaterThan(0);
+        const at = calcTetherProfile({ awg: 18, heightM: prof.maxHeightM }, hover).points.at(-1);
+        expect(at.groundPowerW).toBeCloseTo(3000, 0);
+        expect(prof.points).toHaveLength(11);
+        expect(prof.points[0].heightM).toBe(0);
+    });
+
+    it('lowers the ceiling with thinner wire or a heavier tether', () => {
+        const base = calcTetherProfile({ awg: 18 }, hover).maxHeightM;
+        expect(calcTetherProfile({ awg: 22 }, hover).maxHeightM).toBeLessThan(base);
+        expect(calcTetherProfile({ awg: 18, massPerMeterG: 40 }, hover).maxHeightM).toBeLessThan(base);
+    });
+
+    it('is thrust-limited when the hanging weight outgrows the motors', () => {
+        const prof = calcTetherProfile({ supplyPowerW: 100000 }, { ...hover, maxThrustN: 8 * 9.80665 });
+        expect(prof.limit).toBe('thrust');
+        expect(prof.maxHeightM).toBeCloseTo(80, 3);
+    });
+});
+
 describe('calcBatteryVoltageUnderLoad', () => {
     it('calculates sag for 4S 5000mAh 20C at 40A', () => {
         const { voltage, sagVolts } = calcBatteryVoltageUnderLoad(4, 'LiPo', 40, 5000, 20, 5);
@@ -130,7 +367,95 @@ describe('calcBatteryVoltageUnderLoad', () => {
     it('no sag at 0 current', () => {
         const { voltage, sagVolts } = calcBatteryVoltageUnderLoad(4, 'LiPo', 0, 5000, 20, 5);
         expect(sagVolts).toBe(0);
-        expect(voltage).toBeCloseTo(3.7 * 4, 1);
+        expect(voltage).toBeCloseTo(getChemistryVoltages('LiPo').nominal * 4, 6);
+    });
+
+    it('sags harder from a cold pack', () => {
+        const warm = calcBatteryVoltageUnderLoad(4, 'LiPo', 40, 5000, 20, 5, 0.5);
+        const cold = calcBatteryVoltageUnderLoad(4, 'LiPo', 40, 5000, 20, 5, 0.5, 0);
+        expect(cold.sagVolts).toBeCloseTo(warm.sagVolts * 2, 6);
+    });
+
+    it('starts from the state-of-charge voltage when given', () => {
+        const full = calcBatteryVoltageUnderLoad(4, 'LiPo', 0, 5000, 20, 5, 1);
+        const low = calcBatteryVoltageUnderLoad(4, 'LiPo', 0, 5000, 20, 5, 0.2);
+        expect(full.voltage).toBeCloseTo(16.8, 2);
+        expect(low.voltage).toBeLessThan(full.voltage);
+    });
+});
+
+describe('calcBatteryDerating', () => {
+    it('is neutral at 25°C', () => {
+        expect(calcBatteryDerating('LiPo', 25)).toEqual({ resistanceFactor: 1, capacityFactor: 1 });
+    });
+
+    it('raises resistance and cuts capacity in the cold', () => {
+        const cold = calcBatteryDerating('LiPo', -10);
+        expect(cold.resistanceFactor).toBeGreaterThan(2);
+        expect(cold.capacityFactor).toBeLessThan(0.8);
+    });
+
+    it('derates Li-ion harder than LiPo', () => {
+        expect(calcBatteryDerating('Li-ion', 0).capacityFactor).toBeLessThan(calcBatteryDerating('LiPo', 0).capacityFactor);
+    });
+
+    it('falls back to the LiPo table for custom chemistries', () => {
+        expect(calcBatteryDerating({ ocv: [[0, 3], [1, 4]] }, 0)).toEqual(calcBatteryDerating('LiPo', 0));
+    });
+
+    it('uses a custom chemistry table, ignoring blank rows', () => {
+        const lfp = {
+            resistance: [[25, 1], [-20, 6.5], ['', 2], [0, 2.6]],
+            capacity: [[-20, 0.45], [0, 0.76], [25, 1]],
+        };
+        const cold = calcBatteryDerating({ derating: lfp }, -10);
+        expect(cold.resistanceFactor).toBeCloseTo(4.55, 6);
+        expect(cold.capacityFactor).toBeCloseTo(0.605, 6);
+        expect(calcBatteryDerating({ derating: { resistance: [[0, 2]], capacity: lfp.capacity } }, 0).resistanceFactor)
+            .toBe(calcBatteryDerating('LiPo', 0).resistanceFactor);
+    });
+});
+
+describe('calcCellOpenCircuitVoltage', () => {
+    it('spans min to max cell voltage from empty to full', () => {
+        expect(calcCellOpenCircuitVoltage('LiPo', 0)).toBeCloseTo(3.3, 3);
+        expect(calcCellOpenCircuitVoltage('LiPo', 1)).toBeCloseTo(4.2, 3);
+    });
+
+    it('reads custom curves regardless of point order', () => {
+        const lfp = { ocv: [[1, 3.6], [0, 2.5], [0.5, 3.3]] };
+        expect(calcCellOpenCircuitVoltage(lfp, 0.5)).toBeCloseTo(3.3, 6);
+        expect(calcCellOpenCircuitVoltage(lfp, 0.75)).toBeCloseTo(3.45, 6);
+    });
+
+    it('falls monotonically as the pack drains', () => {
+        let prev = Infinity;
+        for (let soc = 1; soc >= 0; soc -= 0.1) {
+            const v = calcCellOpenCircuitVoltage('Li-ion', soc);
+            expect(v).toBeLessThan(prev);
+            prev = v;
+        }
+    });
+});
+
+describe('getChemistryVoltages', () => {
+    it('derives max and min from the curve ends', () => {
+        const { max, min } = getChemistryVoltages('LiHV');
+        expect(max).toBeCloseTo(4.35, 3);
+        expect(min).toBeCloseTo(3.3, 3);
+    });
+
+    it('uses the mean resting voltage as nominal', () => {
+        const { nominal } = getChemistryVoltages({ ocv: [[0, 3.0], [1, 4.0]] });
+        expect(nominal).toBeCloseTo(3.5, 6);
+        expect(getChemistryVoltages('LiPo').nominal).toBeGreaterThan(3.7);
+        expect(getChemistryVoltages('LiPo').nominal).toBeLessThan(3.9);
+    });
+
+    it('falls back to LiPo for unknown names and unusable curves', () => {
+        const lipo = getChemistryVoltages('LiPo');
+        expect(getChemistryVoltages('Unobtainium')).toEqual(lipo);
+        expect(getChemistryVoltages({ ocv: [['', 3.2]] })).toEqual(lipo);
     });
 });
 
@@ -190,6 +515,45 @@ describe('calcWireLoss', () => {
     });
 });
 
+describe('calcEscLosses', () => {
+    const base = { motorCurrent: 10, busVoltage: 22.2, resistanceOhm: 0.002, pwmKhz: 24 };
+
+    it('splits conduction, switching and gate-drive loss', () => {
+        const loss = calcEscLosses(base);
+        expect(loss.conduction).toBeCloseTo(0.2, 6);
+        expect(loss.switching).toBeCloseTo(0.5 * 22.2 * 10 * 50e-9 * 24000, 6);
+        expect(loss.gateDrive).toBeGreaterThan(0);
+        expect(loss.total).toBeCloseTo(loss.conduction + loss.switching + loss.gateDrive, 6);
+    });
+
+    it('adds switching loss with bus voltage and PWM frequency', () => {
+        const low = calcEscLosses(base);
+        expect(calcEscLosses({ ...base, busVoltage: 44.4 }).switching).toBeCloseTo(low.switching * 2, 6);
+        expect(calcEscLosses({ ...base, pwmKhz: 48 }).gateDrive).toBeGreaterThan(low.gateDrive);
+    });
+
+    it('burns more in a linear BEC than a switching one', () => {
+        const linear = calcEscLosses({ ...base, becLoadA: 1, becType: 'linear' });
+        const switching = calcEscLosses({ ...base, becLoadA: 1 });
+        expect(linear.bec).toBeCloseTo(17.2, 6);
+        expect(linear.becInputCurrent).toBe(1);
+        expect(switching.bec).toBeLessThan(linear.bec);
+        expect(switching.becInputCurrent).toBeLessThan(1);
+    });
+});
+
+describe('calcEscTemp', () => {
+    it('approaches ambient + P·Rth at steady state', () => {
+        const { temp, thermalResistance } = calcEscTemp(25, 2, 8, 'open', 1e6);
+        expect(temp).toBeCloseTo(25 + 2 * thermalResistance, 3);
+    });
+
+    it('runs hotter enclosed than on a heatsink', () => {
+        expect(calcEscTemp(25, 2, 8, 'enclosed', 600).temp)
+            .toBeGreaterThan(calcEscTemp(25, 2, 8, 'heatsink', 600).temp);
+    });
+});
+
 describe('calcCoaxialFactor', () => {
     it('returns 0.85 for coaxial', () => {
         expect(calcCoaxialFactor(true)).toBe(0.85);
@@ -200,6 +564,708 @@ describe('calcCoaxialFactor', () => {
     });
 });
 
+describe('calcMotorEfficiencyMap', () => {
+    const motor = { kv: 920, resistance: 0.12, noLoadCurrent: 0.4, maxCurrent: 20, maxPower: 280, maxVoltage: 16.8 };
+
+    it('spans the RPM and torque range of the motor', () => {
+        const map = calcMotorEfficiencyMap(motor, 20, 10);
+        expect(map.cells).toHaveLength(200);
+        expect(map.maxRpm).toBeCloseTo(920 * 16.8, 6);
+        expect(map.maxTorque).toBeCloseTo(map.kt * 19.6, 6);
+    });
+
+    it('follows the three-constant motor model in each cell', () => {
+        const map = calcMotorEfficiencyMap(motor, 20, 10);
+        const c = map.cells[55];
+        const current = c.torque / map.kt + 0.4;
+        const voltage = c.rpm / 920 + current * 0.12;
+        expect(c.current).toBeCloseTo(current, 6);
+        expect(c.efficiency).toBeCloseTo((c.torque * c.rpm * 2 * Math.PI / 60) / (voltage * current), 6);
+    });
+
+    it('peaks at high RPM and moderate torque, with a realistic peak', () => {
+        const map = calcMotorEfficiencyMap(motor);
+        const best = map.cells.filter(c => c.inRange).reduce((a, b) => (b.efficiency > a.efficiency ? b : a));
+        expect(map.peakEfficiency).toBeGreaterThan(0.7);
+        expect(map.peakEfficiency).toBeLessThan(0.95);
+        expect(best.rpm).toBeGreaterThan(map.maxRpm * 0.5);
+        expect(best.torque).toBeLessThan(map.maxTorque * 0.5);
+    });
+
+    it('marks cells beyond the power limit as out of range', () => {
+        const map = calcMotorEfficiencyMap({ ...motor, maxPower: 100 });
+        expect(map.cells.some(c => !c.inRange && c.voltage * c.current > 100)).toBe(true);
+        expect(map.cells.every(c => !c.inRange || c.voltage * c.current <= 100)).toBe(true);
+    });
+});
+
+describe('calcPropCoefficients', () => {
+    const data = {
+        static: [[2000, 0.10, 0.040], [6000, 0.12, 0.044]],
+        sweeps: [
+            { rpm: 3000, points: [[0.1, 0.09, 0.040], [0.5, 0.05, 0.030]] },
+            { rpm: 5000, points: [[0.1, 0.11, 0.044], [0.5, 0.07, 0.034]] },
+        ],
+    };
+
+    it('reads static points by RPM at J = 0', () => {
+        const c = calcPropCoefficients(data, 4000, 0);
+        expect(c.ct).toBeCloseTo(0.11, 6);
+        expect(c.cp).toBeCloseTo(0.042, 6);
+    });
+
+    it('interpolates across J and between RPM sweeps', () => {
+        const c = calcPropCoefficients(data, 4000, 0.3);
+        expect(c.ct).toBeCloseTo(0.08, 6);
+        expect(c.cp).toBeCloseTo(0.037, 6);
+    });
+
+    it('clamps outside the measured range', () => {
+        expect(calcPropCoefficients(data, 9000, 2).ct).toBeCloseTo(0.07, 6);
+        expect(calcPropCoefficients(data, 500, 0).ct).toBeCloseTo(0.10, 6);
+    });
+
+    it('falls back to sweeps without static data and returns null without data', () => {
+        expect(calcPropCoefficients({ sweeps: data.sweeps }, 3000, 0).ct).toBeCloseTo(0.09, 6);
+        expect(calcPropCoefficients({}, 3000, 0)).toBeNull();
+    });
+
+    it('drives the operating point when attached to the motor params', () => {
+        const flat = { static: [[0, 0.095, 0.041], [20000, 0.095, 0.041]] };
+        const base = solveOperatingPoint(QUAD_MOTOR_PARAMS, 0.5);
+        const measured = solveOperatingPoint({ ...QUAD_MOTOR_PARAMS, perfData: flat }, 0.5);
+        expect(measured.rpm).toBeCloseTo(base.rpm, 3);
+
+        const stronger = { static: [[0, 0.12, 0.041], [20000, 0.12, 0.041]] };
+        const op = solveOperatingPoint({ ...QUAD_MOTOR_PARAMS, perfData: stronger }, 0.5);
+        expect(op.thrust / base.thrust).toBeCloseTo(0.12 / 0.095, 3);
+    });
+
+    it('loses thrust faster than torque with axial inflow and no measured data', () => {
+        const params = { ...QUAD_MOTOR_PARAMS, pitchM: 0.1143 };
+        const still = solveOperatingPoint(params, 1);
+        const climbing = solveOperatingPoint({ ...params, inflowSpeed: 8 }, 1);
+        expect(climbing.thrust).toBeLessThan(still.thrust);
+        expect(climbing.thrust / still.thrust).toBeLessThan(climbing.mechPower / still.mechPower);
+    });
+
+    it('loses thrust with axial inflow when sweeps are measured', () => {
+        const params = { ...QUAD_MOTOR_PARAMS, perfData: data };
+        const still = solveOperatingPoint(params, 1);
+        const climbing = solveOperatingPoint({ ...params, inflowSpeed: 10 }, 1);
+        expect(climbing.thrust).toBeLessThan(still.thrust);
+    });
+});
+
+describe('calcDiskLoading', () => {
+    it('divides thrust by disk area', () => {
+        expect(calcDiskLoading(Math.PI, 2)).toBeCloseTo(1, 6);
+    });
+});
+
+describe('calcIdealHoverPower', () => {
+    it('equals thrust × hover induced velocity', () => {
+        const area = Math.PI * 0.254 * 0.254 / 4;
+        const vh = Math.sqrt(3 / (2 * 1.225 * area));
+        expect(calcIdealHoverPower(3, 1.225, 0.254)).toBeCloseTo(3 * vh, 6);
+    });
+
+    it('returns 0 for zero thrust', () => {
+        expect(calcIdealHoverPower(0, 1.225, 0.254)).toBe(0);
+    });
+});
+
+describe('calcFigureOfMerit', () => {
+    it('matches ideal over actual power for the same prop', () => {
+        const ct = 0.095, cp = 0.041, rho = 1.225, D = 0.254, n = 100;
+        const thrust = ct * rho * n * n * Math.pow(D, 4);
+        const power = cp * rho * n * n * n * Math.pow(D, 5);
+        expect(calcFigureOfMerit(ct, cp)).toBeCloseTo(calcIdealHoverPower(thrust, rho, D) / power, 6);
+    });
+
+    it('lands in the realistic range for estimated coefficients', () => {
+        const { ct, cp } = estimatePropCoefficients(10, 4.5, 2);
+        const fm = calcFigureOfMerit(ct, cp);
+        expect(fm).toBeGreaterThan(0.4);
+        expect(fm).toBeLessThan(0.8);
+    });
+
+    it('exposes impossible overrides', () => {
+        expect(calcFigureOfMerit(0.15, 0.03)).toBeGreaterThan(1);
+        const result = runFullSimulation({ propeller: { diameterIn: 10, pitchIn: 4.5, ct: 0.15, cp: 0.03 } });
+        expect(result.validations.figureOfMeritOk).toBe(false);
+    });
+});
+
+describe('solveOperatingPoint', () => {
+    it('balances motor torque against prop torque at full throttle', () => {
+        const op = solveOperatingPoint(QUAD_MOTOR_PARAMS, 1);
+        const kt = 60 / (2 * Math.PI * QUAD_MOTOR_PARAMS.kv);
+        const omega = (op.rpm / 60) * 2 * Math.PI;
+        const motorTorque = kt * (op.motorCurrent - QUAD_MOTOR_PARAMS.noLoadCurrent);
+        expect(motorTorque * omega).toBeCloseTo(op.mechPower, 3);
+        expect(op.rpm).toBeLessThan(920 * 14.8);
+        expect(op.rpm).toBeGreaterThan(8000);
+    });
+
+    it('sags the pack under the combined current of all motors', () => {
+        const op = solveOperatingPoint(QUAD_MOTOR_PARAMS, 1);
+        expect(op.totalCurrent).toBeCloseTo(op.current * 4, 6);
+        expect(op.voltage).toBeCloseTo(14.8 - 0.02 * op.totalCurrent, 6);
+    });
+
+    it('draws less battery current than winding current at part throttle', () => {
+        const op = solveOperatingPoint(QUAD_MOTOR_PARAMS, 0.5);
+        expect(op.current).toBeCloseTo(op.motorCurrent * 0.5, 6);
+        expect(op.efficiency).toBeGreaterThan(0.5);
+        expect(op.efficiency).toBeLessThan(1);
+    });
+
+    it('returns a stopped rotor at zero throttle', () => {
+        const op = solveOperatingPoint(QUAD_MOTOR_PARAMS, 0);
+        expect(op.rpm).toBe(0);
+        expect(op.thrust).toBe(0);
+    });
+
+    it('draws more current with a lower-resistance motor at full throttle', () => {
+        const stiff = solveOperatingPoint({ ...QUAD_MOTOR_PARAMS, resistance: 0.05 }, 1);
+        const soft = solveOperatingPoint(QUAD_MOTOR_PARAMS, 1);
+        expect(stiff.current).toBeGreaterThan(soft.current);
+        expect(stiff.rpm).toBeGreaterThan(soft.rpm);
+    });
+});
+
+describe('solveThrottleForThrust', () => {
+    it('finds the throttle that produces the requested thrust', () => {
+        const op = solveThrottleForThrust(QUAD_MOTOR_PARAMS, 3);
+        expect(op.thrust).toBeCloseTo(3, 3);
+        expect(op.throttle).toBeGreaterThan(0.2);
+        expect(op.throttle).toBeLessThan(0.8);
+    });
+
+    it('caps at full throttle when the target is out of reach', () => {
+        const op = solveThrottleForThrust(QUAD_MOTOR_PARAMS, 1000);
+        expect(op.throttle).toBe(1);
+    });
+});
+
+describe('solveThrottleForPower', () => {
+    it('finds the throttle that delivers the requested shaft power', () => {
+        const op = solveThrottleForPower(QUAD_MOTOR_PARAMS, 40);
+        expect(op.mechPower).toBeCloseTo(40, 2);
+        expect(op.throttle).toBeLessThan(1);
+    });
+});
+
+describe('calcCoaxialWake', () => {
+    it('sees the hover induced velocity over the whole disk at zero spacing', () => {
+        const wake = calcCoaxialWake(6, 1.225, 0.254, 0);
+        expect(wake.wakeVelocity).toBeCloseTo(wake.inducedVelocity, 6);
+        expect(wake.wakeAreaFraction).toBe(1);
+        expect(wake.effectiveInflow).toBeCloseTo(wake.inducedVelocity, 6);
+    });
+
+    it('contracts to half the disk at twice the speed far downstream', () => {
+        const wake = calcCoaxialWake(6, 1.225, 0.254, 100);
+        expect(wake.wakeVelocity / wake.inducedVelocity).toBeCloseTo(2, 3);
+        expect(wake.wakeAreaFraction).toBeCloseTo(0.5, 3);
+        expect(wake.effectiveInflow / wake.inducedVelocity).toBeCloseTo(Math.SQRT1_2, 3);
+    });
+});
+
+describe('solveCoaxialPair', () => {
+    const params = { ...QUAD_MOTOR_PARAMS, pitchM: 0.1143, numMotors: 8 };
+
+    it('gives the lower rotor less thrust than the upper at a common throttle', () => {
+        const pair = solveCoaxialPairAt(params, params, 0.06, 0.6);
+        expect(pair.lower.thrust).toBeLessThan(pair.upper.thrust);
+        expect(pair.thrust).toBeCloseTo(pair.upper.thrust + pair.lower.thrust, 6);
+        expect(pair.voltage).toBeCloseTo(params.openCircuitVoltage - params.packResistance * pair.totalCurrent, 3);
+    });
+
+    it('meets the pair thrust with more current than two isolated rotors', () => {
+        const pair = solveCoaxialPair(params, params, 0.06, 12);
+        const isolated = solveThrottleForThrust(params, 6);
+        expect(pair.thrust).toBeCloseTo(12, 2);
+        expect(pair.totalCurrent).toBeGreaterThan(isolated.totalCurrent);
+    });
+
+    it('draws less current with wider rotor spacing', () => {
+        const close = solveCoaxialPair(params, params, 0.02, 12);
+        const wide = solveCoaxialPair(params, params, 0.2, 12);
+        expect(wide.totalCurrent).toBeLessThan(close.totalCurrent);
+    });
+});
+
+describe('calcMotorLayout', () => {
+    it('places flat motors on the wheelbase circle with alternating spin', () => {
+        const motors = calcMotorLayout(6, 'flat', 700);
+        expect(motors).toHaveLength(6);
+        motors.forEach(m => expect(Math.hypot(m.x, m.y)).toBeCloseTo(0.35, 6));
+        expect(motors.map(m => m.spin)).toEqual([1, -1, 1, -1, 1, -1]);
+    });
+
+    it('puts an arm on the nose of a plus frame and stretches an H quad', () => {
+        const plus = calcMotorLayout(4, 'flat', 400, 'plus');
+        expect(plus[0].x).toBeCloseTo(0.2, 9);
+        expect(plus[0].y).toBeCloseTo(0, 9);
+
+        const h = calcMotorLayout(4, 'flat', 400, 'h');
+        expect(h[0].x).toBeCloseTo(0.16, 9);
+        expect(h[0].y).toBeCloseTo(0.12, 9);
+        expect(calcMotorLayout(6, 'flat', 400, 'h')[0].x).toBeCloseTo(calcMotorLayout(6, 'flat', 400)[0].x, 9);
+    });
+
+    it('stacks counter-rotating pairs on each arm of a coaxial layout', () => {
+        const motors = calcMotorLayout(8, 'x8', 700);
+        expect(new Set(motors.map(m => m.arm)).size).toBe(4);
+        expect(motors[0].x).toBeCloseTo(motors[1].x, 9);
+        expect(motors[0].spin + motors[1].spin).toBe(0);
+        expect(motors[1].level).toBe('lower');
+    });
+});
+
+describe('calcPropClearance', () => {
+    it('matches the side length of a quad X for the largest prop', () => {
+        const clearance = calcPropClearance({ motorCount: 4, wheelbaseMm: 400, bodySizeMm: 50 }, 250);
+        expect(clearance.maxPropDiameterMm).toBeCloseTo(400 * Math.SQRT1_2, 6);
+        expect(clearance.propGapMm).toBeCloseTo(400 * Math.SQRT1_2 - 250, 6);
+        expect(clearance.bodyGapMm).toBeCloseTo(200 - 25 - 125, 6);
+        expect(clearance.overlaps).toBe(0);
+    });
+
+    it('flags overlapping props on the narrow side of an H frame', () => {
+        const clearance = calcPropClearance({ motorCount: 4, wheelbaseMm: 400, shape: 'h', bodySizeMm: 50 }, 250);
+        expect(clearance.propGapMm).toBeCloseTo(240 - 250, 6);
+        expect(clearance.discs.filter(d => d.overlapping)).toHaveLength(4);
+    });
+
+    it('flags props that reach over the body', () => {
+        const clearance = calcPropClearance({ motorCount: 6, wheelbaseMm: 400, bodySizeMm: 240 }, 180);
+        expect(clearance.bodyGapMm).toBeLessThan(0);
+        expect(clearance.overlaps).toBeGreaterThan(0);
+    });
+
+    it('only checks coaxial lower props against each other', () => {
+        const clearance = calcPropClearance({ layout: 'x8', wheelbaseMm: 700 }, 254, 300);
+        expect(clearance.gaps).toHaveLength(12);
+        expect(clearance.propGapMm).toBeCloseTo(700 * Math.SQRT1_2 - 300, 6);
+    });
+});
+
+describe('calcMotorOutSplit', () => {
+    it('balances the weight and moments on the remaining rotors', () => {
+        const motors = calcMotorLayout(8, 'flat', 700);
+        const split = calcMotorOutSplit(motors, [0], 40, 0.05);
+        expect(split.yawControl).toBe(true);
+        expect(split.thrusts[0]).toBe(0);
+        expect(split.thrusts.reduce((a, b) => a + b, 0)).toBeCloseTo(40, 1);
+        expect(motors.reduce((sum, m, i) => sum + m.x * split.thrusts[i], 0)).toBeCloseTo(0, 2);
+        expect(motors.reduce((sum, m, i) => sum + m.spin * split.thrusts[i], 0)).toBeCloseTo(0, 1);
+        expect(split.maxThrust).toBeGreaterThan(40 / 8);
+    });
+
+    it('leaves a quad hovering without yaw control', () => {
+        const split = calcMotorOutSplit(calcMotorLayout(4, 'flat', 450), [2], 20, 0.05);
+        expect(split.feasible).toBe(true);
+        expect(split.yawControl).toBe(false);
+    });
+
+    it('cannot hover a Y6 that loses both motors on one arm', () => {
+        const split = calcMotorOutSplit(calcMotorLayout(6, 'y6', 700), [0, 1], 30, 0.05);
+        expect(split.feasible).toBe(false);
+    });
+});
+
+describe('calcHoverThrustSplit', () => {
+    const motors = calcMotorLayout(4, 'flat', 400);
+
+    it('splits evenly with the CG on the frame centre', () => {
+        const split = calcHoverThrustSplit(motors, { x: 0, y: 0 }, 20, 0.05);
+        split.thrusts.forEach(t => expect(t).toBeCloseTo(5, 6));
+        expect(split.balanced).toBe(true);
+    });
+
+    it('loads the front motors when the CG is forward', () => {
+        const split = calcHoverThrustSplit(motors, { x: 0.04, y: 0 }, 20, 0.05);
+        const front = motors.filter(m => m.x > 0).map(m => split.thrusts[m.index]);
+        const rear = motors.filter(m => m.x < 0).map(m => split.thrusts[m.index]);
+        expect(Math.min(...front)).toBeGreaterThan(Math.max(...rear));
+        expect(motors.reduce((sum, m, i) => sum + (m.x - 0.04) * split.thrusts[i], 0)).toBeCloseTo(0, 6);
+    });
+
+    it('cannot balance a CG outside the rotors', () => {
+        expect(calcHoverThrustSplit(motors, { x: 0.3, y: 0 }, 20, 0.05).balanced).toBe(false);
+    });
+});
+
+describe('calcMotorOutSurvival', () => {
+    const params = { ...QUAD_MOTOR_PARAMS, pitchM: 0.1143, numMotors: 8 };
+
+    it('survives any single failure on an octo at a higher throttle', () => {
+        const motors = calcMotorLayout(8, 'flat', 700);
+        const normal = solveThrottleForThrust(params, 40 / 8);
+        const out = calcMotorOutSurvival(params, motors, 40);
+        expect(out.single.survives).toBe(true);
+        expect(out.single.survivingCases).toBe(8);
+        expect(out.single.throttle).toBeGreaterThan(normal.throttle * 100);
+        expect(out.double.cases).toBe(28);
+    });
+
+    it('fails when the remaining rotors cannot reach the thrust', () => {
+        const out = calcMotorOutSurvival({ ...params, numMotors: 6 }, calcMotorLayout(6, 'flat', 700), 100);
+        expect(out.single.survives).toBe(false);
+    });
+});
+
+describe('buildMassPoints', () => {
+    const layout = calcMotorLayout(4, 'flat', 400);
+    const masses = { frameG: 200, batteryG: 500, payloadG: 0, rotorG: [80, 80, 80, 80] };
+    const placement = [
+        { id: 'frame', name: 'Frame Body', x: 0, y: 0, z: 0 },
+        { id: 'arms', name: 'Arms', massG: 40, x: 0, y: 0, z: 0 },
+        { id: 'motors', name: 'Motors', x: 0, y: 0, z: 20 },
+        { id: 'battery', name: 'Battery', x: 10, y: 0, z: 30 },
+        { id: 'payload', name: 'Payload', x: 0, y: 0, z: -50 },
+        { id: 'gimbal', name: 'Gimbal', massG: 100, x: 60, y: 0, z: -40 },
+    ];
+
+    it('takes linked masses from the config and spreads arms along each arm', () => {
+        const points = buildMassPoints(placement, masses, layout);
+        const total = points.reduce((sum, p) => sum + p.massG, 0);
+        expect(total).toBeCloseTo(200 + 500 + 320 + 100, 6);
+        expect(points.find(p => p.id === 'frame').massG).toBe(160);
+        expect(points.filter(p => p.id === 'motors')).toHaveLength(4);
+        expect(points.some(p => p.id === 'payload')).toBe(false);
+        const arm = points.filter(p => p.id === 'arms');
+        expect(Math.max(...arm.map(p => Math.hypot(p.x, p.y)))).toBeLessThan(200);
+    });
+
+    it('counts only unlinked entries as extra mass', () => {
+        expect(calcPlacementExtraMass(placement)).toBe(100);
+        expect(calcPlacementExtraMass(null)).toBe(0);
+    });
+});
+
+describe('calcMassProperties', () => {
+    it('finds the CG and the inertia tensor about it', () => {
+        const props = calcMassProperties([
+            { massG: 1000, x: 100, y: 0, z: 0 },
+            { massG: 1000, x: -100, y: 0, z: 0 },
+        ]);
+        expect(props.cg.x).toBeCloseTo(0, 9);
+        expect(props.inertia.izz).toBeCloseTo(2 * 1 * 0.01, 9);
+        expect(props.inertia.ixx).toBeCloseTo(0, 9);
+    });
+
+    it('gives a product of inertia for masses off the principal axes', () => {
+        const props = calcMassProperties([
+            { massG: 1000, x: 100, y: 100, z: 0 },
+            { massG: 1000, x: -100, y: -100, z: 0 },
+        ]);
+        expect(props.inertia.ixy).toBeCloseTo(-0.02, 9);
+    });
+});
+
+describe('estimateInertia', () => {
+    it('adds rotor point masses to a hub disk, with yaw the sum of roll and pitch', () => {
+        const motors = calcMotorLayout(4, 'flat', 400);
+        const inertia = estimateInertia(motors, 0.1, 1, 400);
+        const hub = 1 * (0.4 / 6) ** 2 / 4;
+        expect(inertia.ixx).toBeCloseTo(hub + 4 * 0.1 * 0.02, 9);
+        expect(inertia.izz).toBeCloseTo(inertia.ixx + inertia.iyy, 9);
+    });
+});
+
+describe('calcControlAuthority', () => {
+    const motors = calcMotorLayout(4, 'flat', 400);
+    const inertia = { ixx: 0.01, iyy: 0.01, izz: 0.02 };
+
+    it('is limited by the smaller of thrust headroom and hover thrust', () => {
+        const low = calcControlAuthority(motors, 2, 10, 0.02, inertia);
+        const high = calcControlAuthority(motors, 8, 10, 0.02, inertia);
+        expect(low.rollTorque).toBeCloseTo(4 * Math.SQRT1_2 * 0.2 * 2, 6);
+        expect(high.rollTorque).toBeCloseTo(4 * Math.SQRT1_2 * 0.2 * 2, 6);
+        expect(low.yawTorque).toBeCloseTo(4 * 2 * 0.02, 9);
+        expect(low.rollAccel).toBeCloseTo(low.rollTorque / 0.01, 6);
+    });
+
+    it('has no authority left at full throttle', () => {
+        const maxed = calcControlAuthority(motors, 10, 10, 0.02, inertia);
+        expect(maxed.rollAccel).toBe(0);
+        expect(maxed.yawAccel).toBe(0);
+    });
+});
+
+describe('calcInducedVelocity', () => {
+    it('equals the hover value √(T / 2ρA) at zero airspeed', () => {
+        const vi = calcInducedVelocity(3, 1.225, 0.05, 0, 0);
+        expect(vi).toBeCloseTo(Math.sqrt(3 / (2 * 1.225 * 0.05)), 4);
+    });
+
+    it('drops as edgewise airspeed increases', () => {
+        const hover = calcInducedVelocity(3, 1.225, 0.05, 0, 0);
+        const cruise = calcInducedVelocity(3, 1.225, 0.05, 15, 0.2);
+        expect(cruise).toBeLessThan(hover * 0.5);
+    });
+});
+
+describe('calcForwardFlight', () => {
+    const airframe = { weightN: 12, rotors: 4, frontalAreaM2: 0.02, dragCoefficient: 1.0 };
+
+    it('matches hover shaft power at zero airspeed', () => {
+        const ff = calcForwardFlight(QUAD_MOTOR_PARAMS, airframe, 0);
+        const hover = solveThrottleForThrust(QUAD_MOTOR_PARAMS, 3);
+        expect(ff.tiltDeg).toBe(0);
+        expect(ff.parasitePower).toBe(0);
+        expect(ff.shaftPower / 4).toBeCloseTo(hover.mechPower, 1);
+    });
+
+    it('tilts so thrust balances weight and drag', () => {
+        const ff = calcForwardFlight(QUAD_MOTOR_PARAMS, airframe, 15);
+        expect(Math.tan(ff.tiltDeg * Math.PI / 180)).toBeCloseTo(ff.dragN / 12, 6);
+        expect(ff.thrustPerMotor * 4).toBeCloseTo(Math.hypot(12, ff.dragN), 6);
+        expect(ff.parasitePower).toBeCloseTo(ff.dragN * 15, 4);
+    });
+
+    it('is infeasible beyond the tilt limit', () => {
+        const ff = calcForwardFlight(QUAD_MOTOR_PARAMS, { ...airframe, maxTiltDeg: 20 }, 25);
+        expect(ff.tiltDeg).toBeGreaterThan(20);
+        expect(ff.feasible).toBe(false);
+    });
+});
+
+describe('simulateForwardFlight', () => {
+    const airframe = { weightN: 12, rotors: 4, frontalAreaM2: 0.02, dragCoefficient: 1.0 };
+
+    it('orders best-endurance, best-range and top speed', () => {
+        const ff = simulateForwardFlight(QUAD_MOTOR_PARAMS, airframe, 5000, 0.8);
+        expect(ff.bestEnduranceSpeed).toBeGreaterThan(0);
+        expect(ff.bestRangeSpeed).toBeGreaterThan(ff.bestEnduranceSpeed);
+        expect(ff.topSpeed).toBeGreaterThan(ff.bestRangeSpeed);
+    });
+
+    it('beats hover endurance at the best-endurance speed', () => {
+        const ff = simulateForwardFlight(QUAD_MOTOR_PARAMS, airframe, 5000, 0.8);
+        expect(ff.bestEnduranceMin).toBeGreaterThan(ff.series[0].enduranceMin);
+        expect(ff.maxRangeKm).toBeCloseTo(ff.bestRangeSpeed * ff.series.find(p => p.speed === ff.bestRangeSpeed).enduranceMin * 0.06, 6);
+    });
+
+    it('caps top speed with a lower drag coefficient less', () => {
+        const draggy = simulateForwardFlight(QUAD_MOTOR_PARAMS, airframe, 5000, 0.8);
+        const sleek = simulateForwardFlight(QUAD_MOTOR_PARAMS, { ...airframe, dragCoefficient: 0.4 }, 5000, 0.8);
+        expect(sleek.topSpeed).toBeGreaterThan(draggy.topSpeed);
+        expect(sleek.maxRangeKm).toBeGreaterThan(draggy.maxRangeKm);
+    });
+});
+
+describe('calcStationKeeping', () => {
+    const airframe = { weightN: 12, rotors: 4, frontalAreaM2: 0.02, dragCoefficient: 1.0, maxTiltDeg: 35 };
+
+    it('matches forward flight at the wind speed', () => {
+        const hold = calcStationKeeping(QUAD_MOTOR_PARAMS, airframe, 10, 0);
+        const ff = calcForwardFlight(QUAD_MOTOR_PARAMS, airframe, 10);
+        expect(hold.tiltDeg).toBeCloseTo(ff.tiltDeg, 6);
+        expect(hold.gustTiltDeg).toBeCloseTo(ff.tiltDeg, 6);
+        expect(hold.op.totalCurrent).toBeCloseTo(ff.op.totalCurrent, 6);
+        expect(hold.canHold).toBe(true);
+    });
+
+    it('needs extra thrust and tilt for gusts', () => {
+        const hold = calcStationKeeping(QUAD_MOTOR_PARAMS, airframe, 5, 15);
+        expect(hold.gustTiltDeg).toBeGreaterThan(hold.tiltDeg);
+        expect(hold.extraThrustPct).toBeGreaterThan(0);
+        expect(hold.gustOp.throttle).toBeGreaterThan(hold.op.throttle);
+    });
+
+    it('flags the tilt limit in strong gusts', () => {
+        const hold = calcStationKeeping(QUAD_MOTOR_PARAMS, airframe, 10, 30);
+        expect(hold.canHold).toBe(false);
+        expect(hold.limit).toBe('tilt');
+    });
+
+    it('flags running out of thrust before the tilt limit', () => {
+        const hold = calcStationKeeping(QUAD_MOTOR_PARAMS, { ...airframe, weightN: 49, maxTiltDeg: 80 }, 10, 30);
+        expect(hold.canHold).toBe(false);
+        expect(hold.limit).toBe('thrust');
+    });
+});
+
+describe('calcAxialFlight', () => {
+    const airframe = { weightN: 12, rotors: 4, frontalAreaM2: 0.02, dragCoefficient: 1.0 };
+
+    it('matches hover shaft power at zero climb rate', () => {
+        const axial = calcAxialFlight(QUAD_MOTOR_PARAMS, airframe, 0);
+        const hover = solveThrottleForThrust(QUAD_MOTOR_PARAMS, 3);
+        expect(axial.climbPower).toBe(0);
+        expect(axial.shaftPower / 4).toBeCloseTo(hover.mechPower, 1);
+    });
+
+    it('needs more power to climb and less to descend', () => {
+        const hover = calcAxialFlight(QUAD_MOTOR_PARAMS, airframe, 0);
+        const climb = calcAxialFlight(QUAD_MOTOR_PARAMS, airframe, 3);
+        const descend = calcAxialFlight(QUAD_MOTOR_PARAMS, airframe, -1);
+        expect(climb.shaftPower).toBeGreaterThan(hover.shaftPower);
+        expect(climb.inducedVelocity).toBeLessThan(hover.inducedVelocity);
+        expect(descend.shaftPower).toBeLessThan(hover.shaftPower);
+    });
+});
+
+describe('calcVerticalPerformance', () => {
+    const airframe = { weightN: 12, rotors: 4, frontalAreaM2: 0.02, dragCoefficient: 1.0 };
+    const params = { ...QUAD_MOTOR_PARAMS, pitchM: 0.1143 };
+
+    it('climbs at the edge of what full throttle can carry', () => {
+        const vp = calcVerticalPerformance(params, airframe);
+        expect(vp.maxClimbRate).toBeGreaterThan(2);
+        expect(calcAxialFlight(params, airframe, vp.maxClimbRate * 0.95).feasible).toBe(true);
+        expect(calcAxialFlight(params, airframe, vp.maxClimbRate * 1.05).feasible).toBe(false);
+        expect(vp.climb.op.totalCurrent).toBeGreaterThan(calcAxialFlight(params, airframe, 0).op.totalCurrent);
+    });
+
+    it('climbs slower when heavier', () => {
+        const light = calcVerticalPerformance(params, airframe);
+        const heavy = calcVerticalPerformance(params, { ...airframe, weightN: 30 });
+        expect(heavy.maxClimbRate).toBeLessThan(light.maxClimbRate);
+    });
+
+    it('keeps the recommended descent rate below vortex ring onset', () => {
+        const vp = calcVerticalPerformance(params, airframe);
+        const vh = Math.sqrt(3 / (2 * 1.225 * Math.PI * 0.254 * 0.254 / 4));
+        expect(vp.hoverInducedVelocity).toBeCloseTo(vh, 6);
+        expect(vp.vrsOnsetRate).toBeCloseTo(0.7 * vh, 6);
+        expect(vp.maxDescentRate).toBeLessThan(vp.vrsOnsetRate);
+    });
+
+    it('reports zero climb when the drone cannot hover', () => {
+        const vp = calcVerticalPerformance(params, { ...airframe, weightN: 80 });
+        expect(vp.maxClimbRate).toBe(0);
+    });
+});
+
+describe('simulateMission', () => {
+    const airframe = { weightN: 12, rotors: 4, frontalAreaM2: 0.02, dragCoefficient: 1.0 };
+    const battery = { chemistry: 'LiPo', cells: 4, capacityMah: 5000, dischargeDepth: 0.8, cutoffVoltage: 3.3 };
+    const sortie = [
+        { type: 'climb', altitude: 60, rate: 3 },
+        { type: 'cruise', distance: 3000, speed: 12 },
+        { type: 'hover', duration: 300 },
+        { type: 'descend', altitude: 10, rate: 2 },
+        { type: 'land', rate: 0.5 },
+    ];
+
+    it('books time, altitude and charge per segment', () => {
+        const m = simulateMission(QUAD_MOTOR_PARAMS, airframe, battery, sortie);
+        expect(m.segments).toHaveLength(5);
+        expect(m.segments[0].durationS).toBeCloseTo(20, 6);
+        expect(m.segments[0].endAltitude).toBe(60);
+        expect(m.segments[1].durationS).toBeCloseTo(250, 6);
+        expect(m.segments[3].durationS).toBeCloseTo(25, 6);
+        expect(m.segments[4].endAltitude).toBe(0);
+        expect(m.totalTimeMin).toBeCloseTo((20 + 250 + 300 + 25 + 20) / 60, 6);
+
+        const booked = m.segments.reduce((sum, s) => sum + s.usedMah, 0);
+        expect(booked).toBeCloseTo(m.usedMah, 6);
+        expect(m.reserveMah).toBeCloseTo(4000 - m.usedMah, 6);
+        expect(m.completes).toBe(true);
+        expect(m.failedSegment).toBe(-1);
+    });
+
+    it('flags the segment that runs past the discharge depth', () => {
+        const m = simulateMission(QUAD_MOTOR_PARAMS, airframe, battery, [
+            { type: 'climb', altitude: 30, rate: 2 },
+            { type: 'hover', duration: 3 * 3600 },
+            { type: 'land', rate: 1 },
+        ]);
+        expect(m.completes).toBe(false);
+        expect(m.failedSegment).toBe(1);
+        expect(m.segments[1].withinDepth).toBe(false);
+        expect(m.reserveMah).toBeLessThan(0);
+    });
+
+    it('skips segments that do not move the drone', () => {
+        const m = simulateMission(QUAD_MOTOR_PARAMS, airframe, battery, [
+            { type: 'descend', altitude: 50, rate: 2 },
+            { type: 'land', rate: 1 },
+        ]);
+        expect(m.usedMah).toBe(0);
+        expect(m.totalTimeMin).toBe(0);
+    });
+});
+
+describe('simulateDischarge', () => {
+    const pack = { chemistry: 'LiPo', cells: 4, capacityMah: 5000, dischargeDepth: 0.8, cutoffVoltage: 3.3 };
+
+    it('stops at the discharge depth with a falling voltage trace', () => {
+        const { flightTimeMin, endReason, series } = simulateDischarge(QUAD_MOTOR_PARAMS, 2.7, pack);
+        const first = series[0];
+        const last = series[series.length - 1];
+        expect(endReason).toBe('capacity');
+        expect(last.soc).toBeCloseTo(0.2, 3);
+        expect(last.ocv).toBeLessThan(first.ocv);
+        expect(last.throttle).toBeGreaterThan(first.throttle);
+        expect(last.current).toBeGreaterThan(first.current);
+        expect(flightTimeMin).toBeCloseTo(last.timeMin, 6);
+    });
+
+    it('uses the charge actually drawn for flight time', () => {
+        const { flightTimeMin, series } = simulateDischarge(QUAD_MOTOR_PARAMS, 2.7, pack, 5);
+        const avgCurrent = series.reduce((sum, p) => sum + p.current, 0) / series.length;
+        const expected = (5 * 0.8 / avgCurrent) * 60;
+        expect(flightTimeMin).toBeGreaterThan(expected * 0.95);
+        expect(flightTimeMin).toBeLessThan(expected * 1.05);
+    });
+
+    it('ends early at the low-voltage cutoff', () => {
+        const { endReason, series } = simulateDischarge(QUAD_MOTOR_PARAMS, 2.7, { ...pack, dischargeDepth: 1, cutoffVoltage: 3.75 });
+        expect(endReason).toBe('cutoff');
+        expect(series[series.length - 1].soc).toBeGreaterThan(0);
+    });
+
+    it('ends immediately when the thrust cannot be produced', () => {
+        const { flightTimeMin, endReason } = simulateDischarge(QUAD_MOTOR_PARAMS, 1000, pack);
+        expect(endReason).toBe('thrust');
+        expect(flightTimeMin).toBe(0);
+    });
+});
+
+describe('simulateFlightThermal', () => {
+    const THERMAL = {
+        motor: { kv: 920, resistance: 0.12, noLoadCurrent: 0.4, thermalResistance: 10, statorDiameter: 22, statorHeight: 12 },
+        esc: { resistanceOhm: 0.0015, pwmKhz: 24, channels: 1, boardWeightG: 8, cooling: 'open' },
+        battery: { packResistance: 0.02, weightG: 480 },
+    };
+    const steadySeries = (motorCurrent, minutes) => Array.from({ length: minutes * 2 + 1 }, (_, i) => ({
+        timeMin: i / 2, voltage: 15, current: motorCurrent * 4 * 0.4, motorCurrent, rpm: 6000,
+    }));
+
+    it('starts at ambient and warms every part', () => {
+        const { series, peak } = simulateFlightThermal(steadySeries(5, 20), THERMAL, 25);
+        expect(series[0]).toMatchObject({ motor: 25, esc: 25, battery: 25 });
+        expect(peak.motor).toBeGreaterThan(40);
+        expect(peak.esc).toBeGreaterThan(25);
+        expect(peak.battery).toBeGreaterThan(25);
+    });
+
+    it('warms a small stator faster than a large one', () => {
+        const small = simulateFlightThermal(steadySeries(5, 2), { ...THERMAL, motor: { ...THERMAL.motor, statorDiameter: 14, statorHeight: 6 } }, 25);
+        const large = simulateFlightThermal(steadySeries(5, 2), THERMAL, 25);
+        expect(small.series.at(-1).motor).toBeGreaterThan(large.series.at(-1).motor);
+    });
+
+    it('reports the first part to cross its limit and when', () => {
+        const { crossings, firstLimit } = simulateFlightThermal(steadySeries(15, 20), THERMAL, 25);
+        expect(firstLimit.part).toBe('motor');
+        expect(firstLimit.timeMin).toBeGreaterThan(0);
+        expect(firstLimit.timeMin).toBeLessThan(20);
+        expect(crossings.motor).toBe(firstLimit.timeMin);
+    });
+
+    it('reports no crossing on a cool flight', () => {
+        expect(simulateFlightThermal(steadySeries(1, 20), THERMAL, 25).firstLimit).toBeNull();
+    });
+});
+
 describe('runFullSimulation', () => {
     it('returns plausible results for a typical quad config', () => {
         const result = runFullSimulation({
@@ -220,4 +1286,240 @@ describe('runFullSimulation', () => {
         expect(result.airDensity).toBeGreaterThan(1.0);
         expect(result.validations).toBeDefined();
     });
+
+    it('hovers at higher throttle on a low-pressure, humid day', () => {
+        const base = { battery: { weightG: 480 } };
+        const std = runFullSimulation({ ...base, environment: { altitude: 500, temperature: 30 } });
+        const thin = runFullSimulation({ ...base, environment: { altitude: 500, temperature: 30, humidity: 90, qnhHpa: 985 } });
+        const station = runFullSimulation({ ...base, environment: { altitude: 500, temperature: 30, pressureMode: 'station', stationPressureHpa: 900, qnhHpa: 1030 } });
+        expect(thin.airDensity).toBeLessThan(std.airDensity);
+        expect(thin.densityAltitudeM).toBeGreaterThan(std.densityAltitudeM + 300);
+        expect(thin.hoverThrottle).toBeGreaterThan(std.hoverThrottle);
+        expect(station.stationPressureHpa).toBe(900);
+    });
+
+    it('flags transonic, over-speed props on a high-Kv 6S 7-inch build', () => {
+        const quad = runFullSimulation({ battery: { weightG: 480 } });
+        expect(quad.validations.tipMachOk).toBe(true);
+        expect(quad.validations.propRpmOk).toBe(true);
+
+        const racer = runFullSimulation({
+            battery: { cellsS: 6, capacityMah: 1300, weightG: 220 },
+            frame: { frameWeight: 150, wheelbaseMm: 300 },
+            motor: { kv: 2450, maxCurrent: 80, maxPower: 2000, maxVoltage: 26, resistance: 0.05, weightG: 35 },
+            propeller: { diameterIn: 7, pitchIn: 4, blades: 2 },
+        });
+        expect(racer.propTip.maxRpm).toBeCloseTo(racer.maxRPM, 6);
+        expect(racer.propTip.tipMach).toBeGreaterThan(racer.tipMachLimit);
+        expect(racer.validations.tipMachOk).toBe(false);
+        expect(racer.validations.propRpmOk).toBe(false);
+        expect(racer.allValid).toBe(false);
+    });
+
+    it('estimates hover noise at the listener distance with prop alternatives', () => {
+        const near = runFullSimulation({ battery: { weightG: 480 }, environment: { noiseDistanceM: 5 } });
+        const far = runFullSimulation({ battery: { weightG: 480 }, environment: { noiseDistanceM: 50 } });
+        expect(near.noise.distanceM).toBe(5);
+        expect(near.noise.splA - far.noise.splA).toBeCloseTo(20, 6);
+        expect(near.noiseVariants.map(v => [v.diameterIn, v.blades])).toEqual([[10, 3], [9, 2], [11, 2]]);
+        const [threeBlade, smaller, larger] = near.noiseVariants;
+        expect(threeBlade.hoverRpm).toBeLessThan(near.hoverRPM);
+        expect(smaller.splA).toBeGreaterThan(larger.splA);
+    });
+
+    it('carries the power source weight and hovers on its fuel', () => {
+        const battery = { cellsS: 6, capacityMah: 5000, weightG: 700 };
+        const hexa = { frame: { motorCount: 6, frameWeight: 1500, wheelbaseMm: 800 }, motor: { kv: 400, maxCurrent: 40, maxPower: 900, maxVoltage: 26, weightG: 150 }, propeller: { diameterIn: 15, pitchIn: 5, blades: 2 } };
+        const pack = runFullSimulation({ ...hexa, battery });
+        const fuelCell = runFullSimulation({ ...hexa, battery: { ...battery, source: { type: 'fuelCell' } } });
+        expect(fuelCell.totalWeightG - pack.totalWeightG).toBeCloseTo(3545, 6);
+        expect(fuelCell.powerSource.massG).toBe(700 + 3545);
+        expect(fuelCell.flightEndReason).toBe('fuel');
+        expect(fuelCell.flightTimeMin).toBeGreaterThan(pack.flightTimeMin * 2);
+        expect(pack.powerSource.type).toBe('battery');
+        expect(pack.flightTimeMin).toBe(pack.powerSource.enduranceMin);
+    });
+
+    it('flies cruise and wind hold on the power source, not the buffer pack alone', () => {
+        const battery = { cellsS: 6, capacityMah: 5000, weightG: 700 };
+        const hexa = { frame: { motorCount: 6, frameWeight: 1500, wheelbaseMm: 800 }, motor: { kv: 400, maxCurrent: 40, maxPower: 900, maxVoltage: 26, weightG: 150 }, propeller: { diameterIn: 15, pitchIn: 5, blades: 2 } };
+        const pack = runFullSimulation({ ...hexa, battery });
+        const fuelCell = runFullSimulation({ ...hexa, battery: { ...battery, source: { type: 'fuelCell' } } });
+        expect(fuelCell.bestEnduranceMin).toBeGreaterThan(fuelCell.flightTimeMin);
+        expect(fuelCell.maxRangeKm).toBeGreaterThan(pack.maxRangeKm * 2);
+
+        // Strong wind needs more than a small ground supply gives, so the buffer runs down
+        const windy = { ...hexa, environment: { windSpeed: 24, gustSpeed: 24 } };
+        const tether = runFullSimulation({ ...windy, battery: { ...battery, source: { type: 'tether', tether: { supplyPowerW: 570 } } } });
+        expect(tether.flightTimeMin).toBe(Infinity);
+        expect(tether.bestEnduranceMin).toBe(Infinity);
+        expect(tether.maxRangeKm).toBe(Infinity);
+        expect(tether.windFlightTimeMin).toBeGreaterThan(0);
+        expect(tether.windFlightTimeMin).toBeLessThan(Infinity);
+    });
+
+    it('reports no flight time on any source when the airframe cannot hover', () => {
+        const heavy = { frame: { payloadWeight: 20000 }, battery: { weightG: 480 } };
+        for (const type of ['battery', 'fuelCell', 'generator', 'tether']) {
+            const r = runFullSimulation({ ...heavy, battery: { ...heavy.battery, source: { type } } });
+            expect(r.twr).toBeLessThan(1);
+            expect(r.flightTimeMin).toBe(0);
+            expect(r.flightEndReason).toBe('thrust');
+        }
+    });
+
+    it('hangs the tether from the operating height and finds the hover ceiling', () => {
+        const battery = { cellsS: 6, capacityMah: 5000, weightG: 700 };
+        const hexa = { frame: { motorCount: 6, frameWeight: 1500, wheelbaseMm: 800 }, motor: { kv: 400, maxCurrent: 40, maxPower: 900, maxVoltage: 26, weightG: 150 }, propeller: { diameterIn: 15, pitchIn: 5, blades: 2 } };
+        const low = runFullSimulation({ ...hexa, battery: { ...battery, source: { type: 'tether', tether: { heightM: 50 } } } });
+        const high = runFullSimulation({ ...hexa, battery: { ...battery, source: { type: 'tether', tether: { heightM: 100 } } } });
+        expect(high.totalWeightG - low.totalWeightG).toBeCloseTo(25 * 50, 6);
+        expect(low.tether.operating.heightM).toBe(50);
+        expect(high.tether.operating.dropV).toBeGreaterThan(low.tether.operating.dropV * 2);
+        expect(low.tether.maxHeightM).toBeGreaterThan(100);
+        expect(low.tether.maxHeightM / high.tether.maxHeightM).toBeCloseTo(1, 2);
+        expect(low.validations.tetherOk).toBe(true);
+        expect(low.flightTimeMin).toBe(Infinity);
+
+        const thin = runFullSimulation({ ...hexa, battery: { ...battery, source: { type: 'tether', tether: { heightM: 100, awg: 26, supplyVoltage: 100 } } } });
+        expect(thin.tether.maxHeightM).toBeLessThan(100);
+        expect(thin.validations.tetherOk).toBe(false);
+        expect(runFullSimulation({ ...hexa, battery }).tether).toBeNull();
+    });
+
+    it('runs an enclosed 4-in-1 board hotter than open single ESCs', () => {
+        const base = {
+            battery: { cellsS: 6, capacityMah: 5000, weightG: 700 },
+            motor: { kv: 1200, maxCurrent: 40, maxPower: 900, maxVoltage: 26 },
+            propeller: { diameterIn: 7, pitchIn: 4, blades: 3 },
+        };
+        const single = runFullSimulation({ ...base, esc: { boardType: 'single', cooling: 'open', pwmKhz: 24 } });
+        const board = runFullSimulation({ ...base, esc: { boardType: '4in1', cooling: 'enclosed', pwmKhz: 48, becLoadA: 2, becType: 'linear' } });
+        expect(board.escTemp).toBeGreaterThan(single.escTemp);
+        expect(board.escPowerLoss).toBeGreaterThan(single.escPowerLoss);
+        expect(board.validations.escTempOk).toBe(false);
+    });
+
+    it('shortens hover time with a cold pack and reports the warm figure', () => {
+        const cold = runFullSimulation({ environment: { temperature: -10 } });
+        const warmed = runFullSimulation({ environment: { temperature: -10 }, battery: { packTempC: 25 } });
+        expect(cold.flightTimeMin).toBeLessThan(warmed.flightTimeMin);
+        expect(cold.ratedFlightTimeMin).toBeCloseTo(warmed.flightTimeMin, 6);
+        expect(warmed.ratedFlightTimeMin).toBeNull();
+    });
+
+    it('derates a custom chemistry with its own table', () => {
+        const lfpDerating = {
+            resistance: [[-20, 6.5], [-10, 4.0], [0, 2.6], [10, 1.6], [25, 1.0], [45, 0.8]],
+            capacity: [[-20, 0.45], [-10, 0.6], [0, 0.76], [10, 0.9], [25, 1.0], [45, 1.0]],
+        };
+        const lipo = runFullSimulation({ environment: { temperature: -10 } });
+        const lfp = runFullSimulation({ environment: { temperature: -10 }, battery: { chemistry: 'LiFePO4', deratingTable: lfpDerating } });
+        expect(lfp.batteryCapacityFactor).toBeCloseTo(0.6, 6);
+        expect(lfp.batteryResistanceFactor).toBeCloseTo(4.0, 6);
+        expect(lfp.batteryCapacityFactor).toBeLessThan(lipo.batteryCapacityFactor);
+    });
+
+    it('models X8 as coaxial pairs with per-rotor results', () => {
+        const flat = runFullSimulation({ frame: { motorCount: 8, layout: 'flat' } });
+        const x8 = runFullSimulation({ frame: { motorCount: 4, layout: 'x8' } });
+        expect(x8.coaxial.pairs).toBe(4);
+        expect(x8.coaxial.lower.thrustG).toBeLessThan(x8.coaxial.upper.thrustG);
+        expect(x8.coaxial.upper.rpm).toBeGreaterThan(0);
+        expect(x8.coaxFactor).toBeLessThan(1);
+        expect(x8.flightTimeMin).toBeLessThan(flat.flightTimeMin);
+        expect(flat.coaxial).toBeNull();
+    });
+
+    it('uses a separate lower prop on coaxial layouts', () => {
+        const same = runFullSimulation({ frame: { layout: 'y6' } });
+        const steeper = runFullSimulation({ frame: { layout: 'y6', lowerPropeller: { pitchIn: 6 } } });
+        expect(steeper.coaxial.lowerThrustShare).toBeGreaterThan(same.coaxial.lowerThrustShare);
+    });
+
+    it('checks motor-out survival only on frames with six or more motors', () => {
+        const quad = runFullSimulation({});
+        const hexa = runFullSimulation({ frame: { motorCount: 6 } });
+        expect(quad.motorOut).toBeNull();
+        expect(quad.validations).not.toHaveProperty('motorOutOk');
+        expect(hexa.motorOut.single.cases).toBe(6);
+        expect(hexa.motorOut.single.throttle).toBeGreaterThan(hexa.hoverThrottle);
+        expect(hexa.validations.motorOutOk).toBe(hexa.motorOut.single.survives);
+    });
+
+    it('flags weak yaw on a wide frame with small props', () => {
+        const quad = runFullSimulation({});
+        const wide = runFullSimulation({ frame: { motorCount: 8, wheelbaseMm: 1200 } });
+        expect(quad.validations.yawAuthorityOk).toBe(true);
+        expect(wide.yawAccel).toBeLessThan(quad.yawAccel);
+        expect(wide.validations.yawAuthorityOk).toBe(false);
+    });
+
+    it('uses placed masses for weight, CG and inertia', () => {
+        const placement = [
+            { id: 'frame', name: 'Frame Body', x: 0, y: 0, z: 0 },
+            { id: 'motors', name: 'Motors', x: 0, y: 0, z: 0 },
+            { id: 'battery', name: 'Battery', x: 40, y: 0, z: 0 },
+            { id: 'fc', name: 'FC', massG: 20, x: 0, y: 0, z: 0 },
+        ];
+        const plain = runFullSimulation({ battery: { weightG: 480 } });
+        const placed = runFullSimulation({ frame: { placement }, battery: { weightG: 480 } });
+        expect(plain.massProperties).toBeNull();
+        expect(placed.totalWeightG).toBeCloseTo(plain.totalWeightG + 20, 6);
+        expect(placed.massProperties.cg.x).toBeGreaterThan(0);
+        expect(placed.inertia.ixy).toBeDefined();
+    });
+
+    it('judges current and temperature on the hottest motor of a nose-heavy rig', () => {
+        const centred = runFullSimulation({ battery: { weightG: 480 } });
+        const noseHeavy = runFullSimulation({ battery: { weightG: 480 }, frame: { cgOffsetMm: { x: 40 } } });
+        expect(centred.perMotor).toHaveLength(4);
+        expect(noseHeavy.hottestMotor.x).toBeGreaterThan(0);
+        expect(noseHeavy.motorTemp5min).toBeGreaterThan(centred.motorTemp5min);
+        expect(noseHeavy.hottestMotor.current).toBeGreaterThan(noseHeavy.hoverCurrentPerMotor);
+        expect(noseHeavy.validations.cgBalanceOk).toBe(true);
+
+        const tail = runFullSimulation({ frame: { cgOffsetMm: { x: -300 } } });
+        expect(tail.validations.cgBalanceOk).toBe(false);
+    });
+
+    it('checks motor and ESC ratings against winding current, not bus current', () => {
+        const base = runFullSimulation({});
+        const limitA = (base.hoverCurrentPerMotor + base.peakMotorCurrent) / 2;
+        expect(base.peakMotorCurrent).toBeGreaterThan(base.hoverCurrentPerMotor);
+        const tight = runFullSimulation({ motor: { maxCurrent: limitA }, esc: { continuousA: limitA } });
+        expect(tight.validations.motorCurrentOk).toBe(false);
+        expect(tight.validations.escCurrentOk).toBe(false);
+    });
+
+    it('reads pack voltage from a custom OCV curve', () => {
+        const pack = { cellsS: 4, capacityMah: 5000, weightG: 480 };
+        const lipo = runFullSimulation({ battery: { ...pack, chemistry: 'LiPo' } });
+        const lfp = runFullSimulation({
+            battery: { ...pack, chemistry: 'LiFePO4', ocvCurve: [[0, 2.5], [0.1, 3.2], [0.5, 3.3], [0.9, 3.4], [1, 3.6]] },
+        });
+        expect(lfp.maxVoltage).toBeCloseTo(14.4, 6);
+        expect(lfp.nominalVoltage).toBeLessThan(lipo.nominalVoltage);
+        expect(lfp.hoverThrottle).toBeGreaterThan(lipo.hoverThrottle);
+    });
+
+    it('uses measured prop data at the hover RPM', () => {
+        const perfData = { static: [[2000, 0.10, 0.040], [10000, 0.12, 0.048]] };
+        const result = runFullSimulation({ propeller: { diameterIn: 10, pitchIn: 4.5, perfData } });
+        expect(result.hasPropData).toBe(true);
+        const expected = 0.10 + 0.02 * (result.hoverRPM - 2000) / 8000;
+        expect(result.ct).toBeCloseTo(expected, 6);
+        expect(result.hoverThrustPerMotor).toBeCloseTo(result.totalWeightG / 4, 0);
+    });
+
+    it('equals still-air hover with no wind and fails the wind check in a storm', () => {
+        const calm = runFullSimulation({});
+        expect(calm.windFlightTimeMin).toBeCloseTo(calm.flightTimeMin, 1);
+        expect(calm.validations.windHoldOk).toBe(true);
+
+        const storm = runFullSimulation({ environment: { windSpeed: 15, gustSpeed: 40 } });
+        expect(storm.validations.windHoldOk).toBe(false);
+        expect(storm.allValid).toBe(false);
+        expect(storm.windLimit).not.toBeNull();
+    });
 });
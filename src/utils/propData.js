@@ -0,0 +1,121 @@
+/**
+ * Drone Performance Calculator — Propeller Data Import
+ * Parsers for measured propeller performance files. Every parser returns
+ * { static, sweeps } in the shape used by calcPropCoefficients:
+ *   static: [[rpm, ct, cp], ...] sorted by RPM
+ *   sweeps: [{ rpm, points: [[j, ct, cp, eta], ...] }, ...] sorted by RPM, points by J
+ */
+
+const isNum = (v) => v !== '' && isFinite(v);
+
+/** Split a line into tokens, returning numbers when every token is numeric. */
+function numericRow(line, minCols) {
+    const tokens = line.trim().split(/\s+/);
+    if (tokens.length < minCols) return null;
+    const values = tokens.slice(0, minCols).map(Number);
+    return values.every(isNum) ? values : null;
+}
+
+/**
+ * Parse a UIUC propeller database file.
+ * Static files have columns RPM / CT / CP. Advance-ratio files have columns
+ * J / CT / CP / eta and carry their RPM in the file name, e.g.
+ * `apcsf_10x4.7_2484rd_5013.txt` is a 5013 RPM sweep.
+ * @param {string} text - File contents
+ * @param {string} [fileName=''] - Original file name, used for the RPM of advance-ratio files
+ * @returns {{ static: Array<number[]>, sweeps: Array<Object> }}
+ */
+export function parseUiucFile(text, fileName = '') {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    if (!lines.length) throw new Error('File is empty');
+
+    const header = lines[0].trim().toLowerCase().split(/\s+/);
+
+    if (header[0] === 'rpm') {
+        const points = lines.slice(1).map(l => numericRow(l, 3)).filter(Boolean);
+        if (!points.length) throw new Error('No RPM / CT / CP rows found');
+        return { static: points.sort((a, b) => a[0] - b[0]), sweeps: [] };
+    }
+
+    if (header[0] === 'j') {
+        const rpmMatch = fileName.match(/_(\d+)(?:\.\w+)?$/);
+        if (!rpmMatch) throw new Error('Advance-ratio file name must end in the RPM, e.g. _5013.txt');
+        const rows = lines.slice(1).map(l => numericRow(l, 4)).filter(Boolean);
+        if (!rows.length) throw new Error('No J / CT / CP / eta rows found');
+        return {
+            static: [],
+            sweeps: [{ rpm: Number(rpmMatch[1]), points: rows.sort((a, b) => a[0] - b[0]) }],
+        };
+    }
+
+    throw new Error('Unrecognised UIUC header: expected "RPM CT CP" or "J CT CP eta"');
+}
+
+/**
+ * Parse an APC PER3 performance file.
+ * Each "PROP RPM = N" block is one sweep with columns
+ * V(mph) J Pe Ct Cp …; the J = 0 row of each block becomes a static point.
+ * @param {string} text - File contents
+ * @returns {{ static: Array<number[]>, sweeps: Array<Object> }}
+ */
+export function parseApcPer3(text) {
+    const sweeps = [];
+    let current = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        const rpmMatch = line.match(/PROP\s+RPM\s*=\s*(\d+)/i);
+        if (rpmMatch) {
+            current = { rpm: Number(rpmMatch[1]), points: [] };
+            sweeps.push(current);
+            continue;
+        }
+        if (!current) continue;
+        const row = numericRow(line, 5);
+        if (!row) continue;
+        const [, j, eta, ct, cp] = row;
+        current.points.push([j, ct, cp, eta]);
+    }
+
+    const usable = sweeps.filter(s => s.points.length);
+    if (!usable.length) throw new Error('No "PROP RPM =" blocks found');
+
+    usable.forEach(s => s.points.sort((a, b) => a[0] - b[0]));
+    const staticPts = usable
+        .filter(s => s.points[0][0] === 0)
+        .map(s => [s.rpm, s.points[0][1], s.points[0][2]]);
+
+    return {
+        static: staticPts.sort((a, b) => a[0] - b[0]),
+        sweeps: usable.sort((a, b) => a.rpm - b.rpm),
+    };
+}
+
+/**
+ * Parse a propeller data file of either supported format.
+ * @param {string} text - File contents
+ * @param {string} [fileName=''] - Original file name
+ * @returns {{ source: string, static: Array<number[]>, sweeps: Array<Object> }}
+ */
+export function parsePropDataFile(text, fileName = '') {
+    if (/PROP\s+RPM\s*=/i.test(text)) return { source: 'APC', ...parseApcPer3(text) };
+    return { source: 'UIUC', ...parseUiucFile(text, fileName) };
+}
+
+/**
+ * Merge several parsed files (e.g. a UIUC static file and its J sweeps)
+ * into one data set. Later points at the same RPM replace earlier ones.
+ * @param {...Object} datasets - Parsed { static, sweeps } objects
+ * @returns {{ static: Array<number[]>, sweeps: Array<Object> }}
+ */
+export function mergePropData(...datasets) {
+    const staticByRpm = new Map();
+    const sweepsByRpm = new Map();
+    datasets.forEach(d => {
+        (d?.static || []).forEach(p => staticByRpm.set(p[0], p));
+        (d?.sweeps || []).forEach(s => sweepsByRpm.set(s.rpm, s));
+    });
+    return {
+        static: [...staticByRpm.values()].sort((a, b) => a[0] - b[0]),
+        sweeps: [...sweepsByRpm.values()].sort((a, b) => a.rpm - b.rpm),
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * Propeller Data Import — Test Suite
+ */
+import { describe, it, expect } from 'vitest';
+import { parseUiucFile, parseApcPer3, parsePropDataFile, mergePropData } from './propData.js';
+
+const UIUC_STATIC = `RPM         CT       CP
+   2507      0.1110   0.0451
+   3007      0.1123   0.0453
+   4523      0.1141   0.0458
+`;
+
+const UIUC_DYNAMIC = `J       CT       CP       eta
+0.171   0.0953   0.0449   0.3641
+0.249   0.0854   0.0432   0.4917
+0.329   0.0741   0.0407   0.5986
+`;
+
+const APC_PER3 = `                 10x45MR  (10x45MR.dat)
+
+         PROP RPM =     1000
+
+  V          J           Pe          Ct          Cp         PWR        Torque      Thrust
+ (mph)     (Adv_Ratio)     -           -           -         (Hp)      (In-Lbf)     (Lbf)
+  0.00      0.0000      0.0000      0.1184      0.0465      0.0012      0.0745      0.0437
+  1.00      0.0528      0.1302      0.1145      0.0465      0.0012      0.0745      0.0423
+  2.00      0.1056      0.2572      0.1099      0.0452      0.0011      0.0725      0.0406
+
+         PROP RPM =     2000
+
+  V          J           Pe          Ct          Cp         PWR        Torque      Thrust
+ (mph)     (Adv_Ratio)     -           -           -         (Hp)      (In-Lbf)     (Lbf)
+  2.00      0.0528      0.1312      0.1150      0.0463      0.0094      0.2969      0.1699
+  0.00      0.0000      0.0000      0.1190      0.0464      0.0094      0.2975      0.1758
+  4.00      0.1056      0.2598      0.1101      0.0448      0.0091      0.2872      0.1626
+`;
+
+describe('parseUiucFile', () => {
+    it('reads static RPM / CT / CP tables', () => {
+        const data = parseUiucFile(UIUC_STATIC, 'apcsf_10x4.7_static_rd.txt');
+        expect(data.static).toHaveLength(3);
+        expect(data.static[0]).toEqual([2507, 0.111, 0.0451]);
+        expect(data.sweeps).toEqual([]);
+    });
+
+    it('reads advance-ratio tables with the RPM from the file name', () => {
+        const data = parseUiucFile(UIUC_DYNAMIC, 'apcsf_10x4.7_2484rd_5013.txt');
+        expect(data.sweeps).toHaveLength(1);
+        expect(data.sweeps[0].rpm).toBe(5013);
+        expect(data.sweeps[0].points[1]).toEqual([0.249, 0.0854, 0.0432, 0.4917]);
+    });
+
+    it('rejects advance-ratio files without an RPM in the name', () => {
+        expect(() => parseUiucFile(UIUC_DYNAMIC, 'sweep.txt')).toThrow(/RPM/);
+    });
+
+    it('rejects unknown headers', () => {
+        expect(() => parseUiucFile('foo bar\n1 2', 'x.txt')).toThrow(/header/);
+    });
+});
+
+describe('parseApcPer3', () => {
+    it('reads one sweep per RPM block, sorted by J', () => {
+        const data = parseApcPer3(APC_PER3);
+        expect(data.sweeps.map(s => s.rpm)).toEqual([1000, 2000]);
+        expect(data.sweeps[1].points.map(p => p[0])).toEqual([0, 0.0528, 0.1056]);
+        expect(data.sweeps[0].points[1]).toEqual([0.0528, 0.1145, 0.0465, 0.1302]);
+    });
+
+    it('takes the J = 0 rows as static points', () => {
+        const data = parseApcPer3(APC_PER3);
+        expect(data.static).toEqual([[1000, 0.1184, 0.0465], [2000, 0.119, 0.0464]]);
+    });
+
+    it('rejects files without RPM blocks', () => {
+        expect(() => parseApcPer3('nothing here')).toThrow(/PROP RPM/);
+    });
+});
+
+describe('parsePropDataFile', () => {
+    it('detects the file format', () => {
+        expect(parsePropDataFile(APC_PER3).source).toBe('APC');
+        expect(parsePropDataFile(UIUC_STATIC, 'static.txt').source).toBe('UIUC');
+    });
+});
+
+describe('mergePropData', () => {
+    it('combines static and sweep files into one data set', () => {
+        const merged = mergePropData(
+            parseUiucFile(UIUC_DYNAMIC, 'a_5013.txt'),
+            parseUiucFile(UIUC_STATIC, 'a_static.txt'),
+            parseUiucFile(UIUC_DYNAMIC, 'a_3008.txt'),
+        );
+        expect(merged.static).toHaveLength(3);
+        expect(merged.sweeps.map(s => s.rpm)).toEqual([3008, 5013]);
+    });
+});